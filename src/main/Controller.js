@@ -2,19 +2,20 @@
 
 /** @typedef { import("./configuration/IntegrationConfiguration").IntegrationType} IntegrationType */
 /** @typedef { import("./tasks/TasksTrackerListener").TasksTrackerListener} TasksTrackerListener */
-/** @typedef { import("./windows/DefaultWindowBoundsListener").DefaultWindowBoundsListener } DefaultWindowBoundsListener */
+/** @typedef { import("./windows/AppWindowListener").AppWindowListener } AppWindowListener */
 /** @typedef { import("./Logger") } Logger */
 /** @typedef { import("./TrayMenuBackend").TrayMenuBackend } TrayMenuBackend */
 
-/** @typedef {TasksTrackerListener & DefaultWindowBoundsListener & TrayMenuBackend} ImplementedInterfaces */
+/** @typedef {TasksTrackerListener & AppWindowListener & TrayMenuBackend} ImplementedInterfaces */
 
-const { dialog, shell, app } = require("electron");
+const { dialog, shell, app, globalShortcut } = require("electron");
 const moment = require("moment");
 
 const CalculatedState = require("./calculated-state/CalculatedState");
 const ConfigurationStore = require("./configuration/ConfigurationStore");
 const TasksSummaryCalculator = require("./tasks/TasksSummaryCalculator");
 const TasksTracker = require("./tasks/TasksTracker");
+const IntegrationPluginLoader = require("./tasks/integrations/plugins/IntegrationPluginLoader");
 const AboutWindow = require("./windows/AboutWindow");
 const AppWindow = require("./windows/AppWindow");
 const DialogWindowService = require("./windows/DialogWindowService");
@@ -43,6 +44,7 @@ class Controller {
 
         this._calculatedState.updateFromTasksSummary(
             tasksSummaryCalculator.getPlaceholderTasksSummary(),
+            0,
             now
         );
 
@@ -65,8 +67,15 @@ class Controller {
         this._aboutWindow = new AboutWindow(this._appWindow.getBrowserWindow());
         this._dialogWindowService = new DialogWindowService(this._appWindow.getBrowserWindow());
 
+        const integrationPluginLoader = new IntegrationPluginLoader(this._logger);
+        const pluginsFolderPath = this._configurationStore.getIntegrationPluginsFolderPath();
+        const { plugins, failedPlugins } = integrationPluginLoader.loadPlugins(pluginsFolderPath);
+
         this._tasksTracker = new TasksTracker(
             this._configurationStore.getIntegrationConfiguration(),
+            this._configurationStore.getManualTasks(),
+            plugins,
+            this._configurationStore,
             tasksSummaryCalculator,
             this,
             this._dialogWindowService,
@@ -83,6 +92,12 @@ class Controller {
 
         this._tray = new TrayMenu(this, trayOptions, {
             integrationType: this._tasksTracker.getIntegrationType(),
+            pluginType: this._tasksTracker.getPluginType(),
+            integrationOptions: this._tasksTracker.getIntegrationOptions(),
+            combinedIntegrations: this._tasksTracker.getCombinedIntegrations(),
+            supportsChoosingCurrent: this._tasksTracker.supportsChoosingCurrent(),
+            supportsCompletingCurrent: this._tasksTracker.supportsCompletingCurrent(),
+            failedIntegrationPlugins: failedPlugins,
             detailedStateCalculationLoggingEnabled: this._logger.isDetailedStateCalculationLoggingEnabled(),
             detailedIntegrationLoggingEnabled: this._logger.isDetailedIntegrationLoggingEnabled(),
             movingResizingEnabled: this._appWindow.isMovingResizingEnabled(),
@@ -90,6 +105,8 @@ class Controller {
             disabledReason: this._disabledState.getReason(),
         });
 
+        this._registerShortcuts();
+
         this._idleTimeTracker = new IdleTimeTracker(SLEEP_DETECTION_THRESHOLD_SECONDS, now);
 
         this._updateStateIntervalId = setInterval(() => this._updateState(), STATE_UPDATE_INTERVAL);
@@ -102,6 +119,34 @@ class Controller {
         };
     }
 
+    _registerShortcuts() {
+        globalShortcut.unregisterAll();
+
+        const { completeCurrentTaskShortcut } = this._advancedConfiguration;
+
+        if (!completeCurrentTaskShortcut) {
+            return;
+        }
+
+        let registered = false;
+
+        try {
+            registered = globalShortcut.register(completeCurrentTaskShortcut, () =>
+                this.completeCurrentTask()
+            );
+        } catch (error) {
+            // Electron throws if the shortcut is not a valid accelerator
+            this._logger.error(`Invalid shortcut ${completeCurrentTaskShortcut}: ${error.message}`);
+            return;
+        }
+
+        if (!registered) {
+            this._logger.error(
+                `Failed to register shortcut ${completeCurrentTaskShortcut}, it might be used by another app`
+            );
+        }
+    }
+
     _updateState() {
         const now = moment();
         this._updateDisabledState(now);
@@ -151,16 +196,23 @@ class Controller {
 
     _updateCalculatedState(now) {
         const tasksSummary = this._tasksTracker.getTasksSummary(now);
+        const secondsSinceRefresh = this._tasksTracker.getSecondsSinceLastSuccessfulRefresh(now);
         const errorMessage = this._tasksTracker.getTasksErrorMessage();
 
         if (errorMessage) {
-            this._calculatedState.updateFromTasksError(tasksSummary, errorMessage, now);
+            this._calculatedState.updateFromTasksError(
+                tasksSummary,
+                secondsSinceRefresh,
+                errorMessage,
+                now
+            );
         } else {
-            this._calculatedState.updateFromTasksSummary(tasksSummary, now);
+            this._calculatedState.updateFromTasksSummary(tasksSummary, secondsSinceRefresh, now);
         }
 
         const snapshot = this._calculatedState.getSnapshot();
-        this._appWindow.updateStatusAndMessage(snapshot.status, snapshot.message);
+        const warningMessage = this._tasksTracker.getTasksWarningMessage();
+        this._appWindow.updateStatusAndMessage(snapshot.status, snapshot.message, warningMessage);
 
         if (snapshot.customStateShouldClearCurrent) {
             this._tasksTracker.clearCurrent();
@@ -193,47 +245,162 @@ class Controller {
 
     // TasksTrackerListener
 
-    onManualTaskChanged() {
+    onManualTasksChanged(manualTasks) {
+        this._configurationStore.setManualTasks(manualTasks);
         this._updateCalculatedState(moment());
     }
 
     onIntegrationTypeChanged() {
         this._updateCalculatedState(moment());
-        this._tray.updateIntegrationType(this._tasksTracker.getIntegrationType());
+        this._tray.updateIntegrationType(
+            this._tasksTracker.getIntegrationType(),
+            this._tasksTracker.getPluginType(),
+            this._tasksTracker.getCombinedIntegrations(),
+            this._tasksTracker.supportsChoosingCurrent(),
+            this._tasksTracker.supportsCompletingCurrent()
+        );
     }
 
     onIntegrationConfigurationChanged(configuration) {
         this._configurationStore.setIntegrationConfiguration(configuration);
     }
 
-    // DefaultWindowBoundsListener
+    // AppWindowListener
 
     /** @param {Rectangle} bounds */
     onDefaultWindowBoundsChanged(bounds) {
         this._configurationStore.setDefaultWindowBounds(bounds);
     }
 
+    onAppWindowDoubleClicked() {
+        const url = this._calculatedState.getSnapshot().currentTaskUrl;
+
+        // double-clicking the window without a task to open is harmless, so we don't show a message
+        if (url) {
+            this._openTaskUrl(url);
+        }
+    }
+
     // TrayMenuBackend
 
     showAbout() {
         this._aboutWindow.show();
     }
 
-    /** @param {IntegrationType} integrationType */
-    changeIntegrationType(integrationType) {
-        this._tasksTracker.changeIntegrationType(integrationType);
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginType]
+     */
+    changeIntegrationType(integrationType, pluginType) {
+        this._tasksTracker.changeIntegrationType(integrationType, pluginType);
+    }
+
+    openCurrentTask() {
+        const url = this._calculatedState.getSnapshot().currentTaskUrl;
+
+        if (url) {
+            this._openTaskUrl(url);
+        } else {
+            const browserWindow = this._appWindow.getBrowserWindow();
+
+            dialog.showMessageBox(browserWindow, {
+                type: "info",
+                message:
+                    "There is no current task that can be opened. This requires a single current task from an integration that provides links to tasks (Todoist or Trello).",
+            });
+        }
+    }
+
+    /** @param {string} url */
+    _openTaskUrl(url) {
+        // the URL comes from the integration, so make sure it can't be used to open local files or apps
+        if (!/^https?:\/\//i.test(url)) {
+            this._logger.warn(`Not opening current task, unsupported URL ${url}`);
+            return;
+        }
+
+        this._logger.info(`Opening current task ${url}`);
+        shell.openExternal(url);
+    }
+
+    async completeCurrentTask() {
+        try {
+            await this._tasksTracker.completeCurrent();
+        } catch (error) {
+            this._logger.error(`Failed to mark current task as done: ${error.message}`);
+
+            const browserWindow = this._appWindow.getBrowserWindow();
+
+            dialog.showMessageBox(browserWindow, {
+                type: "error",
+                message: `Could not mark the current task as done: ${error.message}`,
+            });
+        }
+    }
+
+    async chooseCurrentTask() {
+        try {
+            await this._tasksTracker.chooseCurrentTask();
+        } catch (error) {
+            this._logger.error(`Failed to set chosen current task: ${error.message}`);
+
+            const browserWindow = this._appWindow.getBrowserWindow();
+
+            dialog.showMessageBox(browserWindow, {
+                type: "error",
+                message: `Could not set the chosen task as current task: ${error.message}`,
+            });
+        }
     }
 
-    setManualCurrentTask() {
-        this._tasksTracker.setManualCurrentTask();
+    addManualTask() {
+        this._tasksTracker.addManualTask();
     }
 
-    removeManualCurrentTask() {
-        this._tasksTracker.removeManualCurrentTask();
+    clearManualCurrentTask() {
+        this._tasksTracker.clearManualCurrentTask();
     }
 
-    configureIntegration() {
-        this._tasksTracker.configureIntegration();
+    deleteManualTask() {
+        this._tasksTracker.deleteManualTask();
+    }
+
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginType]
+     */
+    async addCombinedIntegration(integrationType, pluginType) {
+        try {
+            await this._tasksTracker.addCombinedIntegration(integrationType, pluginType);
+        } catch (error) {
+            this._showConfigureIntegrationError(error);
+        }
+    }
+
+    /** @param {number} index */
+    removeCombinedIntegration(index) {
+        this._tasksTracker.removeCombinedIntegration(index);
+    }
+
+    /** @param {number} [index] */
+    async configureIntegration(index) {
+        try {
+            await this._tasksTracker.configureIntegration(index);
+        } catch (error) {
+            this._showConfigureIntegrationError(error);
+        }
+    }
+
+    /** @param {Error} error */
+    _showConfigureIntegrationError(error) {
+        this._logger.error(`Failed to configure integration: ${error.message}`);
+
+        const browserWindow = this._appWindow.getBrowserWindow();
+
+        dialog.showMessageBox(browserWindow, {
+            type: "error",
+            message: `Could not configure the integration: ${error.message}`,
+        });
     }
 
     showCalculatedState() {
@@ -280,6 +447,7 @@ class Controller {
         const requireReasonForDisabling = !!this._advancedConfiguration.requireReasonForDisabling;
         this._disabledState.updateRequireReasonForDisabling(requireReasonForDisabling);
         this._tray.updateOptions(this._getTrayOptions());
+        this._registerShortcuts();
     }
 
     showLogFile() {
@@ -347,6 +515,7 @@ class Controller {
         // manually take control of the quitting process
         // this way, we don't have to constantly check whether Electron has automatically destroyed a window
         clearInterval(this._updateStateIntervalId);
+        globalShortcut.unregisterAll();
         this._appWindow.destroy();
         this._aboutWindow.destroy();
         this._dialogWindowService.destroy();
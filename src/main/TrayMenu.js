@@ -3,6 +3,8 @@
 
 /** @typedef { import("./configuration/IntegrationConfiguration").IntegrationType} IntegrationType */
 /** @typedef { import("./configuration/Status").Status } Status */
+/** @typedef { import("./tasks/integrations/IntegrationFactory").IntegrationOption } IntegrationOption */
+/** @typedef { import("./tasks/integrations/plugins/IntegrationPlugin").FailedIntegrationPlugin } FailedIntegrationPlugin */
 /** @typedef { import("./TrayMenuBackend").TrayMenuBackend } TrayMenuBackend */
 
 const os = require("os");
@@ -31,6 +33,12 @@ class TrayMenu {
      * @param {boolean} options.allowClosing
      * @param {object} state
      * @param {IntegrationType} state.integrationType
+     * @param {string} state.pluginType
+     * @param {IntegrationOption[]} state.integrationOptions
+     * @param {IntegrationOption[]} state.combinedIntegrations
+     * @param {boolean} state.supportsChoosingCurrent
+     * @param {boolean} state.supportsCompletingCurrent
+     * @param {FailedIntegrationPlugin[]} state.failedIntegrationPlugins
      * @param {boolean} state.detailedStateCalculationLoggingEnabled
      * @param {boolean} state.detailedIntegrationLoggingEnabled
      * @param {boolean} state.movingResizingEnabled
@@ -44,6 +52,12 @@ class TrayMenu {
         this._allowClosing = options.allowClosing;
 
         this._integrationType = state.integrationType;
+        this._pluginType = state.pluginType;
+        this._integrationOptions = state.integrationOptions;
+        this._combinedIntegrations = state.combinedIntegrations;
+        this._supportsChoosingCurrent = state.supportsChoosingCurrent;
+        this._supportsCompletingCurrent = state.supportsCompletingCurrent;
+        this._failedIntegrationPlugins = state.failedIntegrationPlugins;
         this._detailedStateCalculationLoggingEnabled = state.detailedStateCalculationLoggingEnabled;
         this._detailedIntegrationLoggingEnabled = state.detailedIntegrationLoggingEnabled;
         this._movingResizingEnabled = state.movingResizingEnabled;
@@ -121,26 +135,7 @@ class TrayMenu {
             },
             {
                 label: `Integration type`,
-                submenu: [
-                    {
-                        label: "Manual",
-                        type: "radio",
-                        checked: this._integrationType === "manual",
-                        click: () => this._backend.changeIntegrationType("manual"),
-                    },
-                    {
-                        label: "Todoist",
-                        type: "radio",
-                        checked: this._integrationType === "todoist",
-                        click: () => this._backend.changeIntegrationType("todoist"),
-                    },
-                    {
-                        label: "Trello",
-                        type: "radio",
-                        checked: this._integrationType === "trello",
-                        click: () => this._backend.changeIntegrationType("trello"),
-                    },
-                ],
+                submenu: this._getIntegrationTypeMenuItems(),
             },
             ...this._getIntegrationSpecificMenuItems(),
             {
@@ -255,21 +250,90 @@ class TrayMenu {
         this._tray.setContextMenu(contextMenu);
     }
 
+    /** @returns  {MenuItemConstructorOptions[]} */
+    _getIntegrationTypeMenuItems() {
+        const builtInOptions = this._integrationOptions.filter((option) => !option.pluginType);
+        const pluginOptions = this._integrationOptions.filter((option) => option.pluginType);
+
+        /** @type {MenuItemConstructorOptions[]} */
+        const failedPluginItems = this._failedIntegrationPlugins.map((failedPlugin) => ({
+            label: this._truncateLabel(`${failedPlugin.fileName} (failed to load)`, 50),
+            enabled: false,
+        }));
+
+        /** @type {MenuItemConstructorOptions[]} */
+        const menuItems = [
+            {
+                label: "Manual",
+                type: "radio",
+                checked: this._integrationType === "manual",
+                click: () => this._backend.changeIntegrationType("manual"),
+            },
+            ...builtInOptions.map((option) => this._getIntegrationTypeMenuItem(option)),
+            {
+                label: "Combined (multiple integrations)",
+                type: "radio",
+                checked: this._integrationType === "combined",
+                click: () => this._backend.changeIntegrationType("combined"),
+            },
+        ];
+
+        if (pluginOptions.length > 0 || failedPluginItems.length > 0) {
+            menuItems.push(
+                { type: "separator" },
+                ...pluginOptions.map((option) => this._getIntegrationTypeMenuItem(option)),
+                ...failedPluginItems
+            );
+        }
+
+        return menuItems;
+    }
+
+    /**
+     * @param {IntegrationOption} option
+     * @returns {MenuItemConstructorOptions}
+     */
+    _getIntegrationTypeMenuItem(option) {
+        return {
+            label: this._truncateLabel(option.name, 50),
+            type: "radio",
+            checked:
+                this._integrationType === option.type && this._pluginType === option.pluginType,
+            click: () => this._backend.changeIntegrationType(option.type, option.pluginType),
+        };
+    }
+
     /** @returns  {MenuItemConstructorOptions[]} */
     _getIntegrationSpecificMenuItems() {
         if (this._integrationType === "manual") {
             return [
                 {
-                    label: "Set current task ...",
-                    click: () => this._backend.setManualCurrentTask(),
+                    label: "Add task ...",
+                    click: () => this._backend.addManualTask(),
+                },
+                this._getChooseCurrentTaskMenuItem(),
+                this._getCompleteCurrentTaskMenuItem(),
+                {
+                    label: "Clear current task",
+                    click: () => this._backend.clearManualCurrentTask(),
                 },
                 {
-                    label: "Remove current task",
-                    click: () => this._backend.removeManualCurrentTask(),
+                    label: "Delete task ...",
+                    click: () => this._backend.deleteManualTask(),
                 },
             ];
+        } else if (this._integrationType === "combined") {
+            return [
+                this._getChooseCurrentTaskMenuItem(),
+                this._getOpenCurrentTaskMenuItem(),
+                this._getCompleteCurrentTaskMenuItem(),
+                ...this._getCombinedIntegrationMenuItems(),
+            ];
         } else {
             return [
+                this._getChooseCurrentTaskMenuItem(),
+                this._getOpenCurrentTaskMenuItem(),
+                this._getCompleteCurrentTaskMenuItem(),
                 {
                     label: "Configure integration ...",
                     click: () => this._backend.configureIntegration(),
@@ -278,6 +342,65 @@ class TrayMenu {
         }
     }
 
+    /** @returns {MenuItemConstructorOptions} */
+    _getChooseCurrentTaskMenuItem() {
+        return {
+            label: "Choose current task ...",
+            enabled: this._supportsChoosingCurrent,
+            click: () => this._backend.chooseCurrentTask(),
+        };
+    }
+
+    /** @returns {MenuItemConstructorOptions} */
+    _getOpenCurrentTaskMenuItem() {
+        return {
+            label: "Open current task",
+            click: () => this._backend.openCurrentTask(),
+        };
+    }
+
+    /** @returns {MenuItemConstructorOptions} */
+    _getCompleteCurrentTaskMenuItem() {
+        return {
+            label: "Mark current task as done",
+            enabled: this._supportsCompletingCurrent,
+            click: () => this._backend.completeCurrentTask(),
+        };
+    }
+
+    /** @returns  {MenuItemConstructorOptions[]} */
+    _getCombinedIntegrationMenuItems() {
+        const isAdded = (option) =>
+            this._combinedIntegrations.some(
+                (added) => added.type === option.type && added.pluginType === option.pluginType
+            );
+
+        return [
+            {
+                label: "Add integration",
+                submenu: this._integrationOptions.map((option) => ({
+                    label: this._truncateLabel(option.name, 50),
+                    enabled: !isAdded(option),
+                    click: () =>
+                        this._backend.addCombinedIntegration(option.type, option.pluginType),
+                })),
+            },
+            ...this._combinedIntegrations.map((combinedIntegration, index) => ({
+                label: this._truncateLabel(combinedIntegration.name, 50),
+                submenu: [
+                    {
+                        label: "Configure ...",
+                        click: () => this._backend.configureIntegration(index),
+                    },
+                    {
+                        label: "Remove",
+                        click: () => this._backend.removeCombinedIntegration(index),
+                    },
+                ],
+            })),
+        ];
+    }
+
     _truncateLabel(label, maxLength) {
         // preserves Unicode characters instead of splitting them (label can include user-generated content)
         const labelSymbols = Array.from(label);
@@ -322,9 +445,25 @@ class TrayMenu {
         this._updateContextMenu();
     }
 
-    /** @param {IntegrationType} integrationType */
-    updateIntegrationType(integrationType) {
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} pluginType
+     * @param {IntegrationOption[]} combinedIntegrations
+     * @param {boolean} supportsChoosingCurrent
+     * @param {boolean} supportsCompletingCurrent
+     */
+    updateIntegrationType(
+        integrationType,
+        pluginType,
+        combinedIntegrations,
+        supportsChoosingCurrent,
+        supportsCompletingCurrent
+    ) {
         this._integrationType = integrationType;
+        this._pluginType = pluginType;
+        this._combinedIntegrations = combinedIntegrations;
+        this._supportsChoosingCurrent = supportsChoosingCurrent;
+        this._supportsCompletingCurrent = supportsCompletingCurrent;
         this._updateContextMenu();
     }
 
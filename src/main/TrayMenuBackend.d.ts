@@ -2,10 +2,16 @@ import { IntegrationType } from "./configuration/IntegrationConfiguration";
 
 export interface TrayMenuBackend {
     showAbout: () => void;
-    changeIntegrationType: (integrationType: IntegrationType) => void;
-    setManualCurrentTask: () => void;
-    removeManualCurrentTask: () => void;
-    configureIntegration: () => void;
+    changeIntegrationType: (integrationType: IntegrationType, pluginType?: string) => void;
+    openCurrentTask: () => void;
+    completeCurrentTask: () => void;
+    chooseCurrentTask: () => void;
+    addManualTask: () => void;
+    clearManualCurrentTask: () => void;
+    deleteManualTask: () => void;
+    addCombinedIntegration: (integrationType: IntegrationType, pluginType?: string) => void;
+    removeCombinedIntegration: (index: number) => void;
+    configureIntegration: (index?: number) => void;
     showCalculatedState: () => void;
     showAdvancedConfigFile: () => void;
     reloadAdvancedConfigFile: () => void;
@@ -43,12 +43,14 @@ class CalculatedState {
 
     /**
      * @param {TasksSummary} tasksSummary
+     * @param {number} secondsSinceLastSuccessfulRefresh
      * @param {Moment} now
      */
-    updateFromTasksSummary(tasksSummary, now) {
+    updateFromTasksSummary(tasksSummary, secondsSinceLastSuccessfulRefresh, now) {
         this._logger.debugStateCalculation("Updating from tasks summary:", tasksSummary);
 
         this._tasksSummary = tasksSummary;
+        this._secondsSinceLastSuccessfulRefresh = secondsSinceLastSuccessfulRefresh;
         this._setStatusAndMessage("ok", this._getStandardMessage(tasksSummary));
         this._customStateShouldClearCurrent = false;
         this._updateDateTime(now);
@@ -59,13 +61,15 @@ class CalculatedState {
 
     /**
      * @param {TasksSummary} tasksSummary
+     * @param {number} secondsSinceLastSuccessfulRefresh
      * @param {string} errorMessage
      * @param {Moment} now
      */
-    updateFromTasksError(tasksSummary, errorMessage, now) {
+    updateFromTasksError(tasksSummary, secondsSinceLastSuccessfulRefresh, errorMessage, now) {
         this._logger.debugStateCalculation(`Updating from tasks error: ${errorMessage}`);
 
         this._tasksSummary = tasksSummary;
+        this._secondsSinceLastSuccessfulRefresh = secondsSinceLastSuccessfulRefresh;
         this._setStatusAndMessage("error", errorMessage);
         this._customStateShouldClearCurrent = false;
         this._updateDateTime(now);
@@ -136,6 +140,7 @@ class CalculatedState {
         return {
             ...this._tasksSummary,
             ...this._dateTimeSummary,
+            secondsSinceLastSuccessfulRefresh: this._secondsSinceLastSuccessfulRefresh,
             status: this._status,
             message: this._message,
             secondsInCurrentStatus: this._statusTimerData.getSecondsInCurrentStatus(),
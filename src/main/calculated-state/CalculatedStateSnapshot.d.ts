@@ -8,6 +8,7 @@ export interface CalculatedStateSnapshot extends TasksSummary, WindowState {
     hours: number;
     minutes: number;
     seconds: number;
+    secondsSinceLastSuccessfulRefresh: number;
     status: Status;
     message: string;
     secondsInCurrentStatus: number;
@@ -20,10 +20,14 @@ const calculatedStateSnapshot = {
     currentTaskHasTime: false,
     currentTaskIsOverdue: false,
     currentTaskIsScheduledForToday: false,
+    currentTaskPriority: 0,
+    currentTaskProject: "",
+    currentTaskUrl: "",
     dayOfWeek: 0,
     hours: 18,
     minutes: 15,
     seconds: 0,
+    secondsSinceLastSuccessfulRefresh: 0,
     status: "ok",
     message: "Test",
     secondsInCurrentStatus: 0,
@@ -55,6 +59,11 @@ describe("ConditionMatcher", () => {
         expectResult({ currentTaskHasDate: true }, false);
     });
 
+    it("allows exactly matching text values", () => {
+        expectResult({ currentTaskProject: "" }, true);
+        expectResult({ currentTaskProject: "Work" }, false);
+    });
+
     it("allows exactly matching status", () => {
         expectResult({ status: "ok" }, true);
         expectResult({ status: "warning" }, false);
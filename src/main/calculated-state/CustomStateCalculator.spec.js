@@ -40,10 +40,14 @@ const state = {
     currentTaskHasTime: false,
     currentTaskIsOverdue: false,
     currentTaskIsScheduledForToday: false,
+    currentTaskPriority: 0,
+    currentTaskProject: "",
+    currentTaskUrl: "",
     dayOfWeek: 0,
     hours: 18,
     minutes: 15,
     seconds: 0,
+    secondsSinceLastSuccessfulRefresh: 0,
     status: "ok",
     message: "Test",
     secondsInCurrentStatus: 0,
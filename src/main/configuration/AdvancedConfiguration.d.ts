@@ -8,6 +8,9 @@ export interface AdvancedConfiguration {
     clearCurrentIfSystemIdleForSeconds?: number;
     clearCurrentIfDisabled?: boolean;
 
+    /** Electron accelerator, example value: CommandOrControl+Alt+D */
+    completeCurrentTaskShortcut?: string;
+
     customStateRules?: CustomStateRule[];
     naggingConditions?: Condition[];
     blinkingConditions?: Condition[];
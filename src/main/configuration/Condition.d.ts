@@ -17,17 +17,20 @@ export interface Condition {
     numberMarkedCurrent?: NumericValueCondition;
     secondsInCurrentStatus?: NumericValueCondition;
     secondsSinceOkStatus?: NumericValueCondition;
+    secondsSinceLastSuccessfulRefresh?: NumericValueCondition;
+    currentTaskPriority?: NumericValueCondition;
     currentTaskHasDate?: boolean;
     currentTaskHasTime?: boolean;
     currentTaskIsOverdue?: boolean;
     currentTaskIsScheduledForToday?: boolean;
+    currentTaskProject?: string;
     status?: Status;
     not?: Condition;
     or?: Condition[];
     and?: Condition[];
 }
 
-export type ValueCondition = NumericValueCondition | boolean | Status;
+export type ValueCondition = NumericValueCondition | boolean | string;
 
 type NumericValueCondition = number | NumericValueOperatorsCondition;
 
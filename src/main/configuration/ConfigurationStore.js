@@ -2,6 +2,8 @@
 /** @typedef { import("../Logger") } Logger */
 /** @typedef { import("./AdvancedConfiguration").AdvancedConfiguration } AdvancedConfiguration */
 /** @typedef { import("./IntegrationConfiguration").IntegrationConfiguration } IntegrationConfiguration */
+/** @typedef { import("../tasks/integrations/IntegrationCache").IntegrationCache } IntegrationCache */
+/** @typedef { import("../tasks/ManualTask").ManualTask } ManualTask */
 
 const { app } = require("electron");
 const ElectronStore = require("electron-store");
@@ -12,12 +14,16 @@ const path = require("path");
 const ConfigurationValidator = require("./ConfigurationValidator");
 
 const INTERNAL_CONFIG_FILE_NAME = "internal-config-encrypted";
+const INTEGRATION_CACHE_FILE_NAME = "integration-cache-encrypted";
 const ADVANCED_CONFIG_FILE_NAME = "advanced-config";
+const INTEGRATION_PLUGINS_FOLDER_NAME = "plugins";
 
 const INTERNAL_CONFIG_INTEGRATION_KEY = "integration";
+const INTERNAL_CONFIG_MANUAL_TASKS_KEY = "manualTasks";
 const INTERNAL_CONFIG_DEFAULT_WINDOW_BOUNDS_KEY = "defaultWindowBounds";
 const INTERNAL_CONFIG_MOVING_RESIZING_ENABLED_KEY = "movingResizingEnabled";
 
+/** @implements {IntegrationCache} */
 class ConfigurationStore {
     /**
      * @param {Logger} logger
@@ -45,8 +51,18 @@ class ConfigurationStore {
             encryptionKey: internalConfigEncryptionKey,
         });
 
+        // separate file, so frequent cache updates don't keep rewriting the configuration
+        this._integrationCacheStore = new ElectronStore({
+            name: INTEGRATION_CACHE_FILE_NAME,
+            encryptionKey: internalConfigEncryptionKey,
+        });
+
         const userDataFolder = app.getPath("userData");
         this._advancedFilePath = path.join(userDataFolder, `${ADVANCED_CONFIG_FILE_NAME}.json`);
+        this._integrationPluginsFolderPath = path.join(
+            userDataFolder,
+            INTEGRATION_PLUGINS_FOLDER_NAME
+        );
     }
 
     /** @returns {IntegrationConfiguration} */
@@ -61,6 +77,18 @@ class ConfigurationStore {
         this._logger.info("Saved new integration configuration");
     }
 
+    /** @returns {ManualTask[]} */
+    getManualTasks() {
+        // @ts-ignore
+        return this._internalConfigStore.get(INTERNAL_CONFIG_MANUAL_TASKS_KEY);
+    }
+
+    /** @param {ManualTask[]} value */
+    setManualTasks(value) {
+        this._internalConfigStore.set(INTERNAL_CONFIG_MANUAL_TASKS_KEY, value);
+        this._logger.info("Saved manual tasks");
+    }
+
     /** @returns {Rectangle} */
     getDefaultWindowBounds() {
         // @ts-ignore
@@ -85,10 +113,32 @@ class ConfigurationStore {
         this._logger.info(`Saved moving and resizing enabled: ${value}`);
     }
 
+    /** @param {string} key */
+    getIntegrationCacheValue(key) {
+        return this._integrationCacheStore.get(key);
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value
+     */
+    setIntegrationCacheValue(key, value) {
+        this._integrationCacheStore.set(key, value);
+    }
+
+    /** @param {string} key */
+    deleteIntegrationCacheValue(key) {
+        this._integrationCacheStore.delete(key);
+    }
+
     getAdvancedConfigurationFilePath() {
         return this._advancedFilePath;
     }
 
+    getIntegrationPluginsFolderPath() {
+        return this._integrationPluginsFolderPath;
+    }
+
     /** @returns {AdvancedConfiguration} */
     loadAdvancedConfiguration() {
         let store;
@@ -1,9 +1,37 @@
-export type IntegrationType = "manual" | "todoist" | "trello";
+export type IntegrationType =
+    | "manual"
+    | "todoist"
+    | "trello"
+    | "github"
+    | "jira"
+    | "todotxt"
+    | "markdown"
+    | "caldav"
+    | "taskwarrior"
+    | "customhttp"
+    | "microsofttodo"
+    | "plugin"
+    | "combined";
 
 export interface IntegrationConfiguration<T extends IntegrationType> {
     type: T;
 }
 
+export type AnyIntegrationConfiguration =
+    | ManualIntegrationConfiguration
+    | TodoistIntegrationConfiguration
+    | TrelloIntegrationConfiguration
+    | GitHubIntegrationConfiguration
+    | JiraIntegrationConfiguration
+    | TodoTxtIntegrationConfiguration
+    | MarkdownIntegrationConfiguration
+    | CalDavIntegrationConfiguration
+    | TaskwarriorIntegrationConfiguration
+    | CustomHttpIntegrationConfiguration
+    | MicrosoftTodoIntegrationConfiguration
+    | PluginIntegrationConfiguration
+    | CombinedIntegrationConfiguration;
+
 export interface ManualIntegrationConfiguration extends IntegrationConfiguration<"manual"> {
     type: "manual";
 }
@@ -14,6 +42,9 @@ export interface TodoistIntegrationConfiguration extends IntegrationConfiguratio
     labelName?: string;
     includeFutureTasksWithLabel?: boolean;
     mergeSubtasksWithParent?: boolean;
+    filter?: string;
+    includedProjectsAndSections?: string[];
+    excludedProjectsAndSections?: string[];
 }
 
 export interface TrelloIntegrationConfiguration extends IntegrationConfiguration<"trello"> {
@@ -22,4 +53,95 @@ export interface TrelloIntegrationConfiguration extends IntegrationConfiguration
     token?: string;
     labelName?: string;
     boards?: string[];
+    lists?: string[];
+    includeChecklistItems?: boolean;
+}
+
+export interface GitHubIntegrationConfiguration extends IntegrationConfiguration<"github"> {
+    type: "github";
+    token?: string;
+    labelName?: string;
+    repositories?: string[];
+    apiUrl?: string;
+}
+
+export interface JiraIntegrationConfiguration extends IntegrationConfiguration<"jira"> {
+    type: "jira";
+    url?: string;
+    username?: string;
+    token?: string;
+    jql?: string;
+    labelName?: string;
+    customFieldId?: string;
+}
+
+export interface TodoTxtIntegrationConfiguration extends IntegrationConfiguration<"todotxt"> {
+    type: "todotxt";
+    filePath?: string;
+    currentTag?: string;
+}
+
+export interface MarkdownIntegrationConfiguration extends IntegrationConfiguration<"markdown"> {
+    type: "markdown";
+    folderPath?: string;
+    currentTag?: string;
+}
+
+export interface CalDavIntegrationConfiguration extends IntegrationConfiguration<"caldav"> {
+    type: "caldav";
+    username?: string;
+    password?: string;
+    taskListUrls?: string[];
+    categoryName?: string;
+}
+
+export interface TaskwarriorIntegrationConfiguration
+    extends IntegrationConfiguration<"taskwarrior"> {
+    type: "taskwarrior";
+    filter?: string;
+    currentTag?: string;
+    commandPath?: string;
+}
+
+export interface CustomHttpIntegrationConfiguration extends IntegrationConfiguration<"customhttp"> {
+    type: "customhttp";
+    url?: string;
+    authorization?: string;
+    headers?: string[];
+    tasksPath?: string;
+    titlePath?: string;
+    dueDatePath?: string;
+    dueDatetimePath?: string;
+    markedCurrentPath?: string;
+    markedCurrentValue?: string;
+    clearCurrentUrl?: string;
+    clearCurrentMethod?: "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
+    clearCurrentBody?: string;
+}
+
+export interface MicrosoftTodoIntegrationConfiguration
+    extends IntegrationConfiguration<"microsofttodo"> {
+    type: "microsofttodo";
+    tenantId?: string;
+    clientId?: string;
+    categoryName?: string;
+    currentListName?: string;
+    lists?: string[];
+}
+
+export interface PluginIntegrationConfiguration extends IntegrationConfiguration<"plugin"> {
+    type: "plugin";
+
+    /** the type specified by the plugin itself */
+    pluginType?: string;
+
+    /** the values of the fields that the plugin asked for */
+    [fieldName: string]: any;
+}
+
+export interface CombinedIntegrationConfiguration extends IntegrationConfiguration<"combined"> {
+    type: "combined";
+
+    /** the configurations of the integrations being combined (never manual or combined) */
+    integrations?: AnyIntegrationConfiguration[];
 }
@@ -0,0 +1,13 @@
+// stored in the internal configuration, so changes should keep tasks stored by earlier versions working
+export interface ManualTask {
+    id: string;
+    title: string;
+
+    /** example value: 2020-10-01 */
+    dueDate?: string;
+
+    /** example value: 14:30, only used if there is a due date */
+    dueTime?: string;
+
+    markedCurrent: boolean;
+}
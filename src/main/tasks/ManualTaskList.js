@@ -0,0 +1,107 @@
+/** @typedef { import("./integrations/IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./ManualTask").ManualTask } ManualTask */
+
+const moment = require("moment");
+const uuid = require("uuid");
+
+/**
+ * The tasks the user keeps in the app itself when using manual mode
+ * At most one task is marked as current.
+ */
+class ManualTaskList {
+    /** @param {ManualTask[]} [tasks] Tasks stored earlier */
+    constructor(tasks) {
+        /** @type {ManualTask[]} */
+        this._tasks = tasks ? [...tasks] : [];
+    }
+
+    /** @returns {ManualTask[]} */
+    getTasks() {
+        return [...this._tasks];
+    }
+
+    /** @returns {ManualTask | undefined} */
+    getCurrentTask() {
+        return this._tasks.find((task) => task.markedCurrent);
+    }
+
+    /**
+     * @param {string} title
+     * @param {string} [dueDate] Format YYYY-MM-DD
+     * @param {string} [dueTime] Format HH:mm, ignored without due date
+     * @param {boolean} [markCurrent]
+     * @returns {ManualTask}
+     */
+    addTask(title, dueDate, dueTime, markCurrent) {
+        /** @type {ManualTask} */
+        const task = {
+            id: uuid.v4(),
+            title,
+            dueDate: dueDate || undefined,
+            dueTime: (dueDate && dueTime) || undefined,
+            markedCurrent: false,
+        };
+
+        this._tasks = [...this._tasks, task];
+
+        if (markCurrent) {
+            this.setCurrent(task.id);
+        }
+
+        return task;
+    }
+
+    /**
+     * Any other task is no longer current afterwards
+     * @param {string} taskId
+     */
+    setCurrent(taskId) {
+        this._checkTaskExists(taskId);
+
+        this._tasks = this._tasks.map((task) => ({
+            ...task,
+            markedCurrent: task.id === taskId,
+        }));
+    }
+
+    clearCurrent() {
+        this._tasks = this._tasks.map((task) => ({ ...task, markedCurrent: false }));
+    }
+
+    /**
+     * Used both for deleting tasks and for completing them, completed tasks aren't kept
+     * @param {string} taskId
+     */
+    removeTask(taskId) {
+        this._checkTaskExists(taskId);
+        this._tasks = this._tasks.filter((task) => task.id !== taskId);
+    }
+
+    /** @param {string} taskId */
+    _checkTaskExists(taskId) {
+        if (!this._tasks.some((task) => task.id === taskId)) {
+            throw new Error("Task not found");
+        }
+    }
+
+    /** @returns {IntegrationTask[]} */
+    getIntegrationTasks() {
+        return this._tasks.map((task) => {
+            let dueDatetime = undefined;
+
+            if (task.dueDate && task.dueTime) {
+                dueDatetime = moment(`${task.dueDate} ${task.dueTime}`, "YYYY-MM-DD HH:mm");
+            }
+
+            return {
+                id: task.id,
+                title: task.title,
+                dueDate: task.dueDate,
+                dueDatetime,
+                markedCurrent: task.markedCurrent,
+            };
+        });
+    }
+}
+
+module.exports = ManualTaskList;
@@ -0,0 +1,91 @@
+const ManualTaskList = require("./ManualTaskList");
+
+describe("ManualTaskList", () => {
+    it("adds tasks with or without due date and time", () => {
+        const taskList = new ManualTaskList();
+
+        taskList.addTask("No date");
+        taskList.addTask("Date", "2020-10-01");
+        taskList.addTask("Date and time", "2020-10-01", "14:30");
+
+        const tasks = taskList.getIntegrationTasks();
+
+        expect(tasks.map((task) => task.title)).toEqual(["No date", "Date", "Date and time"]);
+
+        expect(tasks[0].dueDate).toBeUndefined();
+        expect(tasks[0].dueDatetime).toBeUndefined();
+        expect(tasks[1].dueDate).toBe("2020-10-01");
+        expect(tasks[1].dueDatetime).toBeUndefined();
+        expect(tasks[2].dueDate).toBe("2020-10-01");
+        expect(tasks[2].dueDatetime.format("YYYY-MM-DD HH:mm")).toBe("2020-10-01 14:30");
+    });
+
+    it("ignores a due time without due date", () => {
+        const taskList = new ManualTaskList();
+
+        const task = taskList.addTask("Time only", undefined, "14:30");
+
+        expect(task.dueTime).toBeUndefined();
+    });
+
+    it("gives every task its own ID", () => {
+        const taskList = new ManualTaskList();
+
+        const task1 = taskList.addTask("Task");
+        const task2 = taskList.addTask("Task");
+
+        expect(task1.id).not.toBe(task2.id);
+    });
+
+    it("marks at most one task as current", () => {
+        const taskList = new ManualTaskList();
+
+        const task1 = taskList.addTask("Task 1", undefined, undefined, true);
+        expect(taskList.getCurrentTask().id).toBe(task1.id);
+
+        const task2 = taskList.addTask("Task 2", undefined, undefined, true);
+        expect(taskList.getCurrentTask().id).toBe(task2.id);
+
+        taskList.setCurrent(task1.id);
+
+        const currentTasks = taskList.getTasks().filter((task) => task.markedCurrent);
+        expect(currentTasks.map((task) => task.id)).toEqual([task1.id]);
+    });
+
+    it("can clear the current task without removing it", () => {
+        const taskList = new ManualTaskList();
+        taskList.addTask("Task", undefined, undefined, true);
+
+        taskList.clearCurrent();
+
+        expect(taskList.getCurrentTask()).toBeUndefined();
+        expect(taskList.getTasks().length).toBe(1);
+    });
+
+    it("removes tasks", () => {
+        const taskList = new ManualTaskList();
+        const task1 = taskList.addTask("Task 1");
+        taskList.addTask("Task 2");
+
+        taskList.removeTask(task1.id);
+
+        expect(taskList.getTasks().map((task) => task.title)).toEqual(["Task 2"]);
+    });
+
+    it("throws an error for unknown task IDs", () => {
+        const taskList = new ManualTaskList();
+
+        expect(() => taskList.setCurrent("unknown")).toThrow("Task not found");
+        expect(() => taskList.removeTask("unknown")).toThrow("Task not found");
+    });
+
+    it("continues from stored tasks without changing them", () => {
+        const storedTasks = [{ id: "1", title: "Stored", markedCurrent: true }];
+        const taskList = new ManualTaskList(storedTasks);
+
+        taskList.clearCurrent();
+
+        expect(storedTasks[0].markedCurrent).toBe(true);
+        expect(taskList.getTasks()).toEqual([{ id: "1", title: "Stored", markedCurrent: false }]);
+    });
+});
@@ -0,0 +1,42 @@
+/** @typedef { import("./integrations/IntegrationTask").IntegrationTask } IntegrationTask */
+
+class TasksSorter {
+    /**
+     * Earliest due first, so overdue tasks come first, followed by tasks scheduled for today
+     * On the same date, tasks with a due time come first. Tasks without due date come last.
+     * Returns a new array, tasks that are due at the same time keep their order.
+     * @template {IntegrationTask} T
+     * @param {T[]} tasks
+     * @returns {T[]}
+     */
+    sortByDue(tasks) {
+        return tasks
+            .map((task, index) => ({ task, index }))
+            .sort((a, b) => this._compareDue(a.task, b.task) || a.index - b.index)
+            .map(({ task }) => task);
+    }
+
+    /**
+     * @param {IntegrationTask} a
+     * @param {IntegrationTask} b
+     */
+    _compareDue(a, b) {
+        if (a.dueDate !== b.dueDate) {
+            if (!a.dueDate || !b.dueDate) {
+                return a.dueDate ? -1 : 1;
+            }
+
+            return a.dueDate < b.dueDate ? -1 : 1;
+        }
+
+        if (a.dueDatetime && b.dueDatetime) {
+            return a.dueDatetime.valueOf() - b.dueDatetime.valueOf();
+        } else if (a.dueDatetime || b.dueDatetime) {
+            return a.dueDatetime ? -1 : 1;
+        } else {
+            return 0;
+        }
+    }
+}
+
+module.exports = TasksSorter;
@@ -0,0 +1,71 @@
+/** @typedef { import("./integrations/IntegrationTask").IntegrationTask } IntegrationTask */
+
+const moment = require("moment");
+
+const TasksSorter = require("./TasksSorter");
+
+const tasksSorter = new TasksSorter();
+
+/**
+ * @param {string} title
+ * @param {string} [due] Either a date or a date and time
+ * @returns {IntegrationTask}
+ */
+function createTask(title, due) {
+    const hasTime = due && due.length > 10;
+
+    return {
+        title,
+        dueDate: due && due.substring(0, 10),
+        dueDatetime: hasTime ? moment(due) : undefined,
+        markedCurrent: false,
+    };
+}
+
+describe("TasksSorter", () => {
+    it("sorts tasks by due date, with tasks without due date last", () => {
+        const tasks = [
+            createTask("none"),
+            createTask("tomorrow", "2020-08-16"),
+            createTask("yesterday", "2020-08-14"),
+            createTask("today", "2020-08-15"),
+        ];
+
+        const titles = tasksSorter.sortByDue(tasks).map((task) => task.title);
+
+        expect(titles).toEqual(["yesterday", "today", "tomorrow", "none"]);
+    });
+
+    it("puts tasks with a due time first on the same date, in order of time", () => {
+        const tasks = [
+            createTask("date only", "2020-08-15"),
+            createTask("afternoon", "2020-08-15 15:00"),
+            createTask("morning", "2020-08-15 09:00"),
+        ];
+
+        const titles = tasksSorter.sortByDue(tasks).map((task) => task.title);
+
+        expect(titles).toEqual(["morning", "afternoon", "date only"]);
+    });
+
+    it("keeps the order of tasks that are due at the same time", () => {
+        const tasks = [
+            createTask("first"),
+            createTask("second"),
+            createTask("third", "2020-08-15"),
+            createTask("fourth", "2020-08-15"),
+        ];
+
+        const titles = tasksSorter.sortByDue(tasks).map((task) => task.title);
+
+        expect(titles).toEqual(["third", "fourth", "first", "second"]);
+    });
+
+    it("doesn't change the original array", () => {
+        const tasks = [createTask("none"), createTask("today", "2020-08-15")];
+
+        tasksSorter.sortByDue(tasks);
+
+        expect(tasks.map((task) => task.title)).toEqual(["none", "today"]);
+    });
+});
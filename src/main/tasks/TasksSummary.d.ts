@@ -14,4 +14,10 @@ export interface TasksSummary {
     currentTaskHasTime: boolean;
     currentTaskIsOverdue: boolean;
     currentTaskIsScheduledForToday: boolean;
+
+    /** 0 if the current task has no priority, 1 is the highest priority */
+    currentTaskPriority: number;
+
+    currentTaskProject: string;
+    currentTaskUrl: string;
 }
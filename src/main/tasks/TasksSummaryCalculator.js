@@ -90,6 +90,9 @@ class TasksSummaryCalculator {
         let currentTaskHasTime = false;
         let currentTaskIsOverdue = false;
         let currentTaskIsScheduledForToday = false;
+        let currentTaskPriority = 0;
+        let currentTaskProject = "";
+        let currentTaskUrl = "";
 
         if (currentTask) {
             currentTaskTitle = currentTask.title;
@@ -103,6 +106,9 @@ class TasksSummaryCalculator {
             }
 
             currentTaskIsScheduledForToday = currentTask.dueDate === currentDateLocal;
+            currentTaskPriority = currentTask.priority || 0;
+            currentTaskProject = currentTask.project || "";
+            currentTaskUrl = currentTask.url || "";
         }
 
         return {
@@ -111,6 +117,9 @@ class TasksSummaryCalculator {
             currentTaskHasTime,
             currentTaskIsOverdue,
             currentTaskIsScheduledForToday,
+            currentTaskPriority,
+            currentTaskProject,
+            currentTaskUrl,
         };
     }
 
@@ -132,21 +141,11 @@ class TasksSummaryCalculator {
             currentTaskHasTime: false,
             currentTaskIsOverdue: false,
             currentTaskIsScheduledForToday: false,
+            currentTaskPriority: 0,
+            currentTaskProject: "",
+            currentTaskUrl: "",
         };
     }
-
-    /** @returns {TasksSummary} */
-    getManualTasksSummary(currentTaskTitle) {
-        if (currentTaskTitle) {
-            return {
-                ...this.getPlaceholderTasksSummary(),
-                numberMarkedCurrent: 1,
-                currentTaskTitle,
-            };
-        } else {
-            return this.getPlaceholderTasksSummary();
-        }
-    }
 }
 
 module.exports = TasksSummaryCalculator;
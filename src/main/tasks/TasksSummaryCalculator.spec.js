@@ -176,5 +176,33 @@ describe("TasksSummaryCalculator", () => {
             expect(tasksSummary.currentTaskIsOverdue).toBe(true);
             expect(tasksSummary.currentTaskIsScheduledForToday).toBe(true);
         });
+
+        it("sets the current task's priority, project and URL if available", () => {
+            tasks = [
+                {
+                    title: "Test",
+                    markedCurrent: true,
+                    priority: 1,
+                    project: "Work",
+                    url: "https://example.com/task",
+                },
+            ];
+
+            const tasksSummary = tasksSummaryCalculator.getTasksSummaryFromTasks(tasks, moment());
+
+            expect(tasksSummary.currentTaskPriority).toBe(1);
+            expect(tasksSummary.currentTaskProject).toBe("Work");
+            expect(tasksSummary.currentTaskUrl).toBe("https://example.com/task");
+        });
+
+        it("uses placeholder values if the current task has no priority, project or URL", () => {
+            tasks = [{ title: "Test", markedCurrent: true }];
+
+            const tasksSummary = tasksSummaryCalculator.getTasksSummaryFromTasks(tasks, moment());
+
+            expect(tasksSummary.currentTaskPriority).toBe(0);
+            expect(tasksSummary.currentTaskProject).toBe("");
+            expect(tasksSummary.currentTaskUrl).toBe("");
+        });
     });
 });
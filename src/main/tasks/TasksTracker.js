@@ -1,29 +1,56 @@
 /** @typedef { import("moment").Moment } Moment */
 /** @typedef { import("../configuration/ConfigurationStore") } ConfigurationStore */
-/** @typedef { import("../configuration/IntegrationConfiguration").IntegrationConfiguration} IntegrationConfiguration */
+/** @typedef { import("../configuration/IntegrationConfiguration").AnyIntegrationConfiguration} IntegrationConfiguration */
 /** @typedef { import("../configuration/IntegrationConfiguration").IntegrationType} IntegrationType */
+/** @typedef { import("../windows/DialogInput").DialogField } DialogField */
 /** @typedef { import("../windows/DialogWindowService") } DialogWindowService */
 /** @typedef { import("../Logger") } Logger */
 /** @typedef { import("./integrations/Integration").Integration} Integration */
+/** @typedef { import("./integrations/IntegrationCache").IntegrationCache} IntegrationCache */
+/** @typedef { import("./integrations/IntegrationFactory").IntegrationOption} IntegrationOption */
 /** @typedef { import("./integrations/IntegrationTasksListener").IntegrationTasksListener} IntegrationTasksListener */
 /** @typedef { import("./integrations/IntegrationTask").IntegrationTask} IntegrationTask */
+/** @typedef { import("./integrations/plugins/IntegrationPlugin").LoadedIntegrationPlugin} LoadedIntegrationPlugin */
+/** @typedef { import("./ManualTask").ManualTask} ManualTask */
 /** @typedef { import("./TasksSummaryCalculator") } TasksSummaryCalculator */
 /** @typedef { import("./TasksTrackerListener").TasksTrackerListener} TasksTrackerListener */
 
 const moment = require("moment");
 
-const Todoist = require("./integrations/todoist/Todoist");
-const Trello = require("./integrations/trello/Trello");
+const DateTimeHelper = require("../util/DateTimeHelper");
+const IntegrationConnectionError = require("./integrations/IntegrationConnectionError");
+const IntegrationFactory = require("./integrations/IntegrationFactory");
 const { IntegrationTasksRefresher } = require("./integrations/IntegrationTasksRefresher");
+const ManualTaskList = require("./ManualTaskList");
+const TasksSorter = require("./TasksSorter");
 
 const INTEGRATION_REFRESH_INTERVAL = 2 * 1000;
 const SECONDS_BETWEEN_INTEGRATION_CLEANUP = 10;
 const SECONDS_BETWEEN_INTEGRATION_CLEAR_CURRENT = 10;
 
+/**
+ * A single integration the app gets tasks from
+ * When combining integrations, there are multiple sources. Otherwise, there is at most one.
+ * @typedef {object} IntegrationSource
+ * @property {IntegrationConfiguration} configuration
+ * @property {string} name
+ * @property {Integration} integrationClassInstance Undefined if the integration couldn't be created
+ * @property {IntegrationTasksRefresher} tasksRefresher
+ * @property {IntegrationTask[]} tasks Undefined if the latest refresh failed
+ * @property {boolean} hasKnownTasks Whether the tasks were actually retrieved from the integration
+ * @property {Moment} lastSuccessfulRefresh Initially the time the source was created
+ * @property {string} errorMessage
+ * @property {string} warningMessage Explains why the last known tasks are still being used
+ * @property {Moment} lastTimeCleanupPerformed
+ */
+
 /** @implements {IntegrationTasksListener} */
 class TasksTracker {
     /**
      * @param {IntegrationConfiguration} integrationConfiguration
+     * @param {ManualTask[]} manualTasks
+     * @param {LoadedIntegrationPlugin[]} integrationPlugins
+     * @param {IntegrationCache} integrationCache
      * @param {TasksSummaryCalculator} tasksSummaryCalculator
      * @param {TasksTrackerListener} tasksTrackerListener
      * @param {DialogWindowService} dialogWindowService
@@ -31,6 +58,9 @@ class TasksTracker {
      */
     constructor(
         integrationConfiguration,
+        manualTasks,
+        integrationPlugins,
+        integrationCache,
         tasksSummaryCalculator,
         tasksTrackerListener,
         dialogWindowService,
@@ -40,106 +70,199 @@ class TasksTracker {
         this._tasksTrackerListener = tasksTrackerListener;
         this._dialogWindowService = dialogWindowService;
         this._logger = logger;
-        this._integrationTasksRefresher = new IntegrationTasksRefresher(this, logger);
+        this._dateTimeHelper = new DateTimeHelper();
+        this._tasksSorter = new TasksSorter();
+        this._integrationFactory = new IntegrationFactory(
+            integrationPlugins,
+            integrationCache,
+            logger
+        );
+
+        // kept when switching integrations, so users can come back to their manual tasks
+        this._manualTaskList = new ManualTaskList(manualTasks);
 
-        this._manualTask = undefined;
-        this._integrationTasks = undefined;
-        this._integrationErrorMessage = undefined;
+        /** @type {IntegrationSource[]} */
+        this._integrationSources = [];
 
         this._hasOpenDialog = false;
 
         this._setUpIntegration(integrationConfiguration);
     }
 
+    /** @param {IntegrationConfiguration} integrationConfiguration */
     _setUpIntegration(integrationConfiguration) {
-        const integrationType = integrationConfiguration ? integrationConfiguration.type : "manual";
-        this._setIntegrationType(integrationType);
+        this._setIntegrationConfiguration(integrationConfiguration || { type: "manual" });
+
+        this._refreshFromIntegrations();
+        setInterval(() => this._refreshFromIntegrations(), INTEGRATION_REFRESH_INTERVAL);
+    }
 
-        if (this._integrationClassInstance) {
-            this._integrationClassInstance.configure(integrationConfiguration);
+    /** @param {IntegrationConfiguration} integrationConfiguration */
+    _setIntegrationConfiguration(integrationConfiguration) {
+        for (const source of this._integrationSources) {
+            this._destroyIntegrationSource(source);
         }
 
-        this._refreshFromIntegration();
-        setInterval(() => this._refreshFromIntegration(), INTEGRATION_REFRESH_INTERVAL);
+        /** @type {IntegrationType} */
+        this._integrationType = integrationConfiguration.type;
+
+        this._pluginType = this._getPluginType(integrationConfiguration);
+
+        if (integrationConfiguration.type === "manual") {
+            this._integrationSources = [];
+        } else if (integrationConfiguration.type === "combined") {
+            const configurations = integrationConfiguration.integrations || [];
+
+            this._integrationSources = configurations.map((configuration) =>
+                this._createIntegrationSource(configuration)
+            );
+        } else {
+            this._integrationSources = [this._createIntegrationSource(integrationConfiguration)];
+        }
     }
 
-    /** @param {IntegrationType} integrationType */
-    _setIntegrationType(integrationType) {
-        /** @type {IntegrationType} */
-        this._integrationType = integrationType;
+    /**
+     * @param {IntegrationConfiguration} configuration
+     * @returns {IntegrationSource}
+     */
+    _createIntegrationSource(configuration) {
+        const pluginType = this._getPluginType(configuration);
+
+        /** @type {IntegrationSource} */
+        const source = {
+            configuration,
+            name: this._integrationFactory.getName(configuration.type, pluginType),
+            integrationClassInstance: undefined,
+            tasksRefresher: new IntegrationTasksRefresher(this, this._logger),
+            tasks: [],
+            hasKnownTasks: false,
+            lastSuccessfulRefresh: moment(),
+            errorMessage: undefined,
+            warningMessage: undefined,
+            lastTimeCleanupPerformed: undefined,
+        };
+
+        try {
+            const integrationClassInstance = this._integrationFactory.createIntegration(
+                configuration.type,
+                pluginType
+            );
 
-        /** @type {Integration} */
-        this._integrationClassInstance = undefined;
+            integrationClassInstance.configure(configuration);
+            source.integrationClassInstance = integrationClassInstance;
 
-        if (integrationType === "todoist") {
-            this._logger.info("Initializing Todoist integration");
-            this._integrationClassInstance = new Todoist(this._logger);
-        } else if (integrationType === "trello") {
-            this._logger.info("Initializing Trello integration");
-            this._integrationClassInstance = new Trello(this._logger);
+            const initialTasks =
+                integrationClassInstance.getInitialTasks &&
+                integrationClassInstance.getInitialTasks();
+
+            if (initialTasks) {
+                source.tasks = initialTasks;
+                source.hasKnownTasks = true;
+            }
+        } catch (error) {
+            source.tasks = undefined;
+            source.errorMessage = error.message;
         }
 
-        this._manualTask = undefined;
-        this._integrationTasks = this._integrationClassInstance ? [] : undefined;
-        this._integrationErrorMessage = undefined;
+        return source;
     }
 
-    _refreshFromIntegration() {
-        if (!this._integrationClassInstance) {
-            return;
+    /** @param {IntegrationConfiguration} configuration */
+    _getPluginType(configuration) {
+        return configuration.type === "plugin" ? configuration.pluginType : undefined;
+    }
+
+    /** @param {IntegrationSource} source */
+    _destroyIntegrationSource(source) {
+        const integrationClassInstance = source.integrationClassInstance;
+
+        if (integrationClassInstance && integrationClassInstance.destroy) {
+            integrationClassInstance.destroy();
         }
+    }
 
-        this._integrationTasksRefresher.triggerRefresh(this._integrationClassInstance);
+    _refreshFromIntegrations() {
+        for (const source of this._integrationSources) {
+            if (source.integrationClassInstance) {
+                source.tasksRefresher.triggerRefresh(source.integrationClassInstance);
+            }
+        }
     }
 
     /**
      * @param {IntegrationTask[]} tasks
      * @param {string} errorMessage
      * @param {Integration} integrationClassInstance
+     * @param {boolean} [isConnectionError]
      */
-    onTasksRefreshed(tasks, errorMessage, integrationClassInstance) {
-        if (integrationClassInstance !== this._integrationClassInstance) {
+    onTasksRefreshed(tasks, errorMessage, integrationClassInstance, isConnectionError) {
+        const source = this._integrationSources.find(
+            (item) => item.integrationClassInstance === integrationClassInstance
+        );
+
+        if (!source) {
             return;
         }
 
-        this._integrationTasks = tasks;
-        this._integrationErrorMessage = errorMessage;
+        if (isConnectionError && source.hasKnownTasks) {
+            // being offline for a bit shouldn't be an error, users can decide how long is too long
+            this._logger.debugIntegration(
+                `Keeping last known tasks for ${source.name} integration`
+            );
+            source.errorMessage = undefined;
+
+            // users should still be able to see that the tasks might be outdated (for example because of a rate limit)
+            source.warningMessage = errorMessage;
+        } else {
+            source.tasks = tasks;
+            source.hasKnownTasks = !!tasks;
+            source.errorMessage = errorMessage;
+            source.warningMessage = undefined;
+        }
+
+        if (!errorMessage) {
+            source.lastSuccessfulRefresh = moment();
+        }
 
         let isCleanupNeeded = false;
 
         try {
-            isCleanupNeeded = this._integrationClassInstance.isCleanupNeeded();
+            isCleanupNeeded = integrationClassInstance.isCleanupNeeded();
         } catch (error) {
             this._logger.error(
-                `Failed to check if current integration needs cleanup: ${error.message}`
+                `Failed to check if ${source.name} integration needs cleanup: ${error.message}`
             );
         }
 
         if (isCleanupNeeded) {
-            this._performCleanupForIntegration();
+            this._performCleanupForIntegration(source);
         }
     }
 
-    async _performCleanupForIntegration() {
+    /** @param {IntegrationSource} source */
+    async _performCleanupForIntegration(source) {
         let secondsSinceCleanupPerformed = Infinity;
 
-        if (this._lastTimeCleanupPerformed) {
-            secondsSinceCleanupPerformed = moment().diff(this._lastTimeCleanupPerformed, "seconds");
+        if (source.lastTimeCleanupPerformed) {
+            secondsSinceCleanupPerformed = moment().diff(
+                source.lastTimeCleanupPerformed,
+                "seconds"
+            );
         }
 
         if (secondsSinceCleanupPerformed < SECONDS_BETWEEN_INTEGRATION_CLEANUP) {
             return;
         }
 
-        this._lastTimeCleanupPerformed = moment();
-        this._logger.debugIntegration("Performing cleanup for integration");
+        source.lastTimeCleanupPerformed = moment();
+        this._logger.debugIntegration(`Performing cleanup for ${source.name} integration`);
 
         try {
-            await this._integrationClassInstance.performCleanup();
+            await source.integrationClassInstance.performCleanup();
             this._logger.debugIntegration("Successfully performed cleanup for integration");
         } catch (error) {
             this._logger.error(
-                `Failed to perform cleanup for current integration: ${error.message}`
+                `Failed to perform cleanup for ${source.name} integration: ${error.message}`
             );
         }
     }
@@ -147,10 +270,18 @@ class TasksTracker {
     /** @param {Moment} now */
     getTasksSummary(now) {
         if (this._integrationType === "manual") {
-            return this._tasksSummaryCalculator.getManualTasksSummary(this._manualTask);
-        } else if (this._integrationTasks) {
             return this._tasksSummaryCalculator.getTasksSummaryFromTasks(
-                this._integrationTasks,
+                this._manualTaskList.getIntegrationTasks(),
+                now
+            );
+        }
+
+        // errors from one integration shouldn't hide the tasks from other integrations
+        const sourcesWithTasks = this._integrationSources.filter((source) => source.tasks);
+
+        if (sourcesWithTasks.length > 0) {
+            return this._tasksSummaryCalculator.getTasksSummaryFromTasks(
+                sourcesWithTasks.flatMap((source) => source.tasks),
                 now
             );
         } else {
@@ -158,85 +289,587 @@ class TasksTracker {
         }
     }
 
+    /**
+     * When combining integrations, this is based on the integration that was refreshed least recently
+     * @param {Moment} now
+     */
+    getSecondsSinceLastSuccessfulRefresh(now) {
+        const sourcesWithIntegration = this._integrationSources.filter(
+            (source) => source.integrationClassInstance
+        );
+
+        if (sourcesWithIntegration.length === 0) {
+            return 0;
+        }
+
+        return Math.max(
+            ...sourcesWithIntegration.map((source) =>
+                this._dateTimeHelper.getSecondsSinceTimestampRounded(
+                    source.lastSuccessfulRefresh,
+                    now
+                )
+            )
+        );
+    }
+
     getTasksErrorMessage() {
-        return this._integrationErrorMessage;
+        if (this._integrationType === "combined" && this._integrationSources.length === 0) {
+            return "No integrations added yet";
+        }
+
+        return this._getMessageFromSources((source) => source.errorMessage);
+    }
+
+    getTasksWarningMessage() {
+        return this._getMessageFromSources((source) => source.warningMessage);
+    }
+
+    /** @param {(source: IntegrationSource) => string} getMessage */
+    _getMessageFromSources(getMessage) {
+        const sourcesWithMessage = this._integrationSources.filter((source) => getMessage(source));
+
+        if (sourcesWithMessage.length === 0) {
+            return undefined;
+        } else if (this._integrationType === "combined") {
+            return sourcesWithMessage
+                .map((source) => `${source.name}: ${getMessage(source)}`)
+                .join("; ");
+        } else {
+            return getMessage(sourcesWithMessage[0]);
+        }
     }
 
     getIntegrationType() {
         return this._integrationType;
     }
 
-    /** @param {IntegrationType} integrationType */
-    changeIntegrationType(integrationType) {
+    getPluginType() {
+        return this._pluginType;
+    }
+
+    /** @returns {IntegrationOption[]} */
+    getIntegrationOptions() {
+        return this._integrationFactory.getIntegrationOptions();
+    }
+
+    /** @returns {IntegrationOption[]} */
+    getCombinedIntegrations() {
+        if (this._integrationType !== "combined") {
+            return [];
+        }
+
+        return this._integrationSources.map((source) => ({
+            type: source.configuration.type,
+            pluginType: this._getPluginType(source.configuration),
+            name: source.name,
+        }));
+    }
+
+    supportsChoosingCurrent() {
+        if (this._integrationType === "manual") {
+            return true;
+        }
+
+        return this._integrationSources.some(
+            (source) =>
+                source.integrationClassInstance && source.integrationClassInstance.setCurrent
+        );
+    }
+
+    supportsCompletingCurrent() {
+        if (this._integrationType === "manual") {
+            return true;
+        }
+
+        return this._integrationSources.some(
+            (source) =>
+                source.integrationClassInstance && source.integrationClassInstance.completeCurrent
+        );
+    }
+
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginType] Only relevant for plugin integrations
+     */
+    changeIntegrationType(integrationType, pluginType) {
         if (this._hasOpenDialog) {
             this._dialogWindowService.focusOpenDialog();
             return;
         }
 
-        if (this._integrationType === integrationType) {
+        if (this._integrationType === integrationType && this._pluginType === pluginType) {
             return;
         }
 
-        this._setIntegrationType(integrationType);
+        /** @type {IntegrationConfiguration} */
+        let newConfiguration;
 
-        this._logger.info(`Changed integration type to ${integrationType}`);
-        this._tasksTrackerListener.onIntegrationTypeChanged();
+        if (integrationType === "combined") {
+            // start from the integration that was already being used, if any
+            const isSingleIntegration = !["manual", "combined"].includes(this._integrationType);
+            const existingConfigurations = isSingleIntegration
+                ? [this._integrationSources[0].configuration]
+                : [];
 
-        const newConfiguration = { type: integrationType };
+            newConfiguration = { type: "combined", integrations: existingConfigurations };
+        } else {
+            newConfiguration = this._getConfigurationBase(integrationType, pluginType);
+        }
+
+        this._setIntegrationConfiguration(newConfiguration);
+
+        if (integrationType === "plugin") {
+            this._logger.info(`Changed integration type to plugin ${pluginType}`);
+        } else {
+            this._logger.info(`Changed integration type to ${integrationType}`);
+        }
+
+        this._tasksTrackerListener.onIntegrationTypeChanged();
         this._tasksTrackerListener.onIntegrationConfigurationChanged(newConfiguration);
     }
 
-    async setManualCurrentTask() {
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginType]
+     * @returns {IntegrationConfiguration}
+     */
+    _getConfigurationBase(integrationType, pluginType) {
+        if (integrationType === "plugin") {
+            return { type: integrationType, pluginType };
+        } else {
+            return { type: integrationType };
+        }
+    }
+
+    /** @returns {IntegrationConfiguration} */
+    _getIntegrationConfiguration() {
+        if (this._integrationType === "manual") {
+            return { type: "manual" };
+        } else if (this._integrationType === "combined") {
+            const integrations = this._integrationSources.map((source) => source.configuration);
+            return { type: "combined", integrations };
+        } else {
+            return this._integrationSources[0].configuration;
+        }
+    }
+
+    /**
+     * @param {IntegrationType} integrationType
+     * @param {string} [pluginType] Only relevant for plugin integrations
+     */
+    async addCombinedIntegration(integrationType, pluginType) {
+        if (this._hasOpenDialog) {
+            this._dialogWindowService.focusOpenDialog();
+            return;
+        }
+
+        const isAlreadyAdded = this._integrationSources.some(
+            (source) =>
+                source.configuration.type === integrationType &&
+                this._getPluginType(source.configuration) === pluginType
+        );
+
+        if (this._integrationType !== "combined" || isAlreadyAdded) {
+            return;
+        }
+
+        const configuration = this._getConfigurationBase(integrationType, pluginType);
+        const source = this._createIntegrationSource(configuration);
+        this._integrationSources.push(source);
+
+        this._logger.info(`Added ${source.name} to combined integrations`);
+        this._tasksTrackerListener.onIntegrationTypeChanged();
+        this._tasksTrackerListener.onIntegrationConfigurationChanged(
+            this._getIntegrationConfiguration()
+        );
+
+        await this.configureIntegration(this._integrationSources.length - 1);
+    }
+
+    /** @param {number} index */
+    removeCombinedIntegration(index) {
+        if (this._hasOpenDialog) {
+            this._dialogWindowService.focusOpenDialog();
+            return;
+        }
+
+        const source = this._integrationSources[index];
+
+        if (this._integrationType !== "combined" || !source) {
+            return;
+        }
+
+        this._destroyIntegrationSource(source);
+        this._integrationSources.splice(index, 1);
+
+        this._logger.info(`Removed ${source.name} from combined integrations`);
+        this._tasksTrackerListener.onIntegrationTypeChanged();
+        this._tasksTrackerListener.onIntegrationConfigurationChanged(
+            this._getIntegrationConfiguration()
+        );
+    }
+
+    async addManualTask() {
+        if (this._hasOpenDialog) {
+            this._dialogWindowService.focusOpenDialog();
+            return;
+        }
+
         if (this._integrationType !== "manual") {
             return;
         }
 
         this._hasOpenDialog = true;
 
-        const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
-            fields: [
-                {
-                    type: "text",
-                    name: "currentTaskTitle",
-                    label: "Current task",
-                    placeholder: "Enter the task title here",
-                    required: true,
-                    currentValue: this._manualTask,
-                },
-            ],
-            submitButtonName: "Set as current task",
-        });
+        let dialogResult;
 
-        this._hasOpenDialog = false;
+        try {
+            dialogResult = await this._getManualTaskFromDialog();
+        } finally {
+            this._hasOpenDialog = false;
+        }
 
         if (!dialogResult) {
             return;
         }
 
-        this._manualTask = dialogResult.currentTaskTitle;
-        this._logger.info("Set manual current task");
-        this._tasksTrackerListener.onManualTaskChanged();
+        this._manualTaskList.addTask(
+            dialogResult.title,
+            dialogResult.dueDate,
+            dialogResult.dueTime,
+            dialogResult.markCurrent
+        );
+
+        this._logger.info("Added manual task");
+        this._notifyManualTasksChanged();
+    }
+
+    /**
+     * Keeps showing the dialog until the user enters a valid task or cancels
+     * @returns {Promise<{ title: string, dueDate?: string, dueTime?: string, markCurrent: boolean }>}
+     */
+    async _getManualTaskFromDialog() {
+        /** @type {DialogField[]} */
+        let fields = [
+            {
+                type: "text",
+                name: "title",
+                label: "Task",
+                placeholder: "Enter the task title here",
+                required: true,
+            },
+            {
+                type: "text",
+                name: "dueDate",
+                label: "Due date",
+                placeholder: "YYYY-MM-DD",
+                required: false,
+                pattern: "\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])",
+            },
+            {
+                type: "text",
+                name: "dueTime",
+                label: "Due time",
+                placeholder: "HH:mm",
+                required: false,
+                pattern: "([0-1][0-9]|2[0-3]):[0-5][0-9]",
+                info: "Only used if the task has a due date.",
+            },
+            {
+                type: "boolean",
+                name: "markCurrent",
+                label: "Set as current task",
+                currentValue: true,
+            },
+        ];
+
+        let errorMessage;
+
+        while (true) {
+            const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+                errorMessage,
+                fields,
+                submitButtonName: "Add task",
+            });
+
+            if (!dialogResult) {
+                return undefined;
+            }
+
+            const dueDate = dialogResult.dueDate;
+
+            // the pattern still accepts dates that don't exist, like 2021-02-31
+            if (!dueDate || moment(dueDate, "YYYY-MM-DD", true).isValid()) {
+                return dialogResult;
+            }
+
+            errorMessage = `Invalid due date '${dueDate}'`;
+
+            // when showing the dialog again, keep what the user entered
+            fields = fields.map((field) => ({ ...field, currentValue: dialogResult[field.name] }));
+        }
     }
 
-    removeManualCurrentTask() {
+    async deleteManualTask() {
+        if (this._hasOpenDialog) {
+            this._dialogWindowService.focusOpenDialog();
+            return;
+        }
+
         if (this._integrationType !== "manual") {
             return;
         }
 
-        this._manualTask = undefined;
-        this._logger.info("Removed manual current task");
-        this._tasksTrackerListener.onManualTaskChanged();
+        const tasks = this._manualTaskList
+            .getIntegrationTasks()
+            .map((task) => ({ ...task, choiceValue: task.id }));
+
+        const taskId = await this._chooseTaskFromList(
+            tasks,
+            "Task to delete",
+            "Delete task",
+            false
+        );
+
+        if (!taskId) {
+            return;
+        }
+
+        this._manualTaskList.removeTask(taskId);
+        this._logger.info("Deleted manual task");
+        this._notifyManualTasksChanged();
+    }
+
+    clearManualCurrentTask() {
+        if (this._integrationType !== "manual" || !this._manualTaskList.getCurrentTask()) {
+            return;
+        }
+
+        this._manualTaskList.clearCurrent();
+        this._logger.info("Cleared manual current task");
+        this._notifyManualTasksChanged();
+    }
+
+    _notifyManualTasksChanged() {
+        this._tasksTrackerListener.onManualTasksChanged(this._manualTaskList.getTasks());
     }
 
     async clearCurrent() {
-        if (this._integrationType === "manual" && this._manualTask) {
-            this.removeManualCurrentTask();
-        } else if (this._integrationClassInstance) {
-            this._clearCurrentForIntegration();
+        if (this._integrationType === "manual") {
+            this.clearManualCurrentTask();
+        } else if (this._integrationSources.length > 0) {
+            this._clearCurrentForIntegrations();
         }
     }
 
-    async _clearCurrentForIntegration() {
+    /**
+     * Throws an error with a message for the user if the current task can't be marked as done
+     */
+    async completeCurrent() {
+        if (this._integrationType === "manual") {
+            const currentTask = this._manualTaskList.getCurrentTask();
+
+            if (!currentTask) {
+                throw new Error("There is no current task");
+            }
+
+            // completed manual tasks aren't kept
+            this._manualTaskList.removeTask(currentTask.id);
+            this._logger.info("Marked manual current task as done");
+            this._notifyManualTasksChanged();
+            return;
+        }
+
+        const sourcesWithCurrentTasks = this._integrationSources.filter(
+            (source) => source.tasks && source.tasks.some((task) => task.markedCurrent)
+        );
+
+        const numberMarkedCurrent = sourcesWithCurrentTasks
+            .flatMap((source) => source.tasks)
+            .filter((task) => task.markedCurrent).length;
+
+        if (numberMarkedCurrent === 0) {
+            throw new Error("There is no current task");
+        } else if (numberMarkedCurrent > 1) {
+            throw new Error("There are multiple current tasks, the app doesn't know which one");
+        }
+
+        const source = sourcesWithCurrentTasks[0];
+
+        if (!source.integrationClassInstance.completeCurrent) {
+            throw new Error(`The ${source.name} integration can't mark tasks as done`);
+        }
+
+        this._logger.info(`Marking current task as done for ${source.name} integration`);
+        await source.integrationClassInstance.completeCurrent();
+    }
+
+    /**
+     * Throws an error with a message for the user if the chosen task can't be set as current
+     */
+    async chooseCurrentTask() {
+        if (this._hasOpenDialog) {
+            this._dialogWindowService.focusOpenDialog();
+            return;
+        }
+
+        if (this._integrationType === "manual") {
+            await this._chooseManualCurrentTask();
+            return;
+        }
+
+        const sourcesWithChoice = this._integrationSources.filter(
+            (source) =>
+                source.integrationClassInstance && source.integrationClassInstance.setCurrent
+        );
+
+        if (sourcesWithChoice.length === 0) {
+            throw new Error("Your integration doesn't support choosing the current task");
+        }
+
+        /** @type {Map<string, { source: IntegrationSource, taskId: string }>} */
+        const choices = new Map();
+
+        const tasks = sourcesWithChoice.flatMap((source, sourceIndex) =>
+            (source.tasks || [])
+                .filter((task) => task.id !== undefined)
+                .map((task) => {
+                    // task IDs are only unique within an integration
+                    const choiceValue = `${sourceIndex}/${task.id}`;
+                    choices.set(choiceValue, { source, taskId: task.id });
+                    return { ...task, choiceValue };
+                })
+        );
+
+        const choiceValue = await this._chooseTaskFromList(
+            tasks,
+            "Current task",
+            "Set as current task",
+            true
+        );
+
+        if (!choiceValue) {
+            return;
+        }
+
+        const { source, taskId } = choices.get(choiceValue);
+
+        this._logger.info(`Setting current task for ${source.name} integration`);
+        await source.integrationClassInstance.setCurrent(taskId);
+
+        // when combining integrations, the chosen task should be the only current task
+        const otherSourcesWithCurrentTasks = this._integrationSources.filter(
+            (other) =>
+                other !== source &&
+                other.integrationClassInstance &&
+                other.tasks &&
+                other.tasks.some((task) => task.markedCurrent)
+        );
+
+        await Promise.all(
+            otherSourcesWithCurrentTasks.map((other) =>
+                other.integrationClassInstance.clearCurrent()
+            )
+        );
+    }
+
+    async _chooseManualCurrentTask() {
+        const tasks = this._manualTaskList
+            .getIntegrationTasks()
+            .map((task) => ({ ...task, choiceValue: task.id }));
+
+        const taskId = await this._chooseTaskFromList(
+            tasks,
+            "Current task",
+            "Set as current task",
+            true
+        );
+
+        if (!taskId) {
+            return;
+        }
+
+        this._manualTaskList.setCurrent(taskId);
+        this._logger.info("Set manual current task");
+        this._notifyManualTasksChanged();
+    }
+
+    /**
+     * Lets the user pick one of the tasks, sorted by due date
+     * @param {(IntegrationTask & { choiceValue: string })[]} tasks
+     * @param {string} label
+     * @param {string} submitButtonName
+     * @param {boolean} selectCurrent Whether to initially select the task marked as current
+     * @returns {Promise<string | undefined>} The choice value of the chosen task, if any
+     */
+    async _chooseTaskFromList(tasks, label, submitButtonName, selectCurrent) {
+        const sortedTasks = this._tasksSorter.sortByDue(tasks);
+        const tasksMarkedCurrent = selectCurrent
+            ? sortedTasks.filter((task) => task.markedCurrent)
+            : [];
+        const now = moment();
+
+        this._hasOpenDialog = true;
+
+        let dialogResult;
+
+        try {
+            dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+                fields: [
+                    {
+                        type: "list",
+                        name: "task",
+                        label,
+                        listPlaceholder: "No tasks to choose from",
+                        required: true,
+                        options: sortedTasks.map((task) => ({
+                            value: task.choiceValue,
+                            label: this._getTaskLabelForChoosing(task, now),
+                        })),
+                        currentValue:
+                            tasksMarkedCurrent.length === 1
+                                ? tasksMarkedCurrent[0].choiceValue
+                                : undefined,
+                    },
+                ],
+                submitButtonName,
+            });
+        } finally {
+            this._hasOpenDialog = false;
+        }
+
+        return dialogResult ? dialogResult.task : undefined;
+    }
+
+    /**
+     * Example: Write report (Work, overdue)
+     * @param {IntegrationTask} task
+     * @param {Moment} now
+     */
+    _getTaskLabelForChoosing(task, now) {
+        const details = [];
+
+        if (task.project) {
+            details.push(task.project);
+        }
+
+        const currentDateLocal = this._dateTimeHelper.getDateString(now);
+
+        const isOverdue = task.dueDatetime
+            ? task.dueDatetime.isBefore(now)
+            : !!task.dueDate && task.dueDate < currentDateLocal;
+
+        if (isOverdue) {
+            details.push("overdue");
+        } else if (task.dueDate) {
+            const date = task.dueDate === currentDateLocal ? "today" : task.dueDate;
+            details.push(task.dueDatetime ? `${date} ${task.dueDatetime.format("HH:mm")}` : date);
+        }
+
+        return details.length > 0 ? `${task.title} (${details.join(", ")})` : task.title;
+    }
+
+    async _clearCurrentForIntegrations() {
         let secondsSinceCleared = Infinity;
 
         if (this._lastTimeCurrentCleared) {
@@ -249,39 +882,123 @@ class TasksTracker {
 
         this._lastTimeCurrentCleared = moment();
 
-        try {
-            await this._integrationClassInstance.clearCurrent();
-        } catch (_error) {
-            this._logger.error("Error clearing current task");
-        }
+        const sourcesToClear = this._integrationSources.filter(
+            (source) => source.integrationClassInstance
+        );
+
+        await Promise.all(
+            sourcesToClear.map(async (source) => {
+                try {
+                    await source.integrationClassInstance.clearCurrent();
+                } catch (_error) {
+                    this._logger.error(`Error clearing current task for ${source.name}`);
+                }
+            })
+        );
     }
 
-    async configureIntegration() {
-        if (!this._integrationClassInstance) {
+    /** @param {number} [index] Only relevant when combining integrations */
+    async configureIntegration(index = 0) {
+        const source = this._integrationSources[index];
+
+        if (!source || !source.integrationClassInstance) {
             return;
         }
 
         this._hasOpenDialog = true;
 
-        const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
-            fields: this._integrationClassInstance.getConfigurationDialogFields(),
-            submitButtonName: "Save configuration",
-        });
+        let configuration;
 
-        this._hasOpenDialog = false;
+        try {
+            configuration = await this._getValidatedConfigurationFromDialog(source);
+        } finally {
+            // a failing integration shouldn't block all dialogs until the app is restarted
+            this._hasOpenDialog = false;
+        }
 
-        if (!dialogResult) {
-            return;
+        if (!configuration) {
+            return; // cancelled by user
         }
 
-        const configuration = {
-            type: this._integrationType,
-            ...dialogResult,
-        };
+        source.configuration = configuration;
+        source.integrationClassInstance.configure(configuration);
+
+        // tasks retrieved with the old configuration shouldn't be used when offline
+        source.hasKnownTasks = false;
+        source.warningMessage = undefined;
+        source.lastSuccessfulRefresh = moment();
+
+        this._logger.info(`Adjusted ${source.name} integration configuration`);
 
-        this._integrationClassInstance.configure(configuration);
-        this._logger.info("Adjusted integration configuration");
-        this._tasksTrackerListener.onIntegrationConfigurationChanged(configuration);
+        this._tasksTrackerListener.onIntegrationConfigurationChanged(
+            this._getIntegrationConfiguration()
+        );
+    }
+
+    /**
+     * Keeps showing the dialog until the configuration is accepted or the user cancels
+     * @param {IntegrationSource} source
+     * @returns {Promise<IntegrationConfiguration | undefined>}
+     */
+    async _getValidatedConfigurationFromDialog(source) {
+        const pluginType = this._getPluginType(source.configuration);
+        let fields = await source.integrationClassInstance.getConfigurationDialogFields();
+        let errorMessage;
+
+        while (true) {
+            const dialogResult = await this._dialogWindowService.openDialogAndGetResult({
+                message: this._integrationType === "combined" ? source.name : undefined,
+                errorMessage,
+                fields,
+                submitButtonName: "Save configuration",
+            });
+
+            if (!dialogResult) {
+                return undefined;
+            }
+
+            /** @type {IntegrationConfiguration} */
+            const configuration = {
+                ...dialogResult,
+                ...this._getConfigurationBase(source.configuration.type, pluginType),
+            };
+
+            errorMessage = await this._getConfigurationErrorMessage(source, configuration);
+
+            if (!errorMessage) {
+                return configuration;
+            }
+
+            // when showing the dialog again, keep what the user entered
+            fields = fields.map((field) => ({ ...field, currentValue: dialogResult[field.name] }));
+        }
+    }
+
+    /**
+     * @param {IntegrationSource} source
+     * @param {IntegrationConfiguration} configuration
+     * @returns {Promise<string | undefined>}
+     */
+    async _getConfigurationErrorMessage(source, configuration) {
+        const integrationClassInstance = source.integrationClassInstance;
+
+        if (!integrationClassInstance.testConfiguration) {
+            return undefined;
+        }
+
+        try {
+            await integrationClassInstance.testConfiguration(configuration);
+            return undefined;
+        } catch (error) {
+            if (error instanceof IntegrationConnectionError) {
+                // not being able to check the configuration right now shouldn't prevent saving it
+                this._logger.warn(`Could not test ${source.name} configuration: ${error.message}`);
+                return undefined;
+            }
+
+            this._logger.info(`${source.name} configuration not accepted: ${error.message}`);
+            return error.message;
+        }
     }
 }
 
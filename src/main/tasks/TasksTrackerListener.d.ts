@@ -1,7 +1,8 @@
 import { IntegrationConfiguration } from "../configuration/IntegrationConfiguration";
+import { ManualTask } from "./ManualTask";
 
 export interface TasksTrackerListener {
-    onManualTaskChanged: () => void;
+    onManualTasksChanged: (manualTasks: ManualTask[]) => void;
     onIntegrationTypeChanged: () => void;
     onIntegrationConfigurationChanged: (configuration: IntegrationConfiguration<any>) => void;
 }
@@ -0,0 +1,120 @@
+/** @typedef { import("axios").AxiosResponse } AxiosResponse */
+/** @typedef { import("../../Logger") } Logger */
+
+const INITIAL_BACKOFF_SECONDS = 4;
+const MAX_BACKOFF_SECONDS = 5 * 60;
+
+/**
+ * Keeps track of an API being overloaded or rate limiting us, so we don't keep calling it on every refresh
+ */
+class ApiBackoff {
+    /**
+     * @param {string} serviceName
+     * @param {Logger} logger
+     */
+    constructor(serviceName, logger) {
+        this._serviceName = serviceName;
+        this._logger = logger;
+
+        this._numberOfBackoffs = 0;
+        this._backoffUntil = 0;
+        this._backoffError = undefined;
+    }
+
+    /** @param {AxiosResponse} [response] */
+    shouldBackOff(response) {
+        return !!response && (response.status === 429 || response.status >= 500);
+    }
+
+    /**
+     * Throws the error that caused the backoff if we are still backing off
+     * @param {string} callDescription
+     */
+    checkNotBackingOff(callDescription) {
+        const remainingSeconds = Math.ceil((this._backoffUntil - Date.now()) / 1000);
+
+        if (remainingSeconds > 0) {
+            this._logger.debugIntegration(
+                `${callDescription} call skipped, backing off for another ${remainingSeconds} seconds`
+            );
+
+            throw this._backoffError;
+        }
+    }
+
+    /**
+     * @template {Error} E
+     * @param {E} error The error to throw for calls made while backing off
+     * @param {AxiosResponse} response
+     * @param {string} callDescription
+     * @returns {E}
+     */
+    startBackoff(error, response, callDescription) {
+        // calls running in parallel can fail together, which shouldn't make the backoff grow even faster
+        if (Date.now() < this._backoffUntil) {
+            return error;
+        }
+
+        this._numberOfBackoffs++;
+
+        const retryAfterSeconds = this._getRetryAfterSeconds(response);
+
+        const exponentialBackoffSeconds = Math.min(
+            INITIAL_BACKOFF_SECONDS * 2 ** (this._numberOfBackoffs - 1),
+            MAX_BACKOFF_SECONDS
+        );
+
+        const backoffSeconds =
+            retryAfterSeconds !== undefined ? retryAfterSeconds : exponentialBackoffSeconds;
+
+        this._backoffUntil = Date.now() + backoffSeconds * 1000;
+        this._backoffError = error;
+
+        const reason = retryAfterSeconds !== undefined ? "as requested by the API" : "exponential";
+
+        this._logger.debugIntegration(
+            `${callDescription} call failed with status code ${response.status}, backing off for ${backoffSeconds} seconds (${reason}, backoff ${this._numberOfBackoffs} in a row)`
+        );
+
+        return error;
+    }
+
+    reset() {
+        if (this._numberOfBackoffs > 0) {
+            this._logger.debugIntegration(
+                `${this._serviceName} calls successful again after backoff`
+            );
+        }
+
+        this._numberOfBackoffs = 0;
+        this._backoffUntil = 0;
+        this._backoffError = undefined;
+    }
+
+    /**
+     * The Retry-After header contains either a number of seconds or an HTTP date
+     * @param {AxiosResponse} response
+     * @returns {number | undefined}
+     */
+    _getRetryAfterSeconds(response) {
+        const retryAfter = response.headers && response.headers["retry-after"];
+
+        if (!retryAfter) {
+            return undefined;
+        }
+
+        if (/^\d+$/.test(retryAfter.trim())) {
+            return Number(retryAfter);
+        }
+
+        const retryAfterTimestamp = Date.parse(retryAfter);
+
+        if (isNaN(retryAfterTimestamp)) {
+            return undefined;
+        }
+
+        return Math.max(Math.ceil((retryAfterTimestamp - Date.now()) / 1000), 0);
+    }
+}
+
+module.exports = { ApiBackoff, INITIAL_BACKOFF_SECONDS, MAX_BACKOFF_SECONDS };
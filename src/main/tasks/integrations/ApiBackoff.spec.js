@@ -0,0 +1,147 @@
+const Logger = require("../../Logger");
+
+const { ApiBackoff, INITIAL_BACKOFF_SECONDS, MAX_BACKOFF_SECONDS } = require("./ApiBackoff");
+
+jest.mock("../../Logger");
+
+// @ts-ignore
+Logger.mockImplementation(() => {
+    return {
+        debugIntegration: jest.fn(),
+    };
+});
+
+const mockLogger = new Logger();
+
+const startTimestamp = Date.parse("2020-10-01T10:00:00Z");
+const callDescription = "callDescription";
+
+/** @type {any} */
+const tooManyRequestsResponse = { status: 429, headers: {} };
+
+/** @type {any} */
+const serverErrorResponse = { status: 503, headers: {} };
+
+let now = startTimestamp;
+
+/** @param {number} seconds */
+function advanceSeconds(seconds) {
+    now += seconds * 1000;
+}
+
+describe("ApiBackoff", () => {
+    /** @type {ApiBackoff} */
+    let backoff;
+
+    beforeEach(() => {
+        now = startTimestamp;
+        jest.spyOn(Date, "now").mockImplementation(() => now);
+        backoff = new ApiBackoff("Service", mockLogger);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("only backs off for rate limiting and server errors", () => {
+        expect(backoff.shouldBackOff(tooManyRequestsResponse)).toBe(true);
+        expect(backoff.shouldBackOff(serverErrorResponse)).toBe(true);
+        expect(backoff.shouldBackOff(/** @type {any} */ ({ status: 404 }))).toBe(false);
+        expect(backoff.shouldBackOff(undefined)).toBe(false);
+    });
+
+    it("doesn't throw if there was no backoff", () => {
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+
+    it("throws the error that caused the backoff until the backoff is over", () => {
+        const error = new Error("Rate limited");
+        backoff.startBackoff(error, tooManyRequestsResponse, callDescription);
+
+        advanceSeconds(INITIAL_BACKOFF_SECONDS - 1);
+        expect(() => backoff.checkNotBackingOff(callDescription)).toThrow(error);
+
+        advanceSeconds(1);
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+
+    it("backs off exponentially, up to a maximum", () => {
+        const expectedBackoffSeconds = [
+            INITIAL_BACKOFF_SECONDS,
+            INITIAL_BACKOFF_SECONDS * 2,
+            INITIAL_BACKOFF_SECONDS * 4,
+        ];
+
+        for (const seconds of expectedBackoffSeconds) {
+            backoff.startBackoff(new Error(), serverErrorResponse, callDescription);
+
+            advanceSeconds(seconds - 1);
+            expect(() => backoff.checkNotBackingOff(callDescription)).toThrow();
+
+            advanceSeconds(1);
+            expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+        }
+
+        for (let i = 0; i < 20; i++) {
+            backoff.startBackoff(new Error(), serverErrorResponse, callDescription);
+            advanceSeconds(MAX_BACKOFF_SECONDS);
+            expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+        }
+    });
+
+    it("doesn't increase the backoff for failures while already backing off", () => {
+        backoff.startBackoff(new Error(), serverErrorResponse, callDescription);
+        backoff.startBackoff(new Error(), serverErrorResponse, callDescription);
+        advanceSeconds(INITIAL_BACKOFF_SECONDS);
+
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+
+    it("starts from the initial backoff again after a reset", () => {
+        backoff.startBackoff(new Error(), serverErrorResponse, callDescription);
+        advanceSeconds(INITIAL_BACKOFF_SECONDS);
+        backoff.reset();
+
+        backoff.startBackoff(new Error(), serverErrorResponse, callDescription);
+        advanceSeconds(INITIAL_BACKOFF_SECONDS);
+
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+
+    it("honors a Retry-After header containing a number of seconds", () => {
+        /** @type {any} */
+        const response = { status: 429, headers: { "retry-after": "60" } };
+        backoff.startBackoff(new Error(), response, callDescription);
+
+        advanceSeconds(59);
+        expect(() => backoff.checkNotBackingOff(callDescription)).toThrow();
+
+        advanceSeconds(1);
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+
+    it("honors a Retry-After header containing a date", () => {
+        /** @type {any} */
+        const response = {
+            status: 503,
+            headers: { "retry-after": "Thu, 01 Oct 2020 10:02:00 GMT" },
+        };
+
+        backoff.startBackoff(new Error(), response, callDescription);
+
+        advanceSeconds(119);
+        expect(() => backoff.checkNotBackingOff(callDescription)).toThrow();
+
+        advanceSeconds(1);
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+
+    it("ignores an invalid Retry-After header", () => {
+        /** @type {any} */
+        const response = { status: 429, headers: { "retry-after": "soon" } };
+        backoff.startBackoff(new Error(), response, callDescription);
+        advanceSeconds(INITIAL_BACKOFF_SECONDS);
+
+        expect(() => backoff.checkNotBackingOff(callDescription)).not.toThrow();
+    });
+});
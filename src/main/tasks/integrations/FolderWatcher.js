@@ -0,0 +1,111 @@
+/** @typedef { import("fs").FSWatcher } FSWatcher */
+/** @typedef { import("../../Logger") } Logger */
+
+const fs = require("fs");
+
+// the Node version that Electron ships only supports recursive watching on Windows and macOS
+const RECURSIVE_WATCH_SUPPORTED = ["win32", "darwin"].includes(process.platform);
+
+// elsewhere, changes in subfolders are only picked up by periodically assuming a change
+const SECONDS_BETWEEN_RESCANS = 30;
+
+class FolderWatcher {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+
+        this._folderPath = undefined;
+        this._recursive = false;
+        this._isRelevantFile = (_fileName) => true;
+
+        /** @type {FSWatcher} */
+        this._watcher = undefined;
+
+        this._changed = true;
+        this._lastChangeReported = 0;
+    }
+
+    /**
+     * @param {string} folderPath
+     * @param {object} options
+     * @param {boolean} options.recursive Falls back to periodic rescans where not supported
+     * @param {(fileName: string) => boolean} options.isRelevantFile
+     */
+    setFolder(folderPath, options) {
+        this.stop();
+        this._folderPath = folderPath;
+        this._recursive = options.recursive;
+        this._isRelevantFile = options.isRelevantFile;
+    }
+
+    /**
+     * Returns true if relevant files might have changed since the last call
+     * If the folder can't be watched, this always returns true
+     */
+    checkAndResetChanged() {
+        this._startIfNeeded();
+
+        const changed = this._changed || !this._watcher || this._isRescanDue();
+        this._changed = false;
+
+        if (changed) {
+            this._lastChangeReported = Date.now();
+        }
+
+        return changed;
+    }
+
+    _isRescanDue() {
+        if (!this._recursive || RECURSIVE_WATCH_SUPPORTED) {
+            return false;
+        }
+
+        return Date.now() - this._lastChangeReported >= SECONDS_BETWEEN_RESCANS * 1000;
+    }
+
+    markChanged() {
+        this._changed = true;
+    }
+
+    _startIfNeeded() {
+        if (this._watcher || !this._folderPath) {
+            return;
+        }
+
+        try {
+            this._watcher = fs.watch(
+                this._folderPath,
+                { persistent: false, recursive: this._recursive && RECURSIVE_WATCH_SUPPORTED },
+                (_eventType, fileName) => {
+                    // on some platforms, the file name is not provided
+                    if (!fileName || this._isRelevantFile(fileName)) {
+                        this._changed = true;
+                    }
+                }
+            );
+        } catch (error) {
+            // if the folder doesn't exist (yet), we try again on the next check
+            this._logger.debugIntegration(`Unable to watch ${this._folderPath}: ${error.message}`);
+            return;
+        }
+
+        // changes might have happened while we were not watching
+        this._changed = true;
+
+        this._watcher.on("error", (error) => {
+            this._logger.warn(`Stopped watching ${this._folderPath}: ${error.message}`);
+            this.stop();
+        });
+    }
+
+    stop() {
+        if (this._watcher) {
+            this._watcher.close();
+            this._watcher = undefined;
+        }
+
+        this._changed = true;
+    }
+}
+
+module.exports = FolderWatcher;
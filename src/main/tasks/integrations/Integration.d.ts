@@ -6,9 +6,19 @@ import { DialogField } from "../../windows/DialogInput";
 import { IntegrationTask } from "./IntegrationTask";
 
 export interface Integration<T extends IntegrationType> {
-    getConfigurationDialogFields(): DialogField[];
+    /**
+     * Can be async, for example when the options for a select field need to be retrieved first
+     */
+    getConfigurationDialogFields(): DialogField[] | Promise<DialogField[]>;
     configure(configuration: IntegrationConfiguration<T>): void;
 
+    /**
+     * Optional, checks a configuration entered by the user before it is saved
+     * Should throw an error with a message for the user if the configuration doesn't work.
+     * Should not change the configuration that is currently used.
+     */
+    testConfiguration?: (configuration: IntegrationConfiguration<T>) => Promise<void>;
+
     /**
      * Should include all tasks that are either planned for today, overdue or marked as current.
      * Other tasks can be included as well, but they will not impact calculations.
@@ -16,11 +26,31 @@ export interface Integration<T extends IntegrationType> {
      */
     getRelevantTasksForState: () => Promise<IntegrationTask[]>;
 
+    /**
+     * Optional, returns tasks remembered from a previous run of the app (if any)
+     * These are shown until the first call to getRelevantTasksForState finishes.
+     */
+    getInitialTasks?: () => IntegrationTask[] | undefined;
+
     /**
      * After this, no task is marked as current
      */
     clearCurrent: () => Promise<void>;
 
+    /**
+     * Optional, marks the current task as done in the tool the integration gets tasks from
+     * Only called if the integration has exactly one task marked as current.
+     * Should throw an error with a message for the user if this fails.
+     */
+    completeCurrent?: () => Promise<void>;
+
+    /**
+     * Optional, marks the task with the given ID as the only current task
+     * The ID is the one from the tasks returned by getRelevantTasksForState.
+     * Should throw an error with a message for the user if this fails.
+     */
+    setCurrent?: (taskId: string) => Promise<void>;
+
     /**
      * Should return true if there is a need for performing cleanup
      */
@@ -31,4 +61,10 @@ export interface Integration<T extends IntegrationType> {
      * Example: removing the label from tasks that should be ignored.
      */
     performCleanup: () => Promise<void>;
+
+    /**
+     * Optional, releases any resources (like file watchers) held by the integration
+     * Called when the integration is no longer used.
+     */
+    destroy?: () => void;
 }
@@ -0,0 +1,9 @@
+/**
+ * Allows integrations to keep data across restarts of the app
+ * Values are stored in encrypted form, so they can contain task data.
+ */
+export interface IntegrationCache {
+    getIntegrationCacheValue(key: string): any;
+    setIntegrationCacheValue(key: string, value: any): void;
+    deleteIntegrationCacheValue(key: string): void;
+}
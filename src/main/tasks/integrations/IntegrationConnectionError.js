@@ -0,0 +1,13 @@
+/**
+ * Thrown when an integration can't reach the service it gets tasks from right now, e.g. because the user is offline or rate limited
+ * This allows the app to keep using the last known tasks instead of immediately showing an error
+ */
+class IntegrationConnectionError extends Error {
+    /** @param {string} message */
+    constructor(message) {
+        super(message);
+        this.name = "IntegrationConnectionError";
+    }
+}
+
+module.exports = IntegrationConnectionError;
@@ -0,0 +1,121 @@
+/** @typedef { import("../../configuration/IntegrationConfiguration").IntegrationType } IntegrationType */
+/** @typedef { import("../../Logger") } Logger */
+/** @typedef { import("./Integration").Integration<any> } Integration */
+/** @typedef { import("./IntegrationCache").IntegrationCache } IntegrationCache */
+/** @typedef { import("./plugins/IntegrationPlugin").LoadedIntegrationPlugin } LoadedIntegrationPlugin */
+
+const Todoist = require("./todoist/Todoist");
+const Trello = require("./trello/Trello");
+const GitHub = require("./github/GitHub");
+const Jira = require("./jira/Jira");
+const TodoTxt = require("./todotxt/TodoTxt");
+const Markdown = require("./markdown/Markdown");
+const CalDav = require("./caldav/CalDav");
+const Taskwarrior = require("./taskwarrior/Taskwarrior");
+const CustomHttp = require("./customhttp/CustomHttp");
+const MicrosoftTodo = require("./microsofttodo/MicrosoftTodo");
+const IntegrationPluginAdapter = require("./plugins/IntegrationPluginAdapter");
+
+/**
+ * @typedef {object} IntegrationOption
+ * @property {IntegrationType} type
+ * @property {string} [pluginType] Only for plugin integrations
+ * @property {string} name
+ */
+
+/** @type {{ type: IntegrationType, name: string, IntegrationClass: new (logger: Logger, integrationCache: IntegrationCache) => Integration }[]} */
+const BUILT_IN_INTEGRATIONS = [
+    { type: "todoist", name: "Todoist", IntegrationClass: Todoist },
+    { type: "trello", name: "Trello", IntegrationClass: Trello },
+    { type: "github", name: "GitHub", IntegrationClass: GitHub },
+    { type: "jira", name: "Jira", IntegrationClass: Jira },
+    { type: "todotxt", name: "todo.txt", IntegrationClass: TodoTxt },
+    { type: "markdown", name: "Markdown (Obsidian)", IntegrationClass: Markdown },
+    { type: "caldav", name: "CalDAV", IntegrationClass: CalDav },
+    { type: "taskwarrior", name: "Taskwarrior", IntegrationClass: Taskwarrior },
+    { type: "customhttp", name: "Custom HTTP (JSON)", IntegrationClass: CustomHttp },
+    { type: "microsofttodo", name: "Microsoft To Do", IntegrationClass: MicrosoftTodo },
+];
+
+class IntegrationFactory {
+    /**
+     * @param {LoadedIntegrationPlugin[]} integrationPlugins
+     * @param {IntegrationCache} integrationCache
+     * @param {Logger} logger
+     */
+    constructor(integrationPlugins, integrationCache, logger) {
+        this._integrationPlugins = integrationPlugins;
+        this._integrationCache = integrationCache;
+        this._logger = logger;
+    }
+
+    /**
+     * All integrations that actually get tasks from somewhere (so not manual or combined)
+     * @returns {IntegrationOption[]}
+     */
+    getIntegrationOptions() {
+        /** @type {IntegrationOption[]} */
+        const builtInOptions = BUILT_IN_INTEGRATIONS.map((item) => ({
+            type: item.type,
+            name: item.name,
+        }));
+
+        /** @type {IntegrationOption[]} */
+        const pluginOptions = this._integrationPlugins.map((plugin) => ({
+            type: "plugin",
+            pluginType: plugin.type,
+            name: plugin.displayName,
+        }));
+
+        return [...builtInOptions, ...pluginOptions];
+    }
+
+    /**
+     * @param {IntegrationType} type
+     * @param {string} [pluginType]
+     */
+    getName(type, pluginType) {
+        if (type === "plugin") {
+            const plugin = this._findPlugin(pluginType);
+            return plugin ? plugin.displayName : `Plugin '${pluginType}'`;
+        }
+
+        const builtInIntegration = BUILT_IN_INTEGRATIONS.find((item) => item.type === type);
+        return builtInIntegration ? builtInIntegration.name : type;
+    }
+
+    /**
+     * @param {IntegrationType} type
+     * @param {string} [pluginType]
+     * @returns {Integration}
+     */
+    createIntegration(type, pluginType) {
+        if (type === "plugin") {
+            const plugin = this._findPlugin(pluginType);
+
+            if (!plugin) {
+                this._logger.error(`Integration plugin ${pluginType} not loaded`);
+                throw new Error(`Plugin '${pluginType}' not loaded`);
+            }
+
+            this._logger.info(`Initializing integration plugin ${plugin.type}`);
+            return new IntegrationPluginAdapter(plugin, this._logger);
+        }
+
+        const builtInIntegration = BUILT_IN_INTEGRATIONS.find((item) => item.type === type);
+
+        if (!builtInIntegration) {
+            throw new Error(`Unknown integration type '${type}'`);
+        }
+
+        this._logger.info(`Initializing ${builtInIntegration.name} integration`);
+        return new builtInIntegration.IntegrationClass(this._logger, this._integrationCache);
+    }
+
+    /** @param {string} pluginType */
+    _findPlugin(pluginType) {
+        return this._integrationPlugins.find((plugin) => plugin.type === pluginType);
+    }
+}
+
+module.exports = IntegrationFactory;
@@ -5,4 +5,20 @@ export interface IntegrationTask {
     dueDate?: string;
     dueDatetime?: Moment;
     markedCurrent: boolean;
+
+    /** the details below are optional, integrations provide them if the tool they integrate with has them */
+
+    /** stable within the integration, example: the task ID in the tool */
+    id?: string;
+
+    /** opens the task in the tool's web app */
+    url?: string;
+
+    /** example: the project, board or list containing the task */
+    project?: string;
+
+    /** 1 is the highest priority */
+    priority?: number;
+
+    labels?: string[];
 }
@@ -5,6 +5,7 @@ export interface IntegrationTasksListener {
     onTasksRefreshed: (
         tasks: IntegrationTask[],
         errorMessage: string,
-        integrationClassInstance: Integration<any>
+        integrationClassInstance: Integration<any>,
+        isConnectionError?: boolean
     ) => void;
 }
@@ -2,6 +2,8 @@
 /** @typedef { import("./Integration").Integration<any> } Integration */
 /** @typedef { import("./IntegrationTasksListener").IntegrationTasksListener } IntegrationTasksListener */
 
+const IntegrationConnectionError = require("./IntegrationConnectionError");
+
 const MAX_NUMBER_SKIPPED_REFRESHES = 4;
 
 class IntegrationTasksRefresher {
@@ -56,7 +58,13 @@ class IntegrationTasksRefresher {
             }
         } catch (error) {
             if (this._latestIntegrationTasksPromise === tasksPromise) {
-                this._listener.onTasksRefreshed(undefined, error.message, integrationClassInstance);
+                this._listener.onTasksRefreshed(
+                    undefined,
+                    error.message,
+                    integrationClassInstance,
+                    error instanceof IntegrationConnectionError
+                );
+
                 this._logger.error(`Error refreshing tasks from integration: ${error.message}`);
                 this._integrationRefreshInProgress = false;
             } else {
@@ -3,6 +3,8 @@
 
 const Logger = require("../../Logger");
 
+const IntegrationConnectionError = require("./IntegrationConnectionError");
+
 const {
     IntegrationTasksRefresher,
     MAX_NUMBER_SKIPPED_REFRESHES,
@@ -105,7 +107,8 @@ describe("IntegrationTasksRefresher", () => {
             expect(mockListener.onTasksRefreshed).toHaveBeenCalledWith(
                 undefined,
                 errorMessage,
-                mockIntegrationClassInstance
+                mockIntegrationClassInstance,
+                false
             );
 
             mockListener.onTasksRefreshed.mockReset();
@@ -117,6 +120,24 @@ describe("IntegrationTasksRefresher", () => {
         }
     });
 
+    it("lets the listener know if the integration couldn't be reached", async () => {
+        const error = new IntegrationConnectionError(errorMessage1);
+        mockIntegrationClassInstance.getRelevantTasksForState.mockRejectedValue(error);
+        await triggerRefreshAndWait();
+
+        expect(mockListener.onTasksRefreshed).toHaveBeenCalledWith(
+            undefined,
+            errorMessage1,
+            mockIntegrationClassInstance,
+            true
+        );
+
+        expect(getAndClearLogs()).toEqual([
+            "Refreshing tasks from integration",
+            `Error refreshing tasks from integration: ${errorMessage1}`,
+        ]);
+    });
+
     it("skips a refresh if previous call hasn't completed yet", async () => {
         // first trigger
 
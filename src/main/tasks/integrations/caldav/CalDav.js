@@ -0,0 +1,172 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").CalDavIntegrationConfiguration } CalDavIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"caldav"> } CalDavIntegration */
+/** @typedef { import("./CalDavResource").CalDavResource } CalDavResource */
+
+const moment = require("moment");
+
+const CalDavApi = require("./CalDavApi");
+const VTodoParser = require("./VTodoParser");
+const VTodoTransformer = require("./VTodoTransformer");
+
+// prevents a huge number of calls on every refresh
+const MAX_TASK_LISTS = 10;
+
+const FINISHED_STATUSES = ["COMPLETED", "CANCELLED"];
+
+/** @implements {CalDavIntegration} */
+class CalDav {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._username = undefined;
+        this._password = undefined;
+        this._taskListUrls = undefined;
+        this._categoryName = undefined;
+
+        // clearing the current task before the first successful refresh shouldn't fail
+        /** @type {CalDavResource[]} */
+        this._latestResources = [];
+
+        this._api = new CalDavApi(logger);
+        this._parser = new VTodoParser();
+        this._transformer = new VTodoTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "username",
+                label: "Username",
+                placeholder: "Your CalDAV username",
+                required: true,
+                currentValue: this._username,
+            },
+            {
+                type: "text",
+                name: "password",
+                label: "Password",
+                placeholder: "Your CalDAV password",
+                required: true,
+                inputType: "password",
+                info:
+                    "If your server supports app passwords (like Nextcloud or iCloud), we recommend creating one specifically for this app.",
+                currentValue: this._password,
+            },
+            {
+                type: "textList",
+                name: "taskListUrls",
+                label: "Task list URLs",
+                listPlaceholder: "No task lists specified",
+                itemPlaceholder:
+                    "Example: https://cloud.example.com/remote.php/dav/calendars/me/tasks/",
+                buttonText: "Add task list",
+                info:
+                    "The full CalDAV URLs of the task lists (calendar collections) the app should look at. Click a URL to remove it again.",
+                currentValue: this._taskListUrls,
+            },
+            {
+                type: "text",
+                name: "categoryName",
+                label: "Category name",
+                placeholder: "Current task category",
+                required: true,
+                info: "Tasks with this category (sometimes called tag) will be marked as current.",
+                currentValue: this._categoryName,
+            },
+        ];
+    }
+
+    /** @param {CalDavIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._username = configuration.username;
+        this._password = configuration.password;
+        this._taskListUrls = configuration.taskListUrls;
+        this._categoryName = configuration.categoryName;
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant tasks from CalDAV");
+        this._checkConfigurationSpecified();
+
+        const resourcesPromise = this._getAllResources();
+        this._latestResourcesPromise = resourcesPromise;
+        const resources = await resourcesPromise;
+
+        if (resourcesPromise === this._latestResourcesPromise) {
+            this._latestResources = resources;
+        }
+
+        return this._latestResources
+            .flatMap((resource) => this._parser.parseTodos(resource.calendarData))
+            .filter((todo) => !FINISHED_STATUSES.includes(todo.status))
+            .map((todo) => this._transformer.transform(todo, this._categoryName));
+    }
+
+    async clearCurrent() {
+        this._checkConfigurationSpecified();
+
+        const resourcesMarkedCurrent = this._latestResources.filter((resource) =>
+            this._parser
+                .parseTodos(resource.calendarData)
+                .some((todo) => todo.categories.includes(this._categoryName))
+        );
+
+        if (resourcesMarkedCurrent.length > 0) {
+            this._logger.debugIntegration("Removing the category from current tasks in CalDAV");
+
+            const now = moment();
+
+            await Promise.all(
+                resourcesMarkedCurrent.map((resource) =>
+                    this._api.updateTaskResource(
+                        resource,
+                        this._parser.removeCategory(resource.calendarData, this._categoryName, now),
+                        this._getConnection()
+                    )
+                )
+            );
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    /** @returns {Promise<CalDavResource[]>} */
+    async _getAllResources() {
+        if (this._taskListUrls.length > MAX_TASK_LISTS) {
+            throw new Error(`More than ${MAX_TASK_LISTS} task lists specified`);
+        }
+
+        const resourcesArrays = await Promise.all(
+            this._taskListUrls.map((url) => this._api.getTaskResources(url, this._getConnection()))
+        );
+
+        return resourcesArrays.flat();
+    }
+
+    _getConnection() {
+        return { username: this._username, password: this._password };
+    }
+
+    _checkConfigurationSpecified() {
+        if (
+            !this._username ||
+            !this._password ||
+            !this._categoryName ||
+            !this._taskListUrls ||
+            this._taskListUrls.length === 0
+        ) {
+            throw new Error("CalDAV not configured");
+        }
+    }
+}
+
+module.exports = CalDav;
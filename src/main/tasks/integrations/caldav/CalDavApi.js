@@ -0,0 +1,131 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./CalDavResource").CalDavResource } CalDavResource */
+
+const axios = require("axios").default;
+
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+const CalDavMultistatusParser = require("./CalDavMultistatusParser");
+
+// asks for all tasks in the collection, including their iCalendar data
+const CALENDAR_QUERY_BODY = `<?xml version="1.0" encoding="utf-8" ?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+    <d:prop>
+        <d:getetag />
+        <c:calendar-data />
+    </d:prop>
+    <c:filter>
+        <c:comp-filter name="VCALENDAR">
+            <c:comp-filter name="VTODO" />
+        </c:comp-filter>
+    </c:filter>
+</c:calendar-query>`;
+
+/**
+ * @typedef {object} CalDavConnection
+ * @property {string} username
+ * @property {string} password
+ */
+
+class CalDavApi {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+        this._multistatusParser = new CalDavMultistatusParser();
+    }
+
+    /**
+     * @param {string} collectionUrl URL of a task list (calendar collection)
+     * @param {CalDavConnection} connection
+     * @returns {Promise<CalDavResource[]>}
+     */
+    async getTaskResources(collectionUrl, connection) {
+        const responseData = await this._performApiRequest(
+            {
+                // axios doesn't list WebDAV methods in its types, but passes them on just fine
+                method: /** @type {any} */ ("REPORT"),
+                url: collectionUrl,
+                data: CALENDAR_QUERY_BODY,
+                headers: { Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+            },
+            connection,
+            "CalDAV get tasks"
+        );
+
+        return this._multistatusParser.parseResources(responseData).map((resource) => ({
+            ...resource,
+            // hrefs are usually relative to the server
+            href: new URL(resource.href, collectionUrl).toString(),
+        }));
+    }
+
+    /**
+     * @param {CalDavResource} resource
+     * @param {string} calendarData
+     * @param {CalDavConnection} connection
+     */
+    async updateTaskResource(resource, calendarData, connection) {
+        /** @type {Object<string, string>} */
+        const headers = { "Content-Type": "text/calendar; charset=utf-8" };
+
+        // prevents overwriting changes that were made since we fetched the task
+        if (resource.etag) {
+            headers["If-Match"] = resource.etag;
+        }
+
+        await this._performApiRequest(
+            { method: "PUT", url: resource.href, data: calendarData, headers },
+            connection,
+            "CalDAV update task"
+        );
+    }
+
+    /**
+     * @param {import("axios").AxiosRequestConfig} requestConfig
+     * @param {CalDavConnection} connection
+     * @param {string} callDescription
+     */
+    async _performApiRequest(requestConfig, connection, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        try {
+            const response = await axios({
+                ...requestConfig,
+                auth: { username: connection.username, password: connection.password },
+                responseType: "text",
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleApiRequestError(error, callDescription);
+        }
+    }
+
+    _handleApiRequestError(error, callDescription) {
+        if (error.response && error.response.status === 401) {
+            this._logger.debugIntegration(`${callDescription} call auth error, status code 401`);
+            throw new Error("Invalid CalDAV username or password");
+        } else if (error.response && error.response.status === 404) {
+            this._logger.debugIntegration(`${callDescription} call not found, status code 404`);
+            throw new Error(`No task list at '${error.config.url}'`);
+        } else if (error.response && error.response.status === 412) {
+            this._logger.debugIntegration(`${callDescription} call conflict, status code 412`);
+            throw new Error("Task was changed on the CalDAV server in the meantime");
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new IntegrationConnectionError("Problem reaching CalDAV server");
+        }
+    }
+}
+
+module.exports = CalDavApi;
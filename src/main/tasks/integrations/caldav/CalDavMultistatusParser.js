@@ -0,0 +1,70 @@
+/** @typedef { import("./CalDavResource").CalDavResource } CalDavResource */
+
+// CalDAV servers use different namespace prefixes (or none at all), so we ignore them
+const RESPONSE_REGEX = /<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g;
+
+class CalDavMultistatusParser {
+    /**
+     * @param {string} responseXml
+     * @returns {CalDavResource[]}
+     */
+    parseResources(responseXml) {
+        const resources = [];
+        const responseRegex = new RegExp(RESPONSE_REGEX);
+        let responseMatch;
+
+        while ((responseMatch = responseRegex.exec(responseXml)) !== null) {
+            const responseContents = responseMatch[1];
+            const href = this._getElementText(responseContents, "href");
+            const etag = this._getElementText(responseContents, "getetag");
+            const calendarData = this._getElementText(responseContents, "calendar-data");
+
+            // the collection itself or resources the server couldn't provide data for
+            if (href && calendarData) {
+                resources.push({ href, etag, calendarData });
+            }
+        }
+
+        return resources;
+    }
+
+    /**
+     * @param {string} xml
+     * @param {string} localName
+     */
+    _getElementText(xml, localName) {
+        const elementRegex = new RegExp(
+            `<(?:[\\w-]+:)?${localName}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${localName}>`
+        );
+
+        const match = elementRegex.exec(xml);
+
+        if (!match) {
+            return undefined;
+        }
+
+        const cdataMatch = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(match[1]);
+
+        if (cdataMatch) {
+            return cdataMatch[1];
+        }
+
+        return this._decodeEntities(match[1].trim());
+    }
+
+    /** @param {string} text */
+    _decodeEntities(text) {
+        return text
+            .replace(/&#x([0-9a-fA-F]+);/g, (_match, hex) =>
+                String.fromCodePoint(parseInt(hex, 16))
+            )
+            .replace(/&#(\d+);/g, (_match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, "&");
+    }
+}
+
+module.exports = CalDavMultistatusParser;
@@ -0,0 +1,69 @@
+const CalDavMultistatusParser = require("./CalDavMultistatusParser");
+
+const parser = new CalDavMultistatusParser();
+
+describe("CalDavMultistatusParser", () => {
+    it("parses resources using namespace prefixes", () => {
+        const responseXml = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">
+    <d:response>
+        <d:href>/calendars/user/tasks/1234.ics</d:href>
+        <d:propstat>
+            <d:prop>
+                <d:getetag>&quot;abcd&quot;</d:getetag>
+                <cal:calendar-data>BEGIN:VCALENDAR&#13;
+SUMMARY:Fish &amp; chips&#13;
+END:VCALENDAR</cal:calendar-data>
+            </d:prop>
+            <d:status>HTTP/1.1 200 OK</d:status>
+        </d:propstat>
+    </d:response>
+</d:multistatus>`;
+
+        expect(parser.parseResources(responseXml)).toEqual([
+            {
+                href: "/calendars/user/tasks/1234.ics",
+                etag: '"abcd"',
+                calendarData: "BEGIN:VCALENDAR\r\nSUMMARY:Fish & chips\r\nEND:VCALENDAR",
+            },
+        ]);
+    });
+
+    it("parses resources using default namespaces and CDATA", () => {
+        const responseXml = `<?xml version="1.0"?>
+<multistatus xmlns="DAV:">
+    <response>
+        <href>/tasks/1234.ics</href>
+        <propstat>
+            <prop>
+                <getetag>"abcd"</getetag>
+                <calendar-data xmlns="urn:ietf:params:xml:ns:caldav"><![CDATA[BEGIN:VCALENDAR
+END:VCALENDAR]]></calendar-data>
+            </prop>
+        </propstat>
+    </response>
+</multistatus>`;
+
+        expect(parser.parseResources(responseXml)).toEqual([
+            {
+                href: "/tasks/1234.ics",
+                etag: '"abcd"',
+                calendarData: "BEGIN:VCALENDAR\nEND:VCALENDAR",
+            },
+        ]);
+    });
+
+    it("skips responses without calendar data", () => {
+        const responseXml = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:">
+    <d:response>
+        <d:href>/calendars/user/tasks/</d:href>
+        <d:propstat>
+            <d:prop><d:getetag>"abcd"</d:getetag></d:prop>
+        </d:propstat>
+    </d:response>
+</d:multistatus>`;
+
+        expect(parser.parseResources(responseXml)).toEqual([]);
+    });
+});
@@ -0,0 +1,11 @@
+// a calendar object resource as returned by a CalDAV calendar-query REPORT
+export interface CalDavResource {
+    /** example value: /calendars/user/tasks/1234.ics (can be relative to the server) */
+    href: string;
+
+    /** example value: "d41d8cd98f00b204e9800998ecf8427e" (including quotes) */
+    etag: string;
+
+    /** the raw iCalendar data (BEGIN:VCALENDAR ... END:VCALENDAR) */
+    calendarData: string;
+}
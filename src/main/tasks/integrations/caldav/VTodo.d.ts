@@ -0,0 +1,13 @@
+// this represents the part of an iCalendar VTODO component that we care about
+export interface VTodo {
+    uid: string;
+    summary: string;
+
+    /** example values: 20201001 (date only), 20201001T100000 (local time), 20201001T100000Z (UTC) */
+    due: string | null;
+
+    /** example values: NEEDS-ACTION, IN-PROCESS, COMPLETED, CANCELLED */
+    status: string | null;
+
+    categories: string[];
+}
@@ -0,0 +1,264 @@
+/** @typedef { import("moment").Moment } Moment */
+/** @typedef { import("./VTodo").VTodo } VTodo */
+
+// see https://tools.ietf.org/html/rfc5545 for the iCalendar format
+
+class VTodoParser {
+    /**
+     * @param {string} calendarData
+     * @returns {VTodo[]}
+     */
+    parseTodos(calendarData) {
+        const lines = this._unfoldLines(calendarData);
+        const todos = [];
+
+        /** @type {VTodo} */
+        let currentTodo = undefined;
+
+        // VTODO components can contain nested components like VALARM, we ignore their properties
+        let nestedComponentDepth = 0;
+
+        for (const line of lines) {
+            const property = this._parseProperty(line);
+
+            if (!property) {
+                continue;
+            }
+
+            if (property.name === "BEGIN" && property.value === "VTODO") {
+                currentTodo = { uid: "", summary: "", due: null, status: null, categories: [] };
+            } else if (!currentTodo) {
+                continue;
+            } else if (property.name === "END" && property.value === "VTODO") {
+                todos.push(currentTodo);
+                currentTodo = undefined;
+            } else if (property.name === "BEGIN") {
+                nestedComponentDepth++;
+            } else if (property.name === "END") {
+                nestedComponentDepth--;
+            } else if (nestedComponentDepth === 0) {
+                this._applyProperty(currentTodo, property.name, property.value);
+            }
+        }
+
+        return todos;
+    }
+
+    /**
+     * @param {VTodo} todo
+     * @param {string} name
+     * @param {string} value
+     */
+    _applyProperty(todo, name, value) {
+        if (name === "UID") {
+            todo.uid = value;
+        } else if (name === "SUMMARY") {
+            todo.summary = this._unescapeText(value);
+        } else if (name === "DUE") {
+            todo.due = value;
+        } else if (name === "STATUS") {
+            todo.status = value.toUpperCase();
+        } else if (name === "CATEGORIES") {
+            todo.categories.push(...this._parseCategories(value));
+        }
+    }
+
+    /**
+     * Removes the category from all VTODO components in the calendar data
+     * Changed components get new timestamps and sequence number, so other clients pick up the change
+     * @param {string} calendarData
+     * @param {string} category
+     * @param {Moment} now
+     */
+    removeCategory(calendarData, category, now) {
+        const lines = this._unfoldLines(calendarData);
+        const resultLines = [];
+
+        /** @type {string[]} */
+        let todoLines = undefined;
+        let isTodoChanged = false;
+
+        for (const line of lines) {
+            const property = this._parseProperty(line);
+
+            if (property && property.name === "BEGIN" && property.value === "VTODO") {
+                todoLines = [];
+                isTodoChanged = false;
+            }
+
+            if (!todoLines) {
+                resultLines.push(line);
+            } else if (property && property.name === "END" && property.value === "VTODO") {
+                const finishedLines = isTodoChanged
+                    ? this._markTodoChanged(todoLines, now)
+                    : todoLines;
+
+                resultLines.push(...finishedLines, line);
+                todoLines = undefined;
+            } else if (property && property.name === "CATEGORIES") {
+                const newLine = this._removeCategoryFromLine(line, property, category);
+                isTodoChanged = isTodoChanged || newLine !== line;
+
+                if (newLine !== undefined) {
+                    todoLines.push(newLine);
+                }
+            } else {
+                todoLines.push(line);
+            }
+        }
+
+        return resultLines.map((line) => this._foldLine(line)).join("\r\n") + "\r\n";
+    }
+
+    /**
+     * @param {string} line
+     * @param {{ nameAndParameters: string, value: string }} property
+     * @param {string} category
+     * @returns {string | undefined} The same line if unchanged, undefined if no categories remain
+     */
+    _removeCategoryFromLine(line, property, category) {
+        const categories = this._parseCategories(property.value);
+        const remainingCategories = categories.filter((item) => item !== category);
+
+        if (remainingCategories.length === categories.length) {
+            return line;
+        } else if (remainingCategories.length === 0) {
+            return undefined;
+        }
+
+        const escapedCategories = remainingCategories.map((item) => this._escapeText(item));
+        return `${property.nameAndParameters}:${escapedCategories.join(",")}`;
+    }
+
+    /**
+     * @param {string[]} todoLines The lines of a VTODO component, without its END line
+     * @param {Moment} now
+     */
+    _markTodoChanged(todoLines, now) {
+        const timestamp = now.clone().utc().format("YYYYMMDD[T]HHmmss[Z]");
+        const resultLines = [];
+        const foundNames = new Set();
+
+        // the first line is the VTODO's BEGIN line, nested components like VALARM are left alone
+        let nestedComponentDepth = 0;
+
+        todoLines.forEach((line, index) => {
+            const property = this._parseProperty(line);
+            const name = property && index > 0 ? property.name : undefined;
+
+            if (name === "BEGIN") {
+                nestedComponentDepth++;
+            } else if (name === "END") {
+                nestedComponentDepth--;
+            }
+
+            if (nestedComponentDepth > 0 || !name) {
+                resultLines.push(line);
+            } else if (name === "DTSTAMP" || name === "LAST-MODIFIED") {
+                foundNames.add(name);
+                resultLines.push(`${name}:${timestamp}`);
+            } else if (name === "SEQUENCE") {
+                foundNames.add(name);
+                resultLines.push(`SEQUENCE:${(parseInt(property.value, 10) || 0) + 1}`);
+            } else {
+                resultLines.push(line);
+            }
+        });
+
+        for (const name of ["DTSTAMP", "LAST-MODIFIED"]) {
+            if (!foundNames.has(name)) {
+                resultLines.push(`${name}:${timestamp}`);
+            }
+        }
+
+        if (!foundNames.has("SEQUENCE")) {
+            resultLines.push("SEQUENCE:1");
+        }
+
+        return resultLines;
+    }
+
+    /**
+     * Lines should not be longer than 75 octets, excluding the line break
+     * Continuation lines start with a space, which counts towards their length
+     * @param {string} line
+     */
+    _foldLine(line) {
+        const parts = [];
+        let currentPart = "";
+        let currentPartOctets = 0;
+
+        // unlike splitting into UTF-16 code units, this never splits characters outside the BMP
+        for (const character of Array.from(line)) {
+            const characterOctets = Buffer.byteLength(character, "utf-8");
+            const maxOctets = parts.length === 0 ? 75 : 74;
+
+            if (currentPartOctets + characterOctets > maxOctets) {
+                parts.push(currentPart);
+                currentPart = "";
+                currentPartOctets = 0;
+            }
+
+            currentPart += character;
+            currentPartOctets += characterOctets;
+        }
+
+        parts.push(currentPart);
+        return parts.join("\r\n ");
+    }
+
+    /** @param {string} calendarData */
+    _unfoldLines(calendarData) {
+        // long lines are split into multiple lines, where each continuation line starts with a space or tab
+        return calendarData
+            .replace(/\r?\n[ \t]/g, "")
+            .split(/\r?\n/)
+            .filter((line) => line.length > 0);
+    }
+
+    /**
+     * @param {string} line
+     * @returns {{ name: string, nameAndParameters: string, value: string } | undefined}
+     */
+    _parseProperty(line) {
+        // parameter values can be quoted and contain colons, example: DUE;TZID="Europe/Brussels":20201001T100000
+        let isInQuotes = false;
+
+        for (let index = 0; index < line.length; index++) {
+            const character = line[index];
+
+            if (character === '"') {
+                isInQuotes = !isInQuotes;
+            } else if (character === ":" && !isInQuotes) {
+                const nameAndParameters = line.substring(0, index);
+                const name = nameAndParameters.split(";")[0].toUpperCase();
+                const value = line.substring(index + 1);
+                return { name, nameAndParameters, value };
+            }
+        }
+
+        return undefined;
+    }
+
+    /** @param {string} value */
+    _parseCategories(value) {
+        return value
+            .split(/(?<!\\),/)
+            .map((item) => this._unescapeText(item.trim()))
+            .filter((item) => item.length > 0);
+    }
+
+    /** @param {string} value */
+    _unescapeText(value) {
+        return value.replace(/\\([\;,nN])/g, (_match, character) =>
+            character.toLowerCase() === "n" ? "\n" : character
+        );
+    }
+
+    /** @param {string} value */
+    _escapeText(value) {
+        return value.replace(/([\;,])/g, "\\$1").replace(/\n/g, "\\n");
+    }
+}
+
+module.exports = VTodoParser;
@@ -0,0 +1,233 @@
+const moment = require("moment");
+
+const VTodoParser = require("./VTodoParser");
+
+const parser = new VTodoParser();
+const now = moment.utc("2020-10-01T10:00:00Z");
+
+/** @param {string[]} lines */
+function toCalendarData(lines) {
+    return lines.join("\r\n") + "\r\n";
+}
+
+describe("VTodoParser", () => {
+    it("parses the relevant properties of tasks", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "VERSION:2.0",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:Write report\\, then send it",
+            "DUE;VALUE=DATE:20200905",
+            "STATUS:NEEDS-ACTION",
+            "CATEGORIES:work,current",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        expect(parser.parseTodos(calendarData)).toEqual([
+            {
+                uid: "1234",
+                summary: "Write report, then send it",
+                due: "20200905",
+                status: "NEEDS-ACTION",
+                categories: ["work", "current"],
+            },
+        ]);
+    });
+
+    it("handles folded lines and quoted parameters containing colons", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:A very long",
+            "  summary",
+            'DUE;TZID="Custom:Zone":20200905T103000',
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        const todos = parser.parseTodos(calendarData);
+
+        expect(todos[0].summary).toEqual("A very long summary");
+        expect(todos[0].due).toEqual("20200905T103000");
+    });
+
+    it("handles tasks without optional properties", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:Task",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        expect(parser.parseTodos(calendarData)).toEqual([
+            { uid: "1234", summary: "Task", due: null, status: null, categories: [] },
+        ]);
+    });
+
+    it("ignores properties of nested components and other components", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT",
+            "SUMMARY:Event",
+            "END:VEVENT",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:Task",
+            "BEGIN:VALARM",
+            "SUMMARY:Alarm",
+            "END:VALARM",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        const todos = parser.parseTodos(calendarData);
+
+        expect(todos.length).toEqual(1);
+        expect(todos[0].summary).toEqual("Task");
+    });
+
+    it("combines multiple CATEGORIES properties and handles escaped commas", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:Task",
+            "CATEGORIES:work",
+            "CATEGORIES:one\\, two,current",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        expect(parser.parseTodos(calendarData)[0].categories).toEqual([
+            "work",
+            "one, two",
+            "current",
+        ]);
+    });
+
+    it("removes the category from tasks", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:Task",
+            "CATEGORIES;LANGUAGE=en:work,current",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        expect(parser.removeCategory(calendarData, "current", now)).toEqual(
+            toCalendarData([
+                "BEGIN:VCALENDAR",
+                "BEGIN:VTODO",
+                "UID:1234",
+                "SUMMARY:Task",
+                "CATEGORIES;LANGUAGE=en:work",
+                "DTSTAMP:20201001T100000Z",
+                "LAST-MODIFIED:20201001T100000Z",
+                "SEQUENCE:1",
+                "END:VTODO",
+                "END:VCALENDAR",
+            ])
+        );
+    });
+
+    it("removes the CATEGORIES property if the category was the only one", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1234",
+            "SUMMARY:Task",
+            "CATEGORIES:current",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        expect(parser.removeCategory(calendarData, "current", now)).toEqual(
+            toCalendarData([
+                "BEGIN:VCALENDAR",
+                "BEGIN:VTODO",
+                "UID:1234",
+                "SUMMARY:Task",
+                "DTSTAMP:20201001T100000Z",
+                "LAST-MODIFIED:20201001T100000Z",
+                "SEQUENCE:1",
+                "END:VTODO",
+                "END:VCALENDAR",
+            ])
+        );
+    });
+
+    it("updates timestamps and sequence only for changed tasks", () => {
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1",
+            "DTSTAMP:20200901T080000Z",
+            "LAST-MODIFIED:20200901T080000Z",
+            "SEQUENCE:3",
+            "CATEGORIES:current",
+            "BEGIN:VALARM",
+            "DTSTAMP:20200901T080000Z",
+            "END:VALARM",
+            "END:VTODO",
+            "BEGIN:VTODO",
+            "UID:2",
+            "DTSTAMP:20200901T080000Z",
+            "CATEGORIES:work",
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        expect(parser.removeCategory(calendarData, "current", now)).toEqual(
+            toCalendarData([
+                "BEGIN:VCALENDAR",
+                "BEGIN:VTODO",
+                "UID:1",
+                "DTSTAMP:20201001T100000Z",
+                "LAST-MODIFIED:20201001T100000Z",
+                "SEQUENCE:4",
+                "BEGIN:VALARM",
+                "DTSTAMP:20200901T080000Z",
+                "END:VALARM",
+                "END:VTODO",
+                "BEGIN:VTODO",
+                "UID:2",
+                "DTSTAMP:20200901T080000Z",
+                "CATEGORIES:work",
+                "END:VTODO",
+                "END:VCALENDAR",
+            ])
+        );
+    });
+
+    it("folds long lines when writing", () => {
+        const longSummary = `SUMMARY:${"é".repeat(40)}`;
+
+        const calendarData = toCalendarData([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VTODO",
+            "UID:1",
+            longSummary.substring(0, 50),
+            ` ${longSummary.substring(50)}`,
+            "END:VTODO",
+            "END:VCALENDAR",
+        ]);
+
+        const result = parser.removeCategory(calendarData, "current", now);
+        const resultLines = result.split("\r\n");
+
+        for (const line of resultLines) {
+            expect(Buffer.byteLength(line, "utf-8")).toBeLessThanOrEqual(75);
+        }
+
+        expect(resultLines).toContain(`SUMMARY:${"é".repeat(33)}`);
+        expect(resultLines).toContain(` ${"é".repeat(7)}`);
+        expect(parser.parseTodos(result)[0].summary).toBe("é".repeat(40));
+    });
+});
@@ -0,0 +1,45 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./VTodo").VTodo } VTodo */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+
+// DUE values without time, example: 20201001
+const DATE_ONLY_LENGTH = 8;
+
+class VTodoTransformer {
+    constructor() {
+        this._dateTimeHelper = new DateTimeHelper();
+    }
+
+    /**
+     * @param {VTodo} todo
+     * @param {string} currentTaskCategory
+     * @returns {IntegrationTask}
+     */
+    transform(todo, currentTaskCategory) {
+        let dueDate = undefined;
+        let dueDatetime = undefined;
+
+        if (todo.due && todo.due.length === DATE_ONLY_LENGTH) {
+            dueDate = moment(todo.due, "YYYYMMDD").format("YYYY-MM-DD");
+        } else if (todo.due && todo.due.endsWith("Z")) {
+            dueDatetime = moment.utc(todo.due, "YYYYMMDDTHHmmss").local();
+            dueDate = this._dateTimeHelper.getDateString(dueDatetime);
+        } else if (todo.due) {
+            // times with a TZID parameter are treated as local time, which is correct for the vast majority of users
+            dueDatetime = moment(todo.due, "YYYYMMDDTHHmmss");
+            dueDate = this._dateTimeHelper.getDateString(dueDatetime);
+        }
+
+        return {
+            title: todo.summary,
+            dueDate,
+            dueDatetime,
+            markedCurrent: todo.categories.includes(currentTaskCategory),
+        };
+    }
+}
+
+module.exports = VTodoTransformer;
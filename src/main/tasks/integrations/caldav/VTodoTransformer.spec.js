@@ -0,0 +1,86 @@
+/** @typedef { import("./VTodo").VTodo } VTodo */
+
+const moment = require("moment");
+
+const VTodoTransformer = require("./VTodoTransformer");
+
+const transformer = new VTodoTransformer();
+
+const placeholderTitle = "placeholderTitle";
+const currentTaskCategory = "currentTaskCategory";
+const otherCategory = "otherCategory";
+
+/** @type {VTodo} */
+const baseTodo = {
+    uid: "placeholderUid",
+    summary: placeholderTitle,
+    due: null,
+    status: "NEEDS-ACTION",
+    categories: [],
+};
+
+describe("VTodoTransformer", () => {
+    it("handles tasks without due date", () => {
+        const transformed = transformer.transform(baseTodo, currentTaskCategory);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with due date without time", () => {
+        const transformed = transformer.transform(
+            { ...baseTodo, due: "20200905" },
+            currentTaskCategory
+        );
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-09-05",
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with due date and local due time", () => {
+        const transformed = transformer.transform(
+            { ...baseTodo, due: "20200905T123000" },
+            currentTaskCategory
+        );
+
+        expect(transformed.dueDate).toEqual("2020-09-05");
+        expect(transformed.dueDatetime.isSame(moment("2020-09-05T12:30:00"))).toBe(true);
+    });
+
+    it("handles tasks with due date and UTC due time", () => {
+        const transformed = transformer.transform(
+            { ...baseTodo, due: "20200905T103000Z" },
+            currentTaskCategory
+        );
+
+        const expectedDatetime = moment("2020-09-05T10:30:00Z");
+        expect(transformed.dueDate).toEqual(expectedDatetime.format("YYYY-MM-DD"));
+        expect(transformed.dueDatetime.isSame(expectedDatetime)).toBe(true);
+    });
+
+    it("marks the task as current if it has the relevant category", () => {
+        const transformed = transformer.transform(
+            { ...baseTodo, categories: [otherCategory, currentTaskCategory] },
+            currentTaskCategory
+        );
+
+        expect(transformed.markedCurrent).toBe(true);
+    });
+
+    it("doesn't mark the task as current if it only has other categories", () => {
+        const transformed = transformer.transform(
+            { ...baseTodo, categories: [otherCategory] },
+            currentTaskCategory
+        );
+
+        expect(transformed.markedCurrent).toBe(false);
+    });
+});
@@ -0,0 +1,238 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").CustomHttpIntegrationConfiguration } CustomHttpIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"customhttp"> } CustomHttpIntegration */
+/** @typedef { import("./CustomHttpApi").CustomHttpRequest } CustomHttpRequest */
+/** @typedef { import("./CustomHttpTaskTransformer").CustomHttpMappings } CustomHttpMappings */
+
+const CustomHttpApi = require("./CustomHttpApi");
+const CustomHttpTaskTransformer = require("./CustomHttpTaskTransformer");
+
+const DEFAULT_CLEAR_CURRENT_METHOD = "POST";
+
+/** @implements {CustomHttpIntegration} */
+class CustomHttp {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        /** @type {CustomHttpIntegrationConfiguration} */
+        this._configuration = undefined;
+
+        this._api = new CustomHttpApi(logger);
+        this._transformer = new CustomHttpTaskTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        const configuration = this._configuration || { type: "customhttp" };
+
+        return [
+            {
+                type: "text",
+                name: "url",
+                label: "URL",
+                placeholder: "URL returning your tasks as JSON",
+                required: true,
+                currentValue: configuration.url,
+            },
+            {
+                type: "text",
+                name: "authorization",
+                label: "Authorization header",
+                placeholder: "Example: Bearer abcd1234",
+                required: false,
+                inputType: "password",
+                info: "If specified, this will be sent as the value of the Authorization header.",
+                currentValue: configuration.authorization,
+            },
+            {
+                type: "textList",
+                name: "headers",
+                label: "Other headers",
+                listPlaceholder: "No other headers specified",
+                itemPlaceholder: "Example: Accept-Language: en",
+                buttonText: "Add header",
+                info:
+                    "Any other headers to send with each request. Click a header to remove it again.",
+                currentValue: configuration.headers,
+            },
+            {
+                type: "text",
+                name: "tasksPath",
+                label: "Path to tasks",
+                placeholder: "Example: $.data.tasks",
+                required: false,
+                info:
+                    "Path to the list of tasks in the response. Leave empty if the response itself is the list of tasks. Paths support property names, indexes and wildcards, like $.data.tasks or $.lists[*].items.",
+                currentValue: configuration.tasksPath,
+            },
+            {
+                type: "text",
+                name: "titlePath",
+                label: "Path to title",
+                placeholder: "Example: $.title",
+                required: true,
+                info: "This path and the ones below are relative to a single task.",
+                currentValue: configuration.titlePath,
+            },
+            {
+                type: "text",
+                name: "dueDatePath",
+                label: "Path to due date",
+                placeholder: "Example: $.due.date",
+                required: false,
+                info: "The due date should have the format YYYY-MM-DD.",
+                currentValue: configuration.dueDatePath,
+            },
+            {
+                type: "text",
+                name: "dueDatetimePath",
+                label: "Path to due date and time",
+                placeholder: "Example: $.due.datetime",
+                required: false,
+                info:
+                    "The due date and time should be in ISO 8601 format, for example 2020-10-01T14:00:00+02:00. If a task has a due date and time, the due date is ignored.",
+                currentValue: configuration.dueDatetimePath,
+            },
+            {
+                type: "text",
+                name: "markedCurrentPath",
+                label: "Path to current task marker",
+                placeholder: "Example: $.labels[*].name",
+                required: true,
+                currentValue: configuration.markedCurrentPath,
+            },
+            {
+                type: "text",
+                name: "markedCurrentValue",
+                label: "Current task marker value",
+                placeholder: "Example: current",
+                required: false,
+                info:
+                    "Tasks having this value at the path above will be marked as current. Leave empty to mark tasks as current if the value at the path is true (or any other truthy value).",
+                currentValue: configuration.markedCurrentValue,
+            },
+            {
+                type: "text",
+                name: "clearCurrentUrl",
+                label: "Clear current task URL",
+                placeholder: "URL to call when clearing the current task",
+                required: false,
+                info:
+                    "Only needed if you want the app to be able to clear the current task. The same authorization header and other headers are sent with this request.",
+                currentValue: configuration.clearCurrentUrl,
+            },
+            {
+                type: "text",
+                name: "clearCurrentMethod",
+                label: "Clear current task method",
+                placeholder: DEFAULT_CLEAR_CURRENT_METHOD,
+                required: false,
+                pattern: "GET|POST|PUT|PATCH|DELETE",
+                currentValue: configuration.clearCurrentMethod,
+            },
+            {
+                type: "text",
+                name: "clearCurrentBody",
+                label: "Clear current task body",
+                placeholder: 'Example: { "current": null }',
+                required: false,
+                info: "If specified, this will be sent as JSON.",
+                currentValue: configuration.clearCurrentBody,
+            },
+        ];
+    }
+
+    /** @param {CustomHttpIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._configuration = configuration;
+    }
+
+    /** @param {CustomHttpIntegrationConfiguration} configuration */
+    async testConfiguration(configuration) {
+        this._transformer.validateMappings(this._getMappings(configuration));
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant tasks from custom HTTP endpoint");
+        this._checkUrlAndMappingsSpecified();
+
+        const responseData = await this._api.performRequest(
+            this._getRequest("GET", this._configuration.url),
+            "Custom HTTP get tasks"
+        );
+
+        return this._transformer.transformResponse(
+            responseData,
+            this._getMappings(this._configuration)
+        );
+    }
+
+    /**
+     * @param {CustomHttpIntegrationConfiguration} configuration
+     * @returns {CustomHttpMappings}
+     */
+    _getMappings(configuration) {
+        return {
+            tasksPath: configuration.tasksPath,
+            titlePath: configuration.titlePath,
+            dueDatePath: configuration.dueDatePath,
+            dueDatetimePath: configuration.dueDatetimePath,
+            markedCurrentPath: configuration.markedCurrentPath,
+            markedCurrentValue: configuration.markedCurrentValue,
+        };
+    }
+
+    async clearCurrent() {
+        this._checkUrlAndMappingsSpecified();
+
+        if (!this._configuration.clearCurrentUrl) {
+            this._logger.debugIntegration("No clear current request configured for custom HTTP");
+            return;
+        }
+
+        const method = this._configuration.clearCurrentMethod || DEFAULT_CLEAR_CURRENT_METHOD;
+
+        await this._api.performRequest(
+            {
+                ...this._getRequest(method, this._configuration.clearCurrentUrl),
+                body: this._configuration.clearCurrentBody,
+            },
+            "Custom HTTP clear current"
+        );
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    /**
+     * @param {CustomHttpRequest["method"]} method
+     * @param {string} url
+     * @returns {CustomHttpRequest}
+     */
+    _getRequest(method, url) {
+        return {
+            method,
+            url,
+            authorization: this._configuration.authorization,
+            headers: this._configuration.headers,
+        };
+    }
+
+    _checkUrlAndMappingsSpecified() {
+        if (
+            !this._configuration ||
+            !this._configuration.url ||
+            !this._configuration.titlePath ||
+            !this._configuration.markedCurrentPath
+        ) {
+            throw new Error("Custom HTTP integration not configured");
+        }
+    }
+}
+
+module.exports = CustomHttp;
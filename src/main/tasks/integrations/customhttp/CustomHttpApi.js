@@ -0,0 +1,97 @@
+/** @typedef { import("../../../Logger") } Logger */
+
+const axios = require("axios").default;
+
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+
+/**
+ * @typedef {object} CustomHttpRequest
+ * @property {"GET" | "POST" | "PUT" | "PATCH" | "DELETE"} method
+ * @property {string} url
+ * @property {string} [body]
+ * @property {string} [authorization] Value for the Authorization header
+ * @property {string[]} [headers] Example: X-Api-Key: abcd
+ */
+
+class CustomHttpApi {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+    }
+
+    /**
+     * @param {CustomHttpRequest} request
+     * @param {string} callDescription
+     */
+    async performRequest(request, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        const headers = this._getHeaders(request);
+
+        try {
+            const response = await axios({
+                method: request.method,
+                url: request.url,
+                data: request.body || undefined,
+                headers,
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleApiRequestError(error, callDescription);
+        }
+    }
+
+    /** @param {CustomHttpRequest} request */
+    _getHeaders(request) {
+        /** @type {Object<string, string>} */
+        const headers = {};
+
+        if (request.body) {
+            headers["Content-Type"] = "application/json";
+        }
+
+        for (const header of request.headers || []) {
+            const separatorIndex = header.indexOf(":");
+
+            if (separatorIndex <= 0) {
+                throw new Error(`Invalid header '${header}' (expected Name: value)`);
+            }
+
+            const name = header.substring(0, separatorIndex).trim();
+            headers[name] = header.substring(separatorIndex + 1).trim();
+        }
+
+        if (request.authorization) {
+            headers["Authorization"] = request.authorization;
+        }
+
+        return headers;
+    }
+
+    _handleApiRequestError(error, callDescription) {
+        if (error.response && [401, 403].includes(error.response.status)) {
+            const status = error.response.status;
+            this._logger.debugIntegration(
+                `${callDescription} call auth error, status code ${status}`
+            );
+            throw new Error("Custom HTTP endpoint rejected the credentials");
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new IntegrationConnectionError("Problem reaching custom HTTP endpoint");
+        }
+    }
+}
+
+module.exports = CustomHttpApi;
@@ -0,0 +1,122 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+const JsonPath = require("./JsonPath");
+
+/**
+ * @typedef {object} CustomHttpMappings
+ * @property {string} [tasksPath] Path to the array of tasks, relative to the response
+ * @property {string} titlePath Relative to a task, same for the other paths
+ * @property {string} [dueDatePath]
+ * @property {string} [dueDatetimePath]
+ * @property {string} markedCurrentPath
+ * @property {string} [markedCurrentValue] If not specified, any truthy value marks the task as current
+ */
+
+class CustomHttpTaskTransformer {
+    constructor() {
+        this._jsonPath = new JsonPath();
+        this._dateTimeHelper = new DateTimeHelper();
+    }
+
+    /**
+     * Throws an error with a message for the user if one of the paths isn't supported
+     * @param {CustomHttpMappings} mappings
+     */
+    validateMappings(mappings) {
+        const paths = [
+            mappings.tasksPath,
+            mappings.titlePath,
+            mappings.dueDatePath,
+            mappings.dueDatetimePath,
+            mappings.markedCurrentPath,
+        ];
+
+        for (const path of paths) {
+            if (path) {
+                this._jsonPath.validate(path);
+            }
+        }
+    }
+
+    /**
+     * @param {any} responseData
+     * @param {CustomHttpMappings} mappings
+     * @returns {IntegrationTask[]}
+     */
+    transformResponse(responseData, mappings) {
+        const tasksPath = mappings.tasksPath || "$";
+        const taskArrays = this._jsonPath.evaluate(responseData, tasksPath);
+
+        if (taskArrays.length !== 1 || !Array.isArray(taskArrays[0])) {
+            throw new Error(`No list of tasks at '${tasksPath}'`);
+        }
+
+        return taskArrays[0].map((task) => this.transform(task, mappings));
+    }
+
+    /**
+     * @param {any} task
+     * @param {CustomHttpMappings} mappings
+     * @returns {IntegrationTask}
+     */
+    transform(task, mappings) {
+        const title = this._getFirstValue(task, mappings.titlePath);
+
+        if (typeof title !== "string" && typeof title !== "number") {
+            throw new Error(`No task title at '${mappings.titlePath}'`);
+        }
+
+        let dueDate = undefined;
+        let dueDatetime = undefined;
+
+        const dueDatetimeValue = this._getFirstValue(task, mappings.dueDatetimePath);
+        const dueDateValue = this._getFirstValue(task, mappings.dueDatePath);
+
+        if (dueDatetimeValue !== undefined) {
+            dueDatetime = moment(dueDatetimeValue, moment.ISO_8601, true);
+
+            if (!dueDatetime.isValid()) {
+                throw new Error(`Invalid due datetime '${dueDatetimeValue}' (expected ISO 8601)`);
+            }
+
+            dueDate = this._dateTimeHelper.getDateString(dueDatetime);
+        } else if (dueDateValue !== undefined) {
+            if (!moment(dueDateValue, "YYYY-MM-DD", true).isValid()) {
+                throw new Error(`Invalid due date '${dueDateValue}' (expected YYYY-MM-DD)`);
+            }
+
+            dueDate = dueDateValue;
+        }
+
+        const markedCurrentValues = this._jsonPath.evaluate(task, mappings.markedCurrentPath);
+
+        const markedCurrent =
+            mappings.markedCurrentValue !== undefined && mappings.markedCurrentValue !== ""
+                ? markedCurrentValues.some((value) => String(value) === mappings.markedCurrentValue)
+                : markedCurrentValues.some((value) => Boolean(value));
+
+        return {
+            title: String(title),
+            dueDate,
+            dueDatetime,
+            markedCurrent,
+        };
+    }
+
+    /**
+     * @param {any} task
+     * @param {string} [path]
+     */
+    _getFirstValue(task, path) {
+        if (!path) {
+            return undefined;
+        }
+
+        return this._jsonPath.evaluate(task, path)[0];
+    }
+}
+
+module.exports = CustomHttpTaskTransformer;
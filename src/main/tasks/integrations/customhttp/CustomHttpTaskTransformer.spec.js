@@ -0,0 +1,127 @@
+/** @typedef { import("./CustomHttpTaskTransformer").CustomHttpMappings } CustomHttpMappings */
+
+const moment = require("moment");
+
+const CustomHttpTaskTransformer = require("./CustomHttpTaskTransformer");
+
+const transformer = new CustomHttpTaskTransformer();
+
+const placeholderTitle = "placeholderTitle";
+
+/** @type {CustomHttpMappings} */
+const baseMappings = {
+    titlePath: "$.name",
+    dueDatePath: "$.due.date",
+    dueDatetimePath: "$.due.datetime",
+    markedCurrentPath: "$.current",
+};
+
+describe("CustomHttpTaskTransformer", () => {
+    it("handles tasks without due date", () => {
+        const transformed = transformer.transform({ name: placeholderTitle }, baseMappings);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with due date", () => {
+        const transformed = transformer.transform(
+            { name: placeholderTitle, due: { date: "2020-09-05" } },
+            baseMappings
+        );
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-09-05",
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with due datetime", () => {
+        const transformed = transformer.transform(
+            {
+                name: placeholderTitle,
+                due: { date: "2020-09-05", datetime: "2020-09-05T12:30:00" },
+            },
+            baseMappings
+        );
+
+        expect(transformed.dueDate).toEqual("2020-09-05");
+        expect(transformed.dueDatetime.isSame(moment("2020-09-05T12:30:00"))).toBe(true);
+    });
+
+    it("marks the task as current if the value at the path is truthy", () => {
+        const transformed = transformer.transform(
+            { name: placeholderTitle, current: true },
+            baseMappings
+        );
+
+        expect(transformed.markedCurrent).toBe(true);
+    });
+
+    it("marks the task as current if one of the values at the path matches the specified value", () => {
+        const mappings = {
+            ...baseMappings,
+            markedCurrentPath: "$.labels[*].name",
+            markedCurrentValue: "current",
+        };
+
+        const currentTask = {
+            name: placeholderTitle,
+            labels: [{ name: "a" }, { name: "current" }],
+        };
+        const otherTask = { name: placeholderTitle, labels: [{ name: "a" }] };
+
+        expect(transformer.transform(currentTask, mappings).markedCurrent).toBe(true);
+        expect(transformer.transform(otherTask, mappings).markedCurrent).toBe(false);
+    });
+
+    it("gets the tasks from the specified path in the response", () => {
+        const responseData = { data: { items: [{ name: "First" }, { name: "Second" }] } };
+
+        const transformed = transformer.transformResponse(responseData, {
+            ...baseMappings,
+            tasksPath: "$.data.items",
+        });
+
+        expect(transformed.map((task) => task.title)).toEqual(["First", "Second"]);
+    });
+
+    it("throws a readable error if there is no list of tasks at the path", () => {
+        expect(() =>
+            transformer.transformResponse({ data: {} }, { ...baseMappings, tasksPath: "$.data" })
+        ).toThrow("No list of tasks at '$.data'");
+    });
+
+    it("throws a readable error if a task has no title", () => {
+        expect(() => transformer.transform({ title: placeholderTitle }, baseMappings)).toThrow(
+            "No task title at '$.name'"
+        );
+    });
+
+    it("throws a readable error for invalid due dates", () => {
+        expect(() =>
+            transformer.transform(
+                { name: placeholderTitle, due: { date: "05/09/2020" } },
+                baseMappings
+            )
+        ).toThrow("Invalid due date '05/09/2020' (expected YYYY-MM-DD)");
+    });
+
+    it("accepts supported paths and leaves out paths that aren't specified", () => {
+        expect(() =>
+            transformer.validateMappings({ ...baseMappings, tasksPath: "$.lists[*].items" })
+        ).not.toThrow();
+    });
+
+    it("throws a readable error for unsupported paths", () => {
+        expect(() =>
+            transformer.validateMappings({ ...baseMappings, dueDatePath: "$.due..date" })
+        ).toThrow("Invalid path '$.due..date'");
+    });
+});
@@ -0,0 +1,76 @@
+// supports a small subset of JSONPath: $.a.b, $['a'], $.a[0], $.a[*].b and $.a.*
+// paths without the leading $ are also accepted (example: a.b)
+const SEGMENT_REGEX = /^(?:\.([^.[\]]+)|\[(\d+|\*)\]|\[(?:'([^']*)'|"([^"]*)")\])/;
+
+class JsonPath {
+    /**
+     * @param {any} data
+     * @param {string} path
+     * @returns {any[]} All values matching the path
+     */
+    evaluate(data, path) {
+        let results = [data];
+
+        for (const segment of this._parse(path)) {
+            results = results.flatMap((result) => this._getChildren(result, segment));
+        }
+
+        return results.filter((result) => result !== undefined && result !== null);
+    }
+
+    /**
+     * Throws if the path isn't supported
+     * @param {string} path
+     */
+    validate(path) {
+        this._parse(path);
+    }
+
+    /**
+     * @param {string} path
+     * @returns {string[]} Property names, array indexes and "*" for wildcards
+     */
+    _parse(path) {
+        let remaining = path.trim();
+
+        if (remaining.startsWith("$")) {
+            remaining = remaining.substring(1);
+        } else if (!remaining.startsWith("[")) {
+            remaining = `.${remaining}`;
+        }
+
+        const segments = [];
+
+        while (remaining.length > 0) {
+            const match = SEGMENT_REGEX.exec(remaining);
+
+            if (!match) {
+                throw new Error(`Invalid path '${path}'`);
+            }
+
+            segments.push(match.slice(1).find((group) => group !== undefined));
+            remaining = remaining.substring(match[0].length);
+        }
+
+        return segments;
+    }
+
+    /**
+     * @param {any} value
+     * @param {string} segment
+     * @returns {any[]}
+     */
+    _getChildren(value, segment) {
+        if (typeof value !== "object" || value === null) {
+            return [];
+        }
+
+        if (segment === "*") {
+            return Object.values(value);
+        }
+
+        return [value[segment]];
+    }
+}
+
+module.exports = JsonPath;
@@ -0,0 +1,52 @@
+const JsonPath = require("./JsonPath");
+
+const jsonPath = new JsonPath();
+
+const data = {
+    name: "root",
+    tasks: [
+        { title: "First", labels: [{ name: "a" }, { name: "b" }] },
+        { title: "Second", labels: [] },
+    ],
+    "weird key": { value: 1 },
+};
+
+describe("JsonPath", () => {
+    it("returns the data itself for the root path", () => {
+        expect(jsonPath.evaluate(data, "$")).toEqual([data]);
+    });
+
+    it("handles property access", () => {
+        expect(jsonPath.evaluate(data, "$.name")).toEqual(["root"]);
+    });
+
+    it("handles paths without leading $", () => {
+        expect(jsonPath.evaluate(data, "name")).toEqual(["root"]);
+        expect(jsonPath.evaluate(data, "tasks[1].title")).toEqual(["Second"]);
+    });
+
+    it("handles bracket notation", () => {
+        expect(jsonPath.evaluate(data, "$['weird key'].value")).toEqual([1]);
+        expect(jsonPath.evaluate(data, '$["weird key"]["value"]')).toEqual([1]);
+    });
+
+    it("handles array indexes and wildcards", () => {
+        expect(jsonPath.evaluate(data, "$.tasks[0].title")).toEqual(["First"]);
+        expect(jsonPath.evaluate(data, "$.tasks[*].title")).toEqual(["First", "Second"]);
+        expect(jsonPath.evaluate(data, "$.tasks[*].labels[*].name")).toEqual(["a", "b"]);
+        expect(jsonPath.evaluate(data, "$.tasks.*.title")).toEqual(["First", "Second"]);
+    });
+
+    it("returns no results for missing values", () => {
+        expect(jsonPath.evaluate(data, "$.missing")).toEqual([]);
+        expect(jsonPath.evaluate(data, "$.name.missing")).toEqual([]);
+        expect(jsonPath.evaluate(data, "$.tasks[5].title")).toEqual([]);
+    });
+
+    it("throws for unsupported paths", () => {
+        expect(() => jsonPath.evaluate(data, "$..title")).toThrow("Invalid path '$..title'");
+        expect(() => jsonPath.validate("$.tasks[?(@.done)]")).toThrow(
+            "Invalid path '$.tasks[?(@.done)]'"
+        );
+    });
+});
@@ -0,0 +1,133 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").GitHubIntegrationConfiguration } GitHubIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"github"> } GitHubIntegration */
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const GitHubApi = require("./GitHubApi");
+const GitHubIssueTransformer = require("./GitHubIssueTransformer");
+
+/** @implements {GitHubIntegration} */
+class GitHub {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._token = undefined;
+        this._labelName = undefined;
+        this._repositories = undefined;
+        this._apiUrl = undefined;
+
+        // clearing the current task before the first successful refresh shouldn't fail
+        /** @type {GitHubIssue[]} */
+        this._latestIssues = [];
+
+        this._api = new GitHubApi(logger);
+        this._transformer = new GitHubIssueTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "token",
+                label: "GitHub token",
+                placeholder: "Your GitHub personal access token",
+                required: true,
+                inputType: "password",
+                info:
+                    "Do not share this token with anyone. You can create a personal access token on GitHub under Settings - Developer settings - Personal access tokens. For private repositories, the token needs the 'repo' scope.",
+                currentValue: this._token,
+            },
+            {
+                type: "text",
+                name: "labelName",
+                label: "Label name",
+                placeholder: "Current task label",
+                required: true,
+                info:
+                    "A label with this name will mark issues as current task. You can create a label with this name in each repository you want to use.",
+                currentValue: this._labelName,
+            },
+            {
+                type: "textList",
+                name: "repositories",
+                label: "Repositories",
+                listPlaceholder: "No repositories specified",
+                itemPlaceholder: "owner/name",
+                buttonText: "Add repository",
+                info:
+                    "If you specify a list of repositories here, the app will look at all open issues in those repositories. Otherwise, it will look at the open issues assigned to you. Click a repository to remove it again.",
+                currentValue: this._repositories,
+            },
+            {
+                type: "text",
+                name: "apiUrl",
+                label: "API URL",
+                placeholder: "https://api.github.com",
+                required: false,
+                info:
+                    "Only needed if you use GitHub Enterprise Server, for example https://github.example.com/api/v3",
+                currentValue: this._apiUrl,
+            },
+        ];
+    }
+
+    /** @param {GitHubIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._token = configuration.token;
+        this._labelName = configuration.labelName;
+        this._repositories = configuration.repositories;
+        this._apiUrl = configuration.apiUrl;
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant issues from GitHub");
+        this._checkTokenAndLabelNameSpecified();
+
+        const issuesPromise = this._api.getIssues(this._token, this._repositories, this._apiUrl);
+        this._latestIssuesPromise = issuesPromise;
+        const issues = await issuesPromise;
+
+        if (issuesPromise === this._latestIssuesPromise) {
+            this._latestIssues = issues;
+        }
+
+        return this._latestIssues.map((issue) =>
+            this._transformer.transform(issue, this._labelName)
+        );
+    }
+
+    async clearCurrent() {
+        this._checkTokenAndLabelNameSpecified();
+
+        const issuesMarkedCurrent = this._latestIssues.filter((issue) =>
+            issue.labels.some((label) => label.name === this._labelName)
+        );
+
+        if (issuesMarkedCurrent.length > 0) {
+            this._logger.debugIntegration("Removing the label from current tasks in GitHub");
+
+            await Promise.all(
+                issuesMarkedCurrent.map((issue) =>
+                    this._api.removeLabelFromIssue(issue, this._labelName, this._token)
+                )
+            );
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    _checkTokenAndLabelNameSpecified() {
+        if (!this._token || !this._labelName) {
+            throw new Error("GitHub not configured");
+        }
+    }
+}
+
+module.exports = GitHub;
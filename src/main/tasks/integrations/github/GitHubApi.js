@@ -0,0 +1,197 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const axios = require("axios").default;
+
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+
+const DEFAULT_API_URL = "https://api.github.com";
+
+// limit the number of repositories we retrieve issues from. one reason for doing this are the GitHub API rate limits.
+const MAX_REPOSITORIES = 15;
+
+// maximum page size allowed by the GitHub API
+const ISSUES_PER_PAGE = 100;
+
+// prevents a single repository with a huge number of open issues from eating up the rate limit
+const MAX_PAGES_PER_REPOSITORY = 5;
+
+class GitHubApi {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+
+        // conditional requests returning 304 Not Modified don't count against the GitHub API rate limit
+        // this allows us to keep checking every few seconds, even with multiple repositories
+        /** @type {Map<string, { etag: string, data: any }>} */
+        this._cachedResponsesByRequestKey = new Map();
+    }
+
+    /**
+     * @param {string} token
+     * @param {string[]} [repositories] Repositories in the format owner/name
+     * @param {string} [apiUrl] Base URL for the API, only needed for GitHub Enterprise Server
+     * @returns {Promise<GitHubIssue[]>}
+     */
+    async getIssues(token, repositories, apiUrl) {
+        const baseUrl = this._getBaseUrl(apiUrl);
+
+        if (!repositories || repositories.length === 0) {
+            return this._getPagedIssues(
+                `${baseUrl}/issues`,
+                { filter: "assigned" },
+                token,
+                "GitHub get assigned issues"
+            );
+        }
+
+        this._checkRepositories(repositories);
+
+        const issuesArrays = await Promise.all(
+            repositories.map((repository) =>
+                this._getPagedIssues(
+                    `${baseUrl}/repos/${repository}/issues`,
+                    {},
+                    token,
+                    `GitHub get issues for repository ${repository}`,
+                    `No repository '${repository}'`
+                )
+            )
+        );
+
+        return issuesArrays.flat();
+    }
+
+    /** @param {string} [apiUrl] */
+    _getBaseUrl(apiUrl) {
+        const baseUrl = apiUrl || DEFAULT_API_URL;
+        return baseUrl.replace(/\/+$/, "");
+    }
+
+    /** @param {string[]} repositories */
+    _checkRepositories(repositories) {
+        for (const repository of repositories) {
+            if (!/^[^/\s]+\/[^/\s]+$/.test(repository)) {
+                throw new Error(`Invalid repository '${repository}', expected owner/name`);
+            }
+        }
+
+        if (repositories.length > MAX_REPOSITORIES) {
+            throw new Error(`More than ${MAX_REPOSITORIES} repositories to check`);
+        }
+    }
+
+    /**
+     * @param {string} url
+     * @param {object} params
+     * @param {string} token
+     * @param {string} callDescription
+     * @param {string} [notFoundErrorMessage]
+     * @returns {Promise<GitHubIssue[]>}
+     */
+    async _getPagedIssues(url, params, token, callDescription, notFoundErrorMessage) {
+        let issues = [];
+
+        for (let page = 1; page <= MAX_PAGES_PER_REPOSITORY; page++) {
+            const pageIssues = await this._performApiRequest(
+                "GET",
+                url,
+                { ...params, state: "open", per_page: ISSUES_PER_PAGE, page },
+                token,
+                `${callDescription} (page ${page})`,
+                notFoundErrorMessage
+            );
+
+            issues = [...issues, ...pageIssues];
+
+            if (pageIssues.length < ISSUES_PER_PAGE) {
+                break;
+            }
+        }
+
+        // the issues endpoints also return pull requests, which we don't consider to be tasks
+        return issues.filter((issue) => !issue.pull_request);
+    }
+
+    /**
+     * @param {GitHubIssue} issue
+     * @param {string} labelName
+     * @param {string} token
+     */
+    async removeLabelFromIssue(issue, labelName, token) {
+        await this._performApiRequest(
+            "DELETE",
+            `${issue.url}/labels/${encodeURIComponent(labelName)}`,
+            {},
+            token,
+            "GitHub remove label from issue"
+        );
+    }
+
+    async _performApiRequest(method, url, params, token, callDescription, notFoundErrorMessage) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        const requestKey = JSON.stringify({ method, url, params, token });
+        const cachedResponse = this._cachedResponsesByRequestKey.get(requestKey);
+
+        /** @type {Record<string, string>} */
+        const headers = {
+            Accept: "application/vnd.github.v3+json",
+            Authorization: `token ${token}`,
+        };
+
+        if (method === "GET" && cachedResponse) {
+            headers["If-None-Match"] = cachedResponse.etag;
+        }
+
+        try {
+            const response = await axios({
+                method,
+                url,
+                params,
+                headers,
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+                validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+            });
+
+            if (response.status === 304) {
+                this._logger.debugIntegration(`${callDescription} call successful, not modified`);
+                return cachedResponse.data;
+            }
+
+            if (method === "GET" && response.headers.etag) {
+                const etag = response.headers.etag;
+                this._cachedResponsesByRequestKey.set(requestKey, { etag, data: response.data });
+            }
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleApiRequestError(error, callDescription, notFoundErrorMessage);
+        }
+    }
+
+    _handleApiRequestError(error, callDescription, notFoundErrorMessage) {
+        if (error.response && error.response.status === 401) {
+            this._logger.debugIntegration(`${callDescription} call auth error, status code 401`);
+            throw new Error("Invalid GitHub token");
+        } else if (error.response && error.response.status === 404 && notFoundErrorMessage) {
+            this._logger.debugIntegration(`${callDescription} call not found, status code 404`);
+            throw new Error(notFoundErrorMessage);
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new IntegrationConnectionError("Problem reaching GitHub");
+        }
+    }
+}
+
+module.exports = GitHubApi;
@@ -0,0 +1,19 @@
+// this represents the part of the GitHub REST API's issue format that we care about
+export interface GitHubIssue {
+    /** example value: https://api.github.com/repos/octocat/Hello-World/issues/1347 */
+    url: string;
+
+    title: string;
+
+    labels: {
+        name: string;
+    }[];
+
+    milestone: {
+        /** example value: 2020-10-09T07:00:00Z */
+        due_on: string | null;
+    } | null;
+
+    /** only present if the issue is actually a pull request */
+    pull_request?: object;
+}
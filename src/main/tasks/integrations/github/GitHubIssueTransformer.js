@@ -0,0 +1,29 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const moment = require("moment");
+
+class GitHubIssueTransformer {
+    /**
+     * @param {GitHubIssue} issueFromApi
+     * @param {string} currentTaskLabelName
+     * @returns {IntegrationTask}
+     */
+    transform(issueFromApi, currentTaskLabelName) {
+        let dueDate = undefined;
+
+        if (issueFromApi.milestone && issueFromApi.milestone.due_on) {
+            // milestone due dates are set as dates in the GitHub UI, the time part is not meaningful
+            dueDate = moment.utc(issueFromApi.milestone.due_on).format("YYYY-MM-DD");
+        }
+
+        return {
+            title: issueFromApi.title,
+            dueDate,
+            dueDatetime: undefined,
+            markedCurrent: issueFromApi.labels.some((label) => label.name === currentTaskLabelName),
+        };
+    }
+}
+
+module.exports = GitHubIssueTransformer;
@@ -0,0 +1,107 @@
+/** @typedef { import("./GitHubIssue").GitHubIssue } GitHubIssue */
+
+const GitHubIssueTransformer = require("./GitHubIssueTransformer");
+
+const transformer = new GitHubIssueTransformer();
+
+const placeholderUrl = "https://api.github.com/repos/owner/repository/issues/1";
+const placeholderTitle = "placeholderTitle";
+const currentTaskLabelName = "currentTaskLabelName";
+const otherLabelName = "otherLabelName";
+
+describe("GitHubIssueTransformer", () => {
+    it("handles issues without milestone", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            url: placeholderUrl,
+            title: placeholderTitle,
+            labels: [],
+            milestone: null,
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles issues with a milestone without due date", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            url: placeholderUrl,
+            title: placeholderTitle,
+            labels: [],
+            milestone: { due_on: null },
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("uses the milestone due date as the issue's due date", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            url: placeholderUrl,
+            title: placeholderTitle,
+            labels: [],
+            milestone: { due_on: "2020-10-09T07:00:00Z" },
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-10-09",
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("marks the issue as current if it has the relevant label", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            url: placeholderUrl,
+            title: placeholderTitle,
+            labels: [{ name: currentTaskLabelName }],
+            milestone: null,
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: true,
+        });
+    });
+
+    it("ignores labels other than the relevant label", () => {
+        /** @type {GitHubIssue} */
+        const issueFromApi = {
+            url: placeholderUrl,
+            title: placeholderTitle,
+            labels: [{ name: otherLabelName }],
+            milestone: null,
+        };
+
+        const transformed = transformer.transform(issueFromApi, currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+});
@@ -0,0 +1,175 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").JiraIntegrationConfiguration } JiraIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"jira"> } JiraIntegration */
+
+const JiraApi = require("./JiraApi");
+const JiraIssueTransformer = require("./JiraIssueTransformer");
+
+const DEFAULT_CURRENT_TASK_FIELD_ID = "labels";
+
+/** @implements {JiraIntegration} */
+class Jira {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._url = undefined;
+        this._username = undefined;
+        this._token = undefined;
+        this._jql = undefined;
+        this._labelName = undefined;
+        this._customFieldId = undefined;
+
+        this._api = new JiraApi(logger);
+        this._transformer = new JiraIssueTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "url",
+                label: "Jira URL",
+                placeholder: "https://example.atlassian.net",
+                required: true,
+                info: "The URL of your Jira Cloud site or Jira Server instance.",
+                currentValue: this._url,
+            },
+            {
+                type: "text",
+                name: "username",
+                label: "Email or username",
+                placeholder: "Your Jira email address or username",
+                required: false,
+                info:
+                    "For Jira Cloud, this is your email address. For Jira Server, this is your username. Leave this empty if you use a personal access token on Jira Server.",
+                currentValue: this._username,
+            },
+            {
+                type: "text",
+                name: "token",
+                label: "Jira token",
+                placeholder: "Your Jira API token or password",
+                required: true,
+                inputType: "password",
+                info:
+                    "Do not share this token with anyone. For Jira Cloud, you can create an API token at https://id.atlassian.com/manage-profile/security/api-tokens. For Jira Server, you can use your password or a personal access token.",
+                currentValue: this._token,
+            },
+            {
+                type: "text",
+                name: "jql",
+                label: "JQL query",
+                placeholder: "JQL query for relevant issues",
+                required: true,
+                info:
+                    "The app only looks at issues returned by this query, so make sure it includes the issues you mark as current. Example: assignee = currentUser() AND statusCategory != Done",
+                currentValue: this._jql,
+            },
+            {
+                type: "text",
+                name: "labelName",
+                label: "Label name",
+                placeholder: "Current task label",
+                required: true,
+                info: "This is the Jira label you will use to mark an issue as current.",
+                currentValue: this._labelName,
+            },
+            {
+                type: "text",
+                name: "customFieldId",
+                label: "Custom field ID",
+                placeholder: "Example: customfield_10050",
+                required: false,
+                info:
+                    "By default, the app looks at the issue's labels. If you want to use a custom labels, checkboxes or multi-select field instead, enter its ID here. The label name above should then be one of the field's values.",
+                currentValue: this._customFieldId,
+            },
+        ];
+    }
+
+    /** @param {JiraIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._url = configuration.url;
+        this._username = configuration.username;
+        this._token = configuration.token;
+        this._jql = configuration.jql;
+        this._labelName = configuration.labelName;
+        this._customFieldId = configuration.customFieldId;
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant issues from Jira");
+        this._checkConfigured();
+
+        const fieldId = this._getCurrentTaskFieldId();
+        const fieldIds = ["summary", "duedate", fieldId];
+        const issues = await this._api.searchIssues(this._jql, fieldIds, this._getConnection());
+
+        return issues.map((issue) => this._transformer.transform(issue, fieldId, this._labelName));
+    }
+
+    async clearCurrent() {
+        this._checkConfigured();
+
+        const fieldId = this._getCurrentTaskFieldId();
+        const connection = this._getConnection();
+
+        // look at all issues with the label, not only the ones matching the configured JQL query
+        const issuesMarkedCurrent = await this._api.searchIssues(
+            this._getCurrentTaskJql(),
+            ["summary", fieldId],
+            connection
+        );
+
+        if (issuesMarkedCurrent.length > 0) {
+            this._logger.debugIntegration("Removing the label from current tasks in Jira");
+
+            const isLabelsField = await this._api.isLabelsField(fieldId, connection);
+
+            await Promise.all(
+                issuesMarkedCurrent.map((issue) =>
+                    this._api.removeLabelFromIssue(
+                        issue,
+                        fieldId,
+                        isLabelsField,
+                        this._labelName,
+                        connection
+                    )
+                )
+            );
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    _getCurrentTaskFieldId() {
+        return this._customFieldId || DEFAULT_CURRENT_TASK_FIELD_ID;
+    }
+
+    _getCurrentTaskJql() {
+        const fieldId = this._getCurrentTaskFieldId();
+        const customFieldMatch = /^customfield_(\d+)$/.exec(fieldId);
+        const jqlField = customFieldMatch ? `cf[${customFieldMatch[1]}]` : fieldId;
+        const escapedLabelName = this._labelName.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+        return `${jqlField} = "${escapedLabelName}"`;
+    }
+
+    _getConnection() {
+        return { url: this._url, username: this._username, token: this._token };
+    }
+
+    _checkConfigured() {
+        if (!this._url || !this._token || !this._jql || !this._labelName) {
+            throw new Error("Jira not configured");
+        }
+    }
+}
+
+module.exports = Jira;
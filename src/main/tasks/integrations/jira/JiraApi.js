@@ -0,0 +1,181 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./JiraField").JiraField } JiraField */
+/** @typedef { import("./JiraIssue").JiraIssue } JiraIssue */
+
+const axios = require("axios").default;
+
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+
+// maximum page size that Jira Cloud allows for searches
+const ISSUES_PER_PAGE = 100;
+
+// prevents a very broad JQL query from resulting in a huge number of calls on every refresh
+const MAX_PAGES = 5;
+
+/**
+ * @typedef {object} JiraConnection
+ * @property {string} url Base URL of the Jira site, example: https://example.atlassian.net
+ * @property {string} [username] Email address (Jira Cloud) or username (Jira Server)
+ * @property {string} token API token (Jira Cloud), password or personal access token (Jira Server)
+ */
+
+class JiraApi {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+    }
+
+    /**
+     * @param {string} jql
+     * @param {string[]} fieldIds
+     * @param {JiraConnection} connection
+     * @returns {Promise<JiraIssue[]>}
+     */
+    async searchIssues(jql, fieldIds, connection) {
+        let issues = [];
+
+        for (let page = 0; page < MAX_PAGES; page++) {
+            const responseData = await this._performApiRequest(
+                "POST",
+                "/search",
+                {
+                    jql,
+                    fields: fieldIds,
+                    startAt: page * ISSUES_PER_PAGE,
+                    maxResults: ISSUES_PER_PAGE,
+                },
+                connection,
+                `Jira search issues (page ${page + 1})`
+            );
+
+            issues = [...issues, ...responseData.issues];
+
+            if (issues.length >= responseData.total) {
+                break;
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Labels fields (including custom ones) take plain strings, checkboxes and multi-select fields take option objects
+     * @param {string} fieldId
+     * @param {JiraConnection} connection
+     * @returns {Promise<boolean>}
+     */
+    async isLabelsField(fieldId, connection) {
+        if (fieldId === "labels") {
+            return true;
+        }
+
+        /** @type {JiraField[]} */
+        const fields = await this._performApiRequest(
+            "GET",
+            "/field",
+            undefined,
+            connection,
+            "Jira get fields"
+        );
+
+        const field = fields.find((item) => item.id === fieldId);
+
+        if (!field) {
+            throw new Error(`No Jira field '${fieldId}'`);
+        }
+
+        const customType = (field.schema && field.schema.custom) || "";
+        return customType.endsWith(":labels");
+    }
+
+    /**
+     * @param {JiraIssue} issue
+     * @param {string} fieldId
+     * @param {boolean} isLabelsField See isLabelsField
+     * @param {string} labelName
+     * @param {JiraConnection} connection
+     */
+    async removeLabelFromIssue(issue, fieldId, isLabelsField, labelName, connection) {
+        const valueToRemove = isLabelsField ? labelName : { value: labelName };
+
+        await this._performApiRequest(
+            "PUT",
+            `/issue/${issue.key}`,
+            { update: { [fieldId]: [{ remove: valueToRemove }] } },
+            connection,
+            `Jira remove label from issue ${issue.key}`
+        );
+    }
+
+    /**
+     * @param {"GET" | "POST" | "PUT"} method
+     * @param {string} relativeUrl
+     * @param {object} data
+     * @param {JiraConnection} connection
+     * @param {string} callDescription
+     */
+    async _performApiRequest(method, relativeUrl, data, connection, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        const baseUrl = connection.url.replace(/\/+$/, "");
+
+        try {
+            const response = await axios({
+                method,
+                url: `${baseUrl}/rest/api/2${relativeUrl}`,
+                data,
+                headers: { Authorization: this._getAuthorizationHeader(connection) },
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleApiRequestError(error, callDescription);
+        }
+    }
+
+    /** @param {JiraConnection} connection */
+    _getAuthorizationHeader(connection) {
+        if (connection.username) {
+            const credentials = Buffer.from(`${connection.username}:${connection.token}`);
+            return `Basic ${credentials.toString("base64")}`;
+        } else {
+            // personal access tokens on Jira Server / Data Center
+            return `Bearer ${connection.token}`;
+        }
+    }
+
+    _handleApiRequestError(error, callDescription) {
+        if (error.response && [401, 403].includes(error.response.status)) {
+            const status = error.response.status;
+            this._logger.debugIntegration(
+                `${callDescription} call auth error, status code ${status}`
+            );
+            throw new Error("Invalid Jira credentials");
+        } else if (error.response && error.response.status === 400) {
+            this._logger.debugIntegration(`${callDescription} call bad request, status code 400`);
+            const errorMessages = (error.response.data && error.response.data.errorMessages) || [];
+
+            if (errorMessages.length > 0) {
+                throw new Error(`Jira error: ${errorMessages[0]}`);
+            } else {
+                throw new Error("Jira rejected the request");
+            }
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new IntegrationConnectionError("Problem reaching Jira");
+        }
+    }
+}
+
+module.exports = JiraApi;
@@ -0,0 +1,89 @@
+/** @typedef { import("./JiraIssue").JiraIssue } JiraIssue */
+
+const axios = require("axios").default;
+
+const Logger = require("../../../Logger");
+
+const JiraApi = require("./JiraApi");
+
+jest.mock("axios");
+jest.mock("../../../Logger");
+
+// @ts-ignore
+Logger.mockImplementation(() => {
+    return {
+        debugIntegration: jest.fn(),
+    };
+});
+
+/** @type {jest.Mock} */
+// @ts-ignore
+const mockAxios = axios;
+
+const api = new JiraApi(new Logger());
+const connection = { url: "https://example.atlassian.net", username: "user", token: "token" };
+
+/** @type {JiraIssue} */
+const issue = { id: "1", key: "TEST-1", fields: { summary: "Issue" } };
+
+const fields = [
+    {
+        id: "customfield_10050",
+        name: "Current",
+        schema: { custom: "com.atlassian.jira.plugin.system.customfieldtypes:labels" },
+    },
+    {
+        id: "customfield_10060",
+        name: "Status flags",
+        schema: { custom: "com.atlassian.jira.plugin.system.customfieldtypes:multicheckboxes" },
+    },
+];
+
+describe("JiraApi", () => {
+    beforeEach(() => {
+        mockAxios.mockReset();
+        mockAxios.mockResolvedValue({ data: fields });
+    });
+
+    it("treats the system labels field as a labels field without calling the API", async () => {
+        expect(await api.isLabelsField("labels", connection)).toBe(true);
+        expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it("determines the type of custom fields based on their schema", async () => {
+        expect(await api.isLabelsField("customfield_10050", connection)).toBe(true);
+        expect(await api.isLabelsField("customfield_10060", connection)).toBe(false);
+
+        await expect(api.isLabelsField("customfield_99999", connection)).rejects.toThrow(
+            "No Jira field 'customfield_99999'"
+        );
+    });
+
+    it("removes a plain string from custom labels fields", async () => {
+        const isLabelsField = await api.isLabelsField("customfield_10050", connection);
+        await api.removeLabelFromIssue(
+            issue,
+            "customfield_10050",
+            isLabelsField,
+            "now",
+            connection
+        );
+
+        expect(mockAxios).toHaveBeenLastCalledWith(
+            expect.objectContaining({
+                method: "PUT",
+                data: { update: { customfield_10050: [{ remove: "now" }] } },
+            })
+        );
+    });
+
+    it("removes an option object from checkboxes and multi-select fields", async () => {
+        await api.removeLabelFromIssue(issue, "customfield_10060", false, "now", connection);
+
+        expect(mockAxios).toHaveBeenLastCalledWith(
+            expect.objectContaining({
+                data: { update: { customfield_10060: [{ remove: { value: "now" } }] } },
+            })
+        );
+    });
+});
@@ -0,0 +1,13 @@
+// this represents the part of the Jira REST API's field format that we care about
+export interface JiraField {
+    id: string;
+    name: string;
+
+    schema?: {
+        /** example value: labels (only for system fields) */
+        system?: string;
+
+        /** example value: com.atlassian.jira.plugin.system.customfieldtypes:labels (only for custom fields) */
+        custom?: string;
+    };
+}
@@ -0,0 +1,18 @@
+// this represents the part of the Jira REST API's issue format that we care about
+export interface JiraIssue {
+    id: string;
+    key: string;
+
+    fields: {
+        summary: string;
+
+        /** example value: 2020-10-09 */
+        duedate?: string | null;
+
+        /**
+         * the field marking the issue as current (labels by default, can also be a custom field)
+         * labels fields contain strings, checkboxes and multi-select fields contain objects with a value
+         */
+        [fieldId: string]: any;
+    };
+}
@@ -0,0 +1,37 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./JiraIssue").JiraIssue } JiraIssue */
+
+class JiraIssueTransformer {
+    /**
+     * @param {JiraIssue} issueFromApi
+     * @param {string} currentTaskFieldId
+     * @param {string} currentTaskLabelName
+     * @returns {IntegrationTask}
+     */
+    transform(issueFromApi, currentTaskFieldId, currentTaskLabelName) {
+        const fieldValues = issueFromApi.fields[currentTaskFieldId] || [];
+
+        return {
+            title: issueFromApi.fields.summary,
+            dueDate: issueFromApi.fields.duedate || undefined,
+            dueDatetime: undefined,
+            markedCurrent: fieldValues.some((fieldValue) =>
+                this._matchesLabelName(fieldValue, currentTaskLabelName)
+            ),
+        };
+    }
+
+    /**
+     * @param {string | { value: string }} fieldValue
+     * @param {string} currentTaskLabelName
+     */
+    _matchesLabelName(fieldValue, currentTaskLabelName) {
+        if (typeof fieldValue === "string") {
+            return fieldValue === currentTaskLabelName;
+        } else {
+            return !!fieldValue && fieldValue.value === currentTaskLabelName;
+        }
+    }
+}
+
+module.exports = JiraIssueTransformer;
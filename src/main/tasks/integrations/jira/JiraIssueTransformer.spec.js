@@ -0,0 +1,135 @@
+/** @typedef { import("./JiraIssue").JiraIssue } JiraIssue */
+
+const JiraIssueTransformer = require("./JiraIssueTransformer");
+
+const transformer = new JiraIssueTransformer();
+
+const placeholderId = "10001";
+const placeholderKey = "PROJ-1";
+const placeholderTitle = "placeholderTitle";
+const currentTaskLabelName = "currentTaskLabelName";
+const otherLabelName = "otherLabelName";
+const customFieldId = "customfield_10050";
+
+describe("JiraIssueTransformer", () => {
+    it("handles issues without due date", () => {
+        /** @type {JiraIssue} */
+        const issueFromApi = {
+            id: placeholderId,
+            key: placeholderKey,
+            fields: { summary: placeholderTitle, duedate: null, labels: [] },
+        };
+
+        const transformed = transformer.transform(issueFromApi, "labels", currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles issues with due date", () => {
+        /** @type {JiraIssue} */
+        const issueFromApi = {
+            id: placeholderId,
+            key: placeholderKey,
+            fields: { summary: placeholderTitle, duedate: "2020-10-09", labels: [] },
+        };
+
+        const transformed = transformer.transform(issueFromApi, "labels", currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-10-09",
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("marks the issue as current if it has the relevant label", () => {
+        /** @type {JiraIssue} */
+        const issueFromApi = {
+            id: placeholderId,
+            key: placeholderKey,
+            fields: { summary: placeholderTitle, duedate: null, labels: [currentTaskLabelName] },
+        };
+
+        const transformed = transformer.transform(issueFromApi, "labels", currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: true,
+        });
+    });
+
+    it("ignores labels other than the relevant label", () => {
+        /** @type {JiraIssue} */
+        const issueFromApi = {
+            id: placeholderId,
+            key: placeholderKey,
+            fields: { summary: placeholderTitle, duedate: null, labels: [otherLabelName] },
+        };
+
+        const transformed = transformer.transform(issueFromApi, "labels", currentTaskLabelName);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("marks the issue as current based on a multi-select custom field", () => {
+        /** @type {JiraIssue} */
+        const issueFromApi = {
+            id: placeholderId,
+            key: placeholderKey,
+            fields: {
+                summary: placeholderTitle,
+                duedate: null,
+                labels: [],
+                [customFieldId]: [{ value: otherLabelName }, { value: currentTaskLabelName }],
+            },
+        };
+
+        const transformed = transformer.transform(
+            issueFromApi,
+            customFieldId,
+            currentTaskLabelName
+        );
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: true,
+        });
+    });
+
+    it("handles a custom field without value", () => {
+        /** @type {JiraIssue} */
+        const issueFromApi = {
+            id: placeholderId,
+            key: placeholderKey,
+            fields: { summary: placeholderTitle, duedate: null, [customFieldId]: null },
+        };
+
+        const transformed = transformer.transform(
+            issueFromApi,
+            customFieldId,
+            currentTaskLabelName
+        );
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").MarkdownIntegrationConfiguration } MarkdownIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"markdown"> } MarkdownIntegration */
+
+const MarkdownTaskParser = require("./MarkdownTaskParser");
+const MarkdownVault = require("./MarkdownVault");
+
+/** @implements {MarkdownIntegration} */
+class Markdown {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._folderPath = undefined;
+        this._currentTag = undefined;
+
+        this._vault = new MarkdownVault(logger);
+        this._parser = new MarkdownTaskParser();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "folderPath",
+                label: "Folder path",
+                placeholder: "Full path to your notes folder or Obsidian vault",
+                required: true,
+                info: "The app will look at all Markdown files in this folder and its subfolders.",
+                currentValue: this._folderPath,
+            },
+            {
+                type: "text",
+                name: "currentTag",
+                label: "Current task tag",
+                placeholder: "Example: #current",
+                required: true,
+                pattern: "\\S+",
+                info: "Unchecked checkbox items containing this tag will be marked as current.",
+                currentValue: this._currentTag,
+            },
+        ];
+    }
+
+    /** @param {MarkdownIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._folderPath = configuration.folderPath;
+        this._currentTag = configuration.currentTag;
+
+        if (this._folderPath) {
+            this._vault.setFolderPath(this._folderPath);
+        }
+    }
+
+    async getRelevantTasksForState() {
+        this._checkFolderPathAndTagSpecified();
+
+        const files = await this._vault.readFiles();
+        return files.flatMap((file) => this._parser.parseTasks(file.contents, this._currentTag));
+    }
+
+    async clearCurrent() {
+        this._checkFolderPathAndTagSpecified();
+
+        // make sure we don't overwrite any changes that the watcher didn't notify us about yet
+        const files = await this._vault.readFiles(true);
+
+        const filesWithTag = files.filter((file) =>
+            this._parser.hasTag(file.contents, this._currentTag)
+        );
+
+        if (filesWithTag.length > 0) {
+            this._logger.debugIntegration("Removing the tag from current tasks in Markdown files");
+
+            await Promise.all(
+                filesWithTag.map((file) =>
+                    this._vault.writeFile({
+                        filePath: file.filePath,
+                        contents: this._parser.removeTag(file.contents, this._currentTag),
+                    })
+                )
+            );
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    destroy() {
+        this._vault.destroy();
+    }
+
+    _checkFolderPathAndTagSpecified() {
+        if (!this._folderPath || !this._currentTag) {
+            throw new Error("Markdown not configured");
+        }
+    }
+}
+
+module.exports = Markdown;
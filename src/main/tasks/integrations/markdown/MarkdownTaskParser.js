@@ -0,0 +1,120 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+
+// matches unchecked list items like "- [ ] Task", "* [ ] Task" or "1. [ ] Task"
+const UNCHECKED_TASK_REGEX = /^(\s*(?:[-*+]|\d+[.)])\s+\[ \]\s)(.*)$/;
+
+const CODE_FENCE_REGEX = /^\s*(```|~~~)/;
+
+// due date format used by the Obsidian Tasks plugin, example: 📅 2020-10-01
+const TASKS_PLUGIN_DUE_DATE_REGEX = /📅\s*(\d{4}-\d{2}-\d{2})/u;
+
+// inline field format used by the Obsidian Dataview plugin, examples: due:: 2020-10-01, [due:: 2020-10-01]
+const DATAVIEW_DUE_DATE_REGEX = /[[(]?due::\s*(\d{4}-\d{2}-\d{2})[\])]?/;
+
+class MarkdownTaskParser {
+    /**
+     * @param {string} fileContents
+     * @param {string} currentTag
+     * @returns {IntegrationTask[]}
+     */
+    parseTasks(fileContents, currentTag) {
+        const tasks = [];
+
+        this._forEachUncheckedTask(fileContents, (_prefix, text) => {
+            tasks.push(this._parseTaskText(text, currentTag));
+        });
+
+        return tasks;
+    }
+
+    /**
+     * @param {string} text
+     * @param {string} currentTag
+     * @returns {IntegrationTask}
+     */
+    _parseTaskText(text, currentTag) {
+        let dueDate = undefined;
+        let remainingText = text;
+
+        for (const dueDateRegex of [TASKS_PLUGIN_DUE_DATE_REGEX, DATAVIEW_DUE_DATE_REGEX]) {
+            const dueDateMatch = dueDateRegex.exec(remainingText);
+
+            if (dueDateMatch) {
+                dueDate = dueDate || dueDateMatch[1];
+                remainingText = remainingText.replace(dueDateRegex, "");
+            }
+        }
+
+        const tagRegex = this._getTagRegex(currentTag);
+        const markedCurrent = remainingText.search(tagRegex) !== -1;
+        remainingText = remainingText.replace(tagRegex, "");
+
+        return {
+            title: remainingText.replace(/\s+/g, " ").trim(),
+            dueDate,
+            dueDatetime: undefined,
+            markedCurrent,
+        };
+    }
+
+    /**
+     * @param {string} fileContents
+     * @param {string} currentTag
+     */
+    hasTag(fileContents, currentTag) {
+        const tasks = this.parseTasks(fileContents, currentTag);
+        return tasks.some((task) => task.markedCurrent);
+    }
+
+    /**
+     * @param {string} fileContents
+     * @param {string} currentTag
+     */
+    removeTag(fileContents, currentTag) {
+        // preserve the file's line endings
+        const lineSeparator = fileContents.includes("\r\n") ? "\r\n" : "\n";
+        const lines = fileContents.split(lineSeparator);
+        const tagRegex = this._getTagRegex(currentTag);
+
+        this._forEachUncheckedTask(fileContents, (prefix, text, lineIndex) => {
+            const textWithoutTag = text.replace(tagRegex, "");
+
+            // other lines should stay exactly as they are, to avoid unrelated changes
+            if (textWithoutTag !== text) {
+                lines[lineIndex] = prefix + textWithoutTag.trim();
+            }
+        });
+
+        return lines.join(lineSeparator);
+    }
+
+    /**
+     * @param {string} fileContents
+     * @param {(prefix: string, text: string, lineIndex: number) => void} callback
+     */
+    _forEachUncheckedTask(fileContents, callback) {
+        const lines = fileContents.split(/\r?\n/);
+        let inCodeBlock = false;
+
+        lines.forEach((line, lineIndex) => {
+            if (CODE_FENCE_REGEX.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                return;
+            }
+
+            const taskMatch = UNCHECKED_TASK_REGEX.exec(line);
+
+            if (taskMatch && !inCodeBlock) {
+                callback(taskMatch[1], taskMatch[2], lineIndex);
+            }
+        });
+    }
+
+    /** @param {string} currentTag */
+    _getTagRegex(currentTag) {
+        const escapedTag = currentTag.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        return new RegExp(`(^|\\s)${escapedTag}(?=\\s|$)`, "g");
+    }
+}
+
+module.exports = MarkdownTaskParser;
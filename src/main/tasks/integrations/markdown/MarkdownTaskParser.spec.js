@@ -0,0 +1,132 @@
+const MarkdownTaskParser = require("./MarkdownTaskParser");
+
+const parser = new MarkdownTaskParser();
+
+const currentTag = "#current";
+
+describe("MarkdownTaskParser", () => {
+    describe("parseTasks", () => {
+        it("only considers unchecked checkbox items", () => {
+            const fileContents = [
+                "# Heading",
+                "- [ ] Open task",
+                "- [x] Completed task",
+                "- Regular list item",
+                "* [ ] Other bullet style",
+                "1. [ ] Numbered item",
+                "    - [ ] Nested task",
+            ].join("\n");
+
+            const tasks = parser.parseTasks(fileContents, currentTag);
+
+            expect(tasks.map((task) => task.title)).toEqual([
+                "Open task",
+                "Other bullet style",
+                "Numbered item",
+                "Nested task",
+            ]);
+        });
+
+        it("handles tasks without due date", () => {
+            const tasks = parser.parseTasks("- [ ] Write report #work", currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Write report #work",
+                    dueDate: undefined,
+                    dueDatetime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+
+        it("handles due dates in Tasks plugin format", () => {
+            const tasks = parser.parseTasks("- [ ] Pay rent 📅 2020-10-01", currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Pay rent",
+                    dueDate: "2020-10-01",
+                    dueDatetime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+
+        it("handles due dates in Dataview inline field format", () => {
+            const tasks = parser.parseTasks(
+                "- [ ] Pay rent [due:: 2020-10-01]\n- [ ] Call mom due:: 2020-10-02",
+                currentTag
+            );
+
+            expect(tasks.map((task) => task.title)).toEqual(["Pay rent", "Call mom"]);
+            expect(tasks.map((task) => task.dueDate)).toEqual(["2020-10-01", "2020-10-02"]);
+        });
+
+        it("marks the task as current if it has the relevant tag", () => {
+            const tasks = parser.parseTasks("- [ ] Write report #current #work", currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Write report #work",
+                    dueDate: undefined,
+                    dueDatetime: undefined,
+                    markedCurrent: true,
+                },
+            ]);
+        });
+
+        it("ignores tags that only partially match the relevant tag", () => {
+            const tasks = parser.parseTasks("- [ ] Write report #current/later", currentTag);
+            expect(tasks[0].markedCurrent).toBe(false);
+        });
+
+        it("ignores tasks in code blocks", () => {
+            const fileContents = ["```", "- [ ] Example task", "```", "- [ ] Real task"].join("\n");
+
+            const tasks = parser.parseTasks(fileContents, currentTag);
+
+            expect(tasks.map((task) => task.title)).toEqual(["Real task"]);
+        });
+    });
+
+    describe("removeTag", () => {
+        it("removes the tag from unchecked tasks only", () => {
+            const fileContents = [
+                "Some text #current",
+                "- [ ] #current Write report",
+                "- [ ] Call mom #current 📅 2020-10-01",
+                "- [x] Done #current",
+            ].join("\n");
+
+            const result = parser.removeTag(fileContents, currentTag);
+
+            expect(result).toBe(
+                [
+                    "Some text #current",
+                    "- [ ] Write report",
+                    "- [ ] Call mom 📅 2020-10-01",
+                    "- [x] Done #current",
+                ].join("\n")
+            );
+        });
+
+        it("preserves Windows line endings", () => {
+            const result = parser.removeTag("- [ ] First #current\r\n- [ ] Second\r\n", currentTag);
+            expect(result).toBe("- [ ] First\r\n- [ ] Second\r\n");
+        });
+
+        it("leaves unchecked tasks without the tag untouched", () => {
+            const untaggedLines = [
+                "- [ ] Trailing spaces  ",
+                "\t- [ ] Indented\t",
+                "- [ ] #currently",
+            ];
+            const fileContents = ["- [ ] Write report #current", ...untaggedLines].join("\n");
+
+            const result = parser.removeTag(fileContents, currentTag);
+
+            expect(result).toBe(["- [ ] Write report", ...untaggedLines].join("\n"));
+        });
+    });
+});
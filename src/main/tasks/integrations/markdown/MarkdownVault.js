@@ -0,0 +1,170 @@
+/** @typedef { import("../../../Logger") } Logger */
+
+const fs = require("fs");
+const path = require("path");
+
+const FolderWatcher = require("../FolderWatcher");
+
+// prevents the app from reading a huge folder (like a home folder) on every change
+const MAX_FILES = 2000;
+
+// reading all files at once could hit the limit on open files (which is quite low on macOS)
+const FILES_READ_IN_PARALLEL = 20;
+
+/**
+ * @typedef {object} MarkdownFile
+ * @property {string} filePath
+ * @property {string} contents
+ */
+
+class MarkdownVault {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+
+        this._folderPath = undefined;
+
+        /** @type {MarkdownFile[]} */
+        this._latestFiles = undefined;
+
+        this._folderWatcher = new FolderWatcher(logger);
+    }
+
+    /** @param {string} folderPath */
+    setFolderPath(folderPath) {
+        if (folderPath === this._folderPath) {
+            return;
+        }
+
+        this._folderPath = folderPath;
+        this._latestFiles = undefined;
+
+        this._folderWatcher.setFolder(folderPath, {
+            recursive: true,
+            isRelevantFile: (fileName) => this._isMarkdownFile(fileName),
+        });
+    }
+
+    /**
+     * Only actually reads the files if they might have changed since the last read, unless forced
+     * @param {boolean} [forceRead]
+     * @returns {Promise<MarkdownFile[]>}
+     */
+    async readFiles(forceRead) {
+        const mightHaveChanged = this._folderWatcher.checkAndResetChanged();
+
+        if (!mightHaveChanged && !forceRead && this._latestFiles) {
+            return this._latestFiles;
+        }
+
+        this._logger.debugIntegration("Reading Markdown files");
+
+        // until we successfully read everything, keep trying on every call
+        this._latestFiles = undefined;
+
+        let filePaths;
+
+        try {
+            filePaths = await this._getMarkdownFilePaths(this._folderPath, []);
+        } catch (error) {
+            this._handleFileError(error, "read");
+        }
+
+        if (filePaths.length > MAX_FILES) {
+            throw new Error(`More than ${MAX_FILES} Markdown files to check`);
+        }
+
+        try {
+            /** @type {MarkdownFile[]} */
+            const files = [];
+
+            for (let start = 0; start < filePaths.length; start += FILES_READ_IN_PARALLEL) {
+                const batch = filePaths.slice(start, start + FILES_READ_IN_PARALLEL);
+
+                const batchFiles = await Promise.all(
+                    batch.map(async (filePath) => ({
+                        filePath,
+                        contents: await fs.promises.readFile(filePath, "utf-8"),
+                    }))
+                );
+
+                files.push(...batchFiles);
+            }
+
+            this._latestFiles = files;
+            this._logger.debugIntegration(`Successfully read ${files.length} Markdown files`);
+            return files;
+        } catch (error) {
+            this._handleFileError(error, "read");
+        }
+    }
+
+    /**
+     * Stops looking for more files once it has found more than the maximum
+     * @param {string} folderPath
+     * @param {string[]} filePaths Accumulates the results
+     * @returns {Promise<string[]>}
+     */
+    async _getMarkdownFilePaths(folderPath, filePaths) {
+        const entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (filePaths.length > MAX_FILES) {
+                break;
+            }
+
+            // skips things like Obsidian's .obsidian and .trash folders
+            if (entry.name.startsWith(".")) {
+                continue;
+            }
+
+            const entryPath = path.join(folderPath, entry.name);
+
+            if (entry.isDirectory()) {
+                await this._getMarkdownFilePaths(entryPath, filePaths);
+            } else if (entry.isFile() && this._isMarkdownFile(entry.name)) {
+                filePaths.push(entryPath);
+            }
+        }
+
+        return filePaths;
+    }
+
+    /** @param {string} fileName */
+    _isMarkdownFile(fileName) {
+        return path.extname(fileName).toLowerCase() === ".md";
+    }
+
+    /** @param {MarkdownFile} file */
+    async writeFile(file) {
+        this._logger.debugIntegration("Writing Markdown file");
+
+        try {
+            await fs.promises.writeFile(file.filePath, file.contents, "utf-8");
+            this._folderWatcher.markChanged();
+            this._logger.debugIntegration("Successfully wrote Markdown file");
+        } catch (error) {
+            this._handleFileError(error, "write");
+        }
+    }
+
+    /**
+     * @param {NodeJS.ErrnoException} error
+     * @param {"read" | "write"} operation
+     */
+    _handleFileError(error, operation) {
+        this._logger.debugIntegration(`Unable to ${operation} Markdown files: ${error.message}`);
+
+        if (error.code === "ENOENT") {
+            throw new Error(`No folder '${this._folderPath}'`);
+        } else {
+            throw new Error(`Problem trying to ${operation} Markdown files`);
+        }
+    }
+
+    destroy() {
+        this._folderWatcher.stop();
+    }
+}
+
+module.exports = MarkdownVault;
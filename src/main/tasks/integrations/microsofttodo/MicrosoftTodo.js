@@ -0,0 +1,245 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").MicrosoftTodoIntegrationConfiguration } MicrosoftTodoIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"microsofttodo"> } MicrosoftTodoIntegration */
+/** @typedef { import("../IntegrationCache").IntegrationCache } IntegrationCache */
+/** @typedef { import("./MicrosoftTodoApi").MicrosoftTodoConnection } MicrosoftTodoConnection */
+/** @typedef { import("./MicrosoftTodoApi").MicrosoftTodoSignIn } MicrosoftTodoSignIn */
+
+const MicrosoftTodoApi = require("./MicrosoftTodoApi");
+const MicrosoftTodoTaskTransformer = require("./MicrosoftTodoTaskTransformer");
+const MicrosoftTodoTokenCache = require("./MicrosoftTodoTokenCache");
+
+/** @implements {MicrosoftTodoIntegration} */
+class MicrosoftTodo {
+    /**
+     * @param {Logger} logger
+     * @param {IntegrationCache} integrationCache
+     */
+    constructor(logger, integrationCache) {
+        this._tenantId = undefined;
+        this._clientId = undefined;
+        this._categoryName = undefined;
+        this._currentListName = undefined;
+        this._lists = undefined;
+
+        this._hasLoggedCurrentListNotCleared = false;
+
+        /** @type {MicrosoftTodoSignIn & { connection: MicrosoftTodoConnection }} */
+        this._pendingSignIn = undefined;
+
+        this._api = new MicrosoftTodoApi(logger, new MicrosoftTodoTokenCache(integrationCache));
+        this._transformer = new MicrosoftTodoTaskTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "tenantId",
+                label: "Tenant ID",
+                placeholder: "Directory (tenant) ID or domain",
+                required: true,
+                info: "The ID or primary domain of your Microsoft 365 organization.",
+                currentValue: this._tenantId,
+            },
+            {
+                type: "text",
+                name: "clientId",
+                label: "Client ID",
+                placeholder: "Application (client) ID",
+                required: true,
+                info:
+                    "Your Microsoft 365 administrator can create an app registration in Azure Active Directory with the Tasks.ReadWrite delegated permission and public client flows allowed, and give you its client ID. When you save the configuration, the app asks you to sign in with your Microsoft 365 account.",
+                currentValue: this._clientId,
+            },
+            {
+                type: "text",
+                name: "categoryName",
+                label: "Category name",
+                placeholder: "Current task category",
+                required: false,
+                info:
+                    "Tasks with this category will be marked as current. You can leave this empty if you use a list to mark tasks as current instead.",
+                currentValue: this._categoryName,
+            },
+            {
+                type: "text",
+                name: "currentListName",
+                label: "Current task list",
+                placeholder: "Current task list name",
+                required: false,
+                info:
+                    "All open tasks in the list with this name will be marked as current. The app can't move tasks out of this list, so clearing the current task only works for tasks with the category. You can leave this empty if you use a category to mark tasks as current instead.",
+                currentValue: this._currentListName,
+            },
+            {
+                type: "textList",
+                name: "lists",
+                label: "List names",
+                listPlaceholder: "No lists specified",
+                itemPlaceholder: "List name",
+                buttonText: "Add list",
+                info:
+                    "If you specify lists here, the app will only look at those lists. Click a list to remove it again.",
+                currentValue: this._lists,
+            },
+        ];
+    }
+
+    /** @param {MicrosoftTodoIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._tenantId = configuration.tenantId;
+        this._clientId = configuration.clientId;
+        this._categoryName = configuration.categoryName;
+        this._currentListName = configuration.currentListName;
+        this._lists = configuration.lists;
+        this._hasLoggedCurrentListNotCleared = false;
+    }
+
+    /** @param {MicrosoftTodoIntegrationConfiguration} configuration */
+    async testConfiguration(configuration) {
+        this._logger.debugIntegration("Testing Microsoft To Do configuration");
+
+        const connection = { tenantId: configuration.tenantId, clientId: configuration.clientId };
+
+        if (!this._api.isSignedIn(connection)) {
+            await this._signIn(connection);
+        }
+
+        // checks whether we have access and whether the specified lists exist
+        await this._api.getTasks(connection, configuration.lists);
+    }
+
+    /**
+     * Uses the device code flow, so the app doesn't need a window of its own for signing in
+     * The user signs in on Microsoft's website and then saves the configuration again
+     * @param {MicrosoftTodoConnection} connection
+     */
+    async _signIn(connection) {
+        const pendingSignIn = this._pendingSignIn;
+
+        const hasPendingSignIn =
+            pendingSignIn &&
+            pendingSignIn.connection.tenantId === connection.tenantId &&
+            pendingSignIn.connection.clientId === connection.clientId &&
+            Date.now() < pendingSignIn.expiry;
+
+        if (hasPendingSignIn) {
+            let isSignedIn;
+
+            try {
+                isSignedIn = await this._api.finishSignIn(pendingSignIn, connection);
+            } catch (error) {
+                // saving again should start a new sign-in
+                this._pendingSignIn = undefined;
+                throw error;
+            }
+
+            if (isSignedIn) {
+                this._pendingSignIn = undefined;
+                return;
+            }
+        } else {
+            this._pendingSignIn = { ...(await this._api.startSignIn(connection)), connection };
+        }
+
+        const { verificationUri, userCode } = this._pendingSignIn;
+
+        throw new Error(
+            `To sign in, go to ${verificationUri} and enter the code ${userCode}. Then, save the configuration again.`
+        );
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant tasks from Microsoft To Do");
+        this._checkConfigured();
+
+        const listsPromise = this._api.getTasks(this._getConnection(), this._lists);
+        this._latestListsPromise = listsPromise;
+        const lists = await listsPromise;
+
+        if (listsPromise === this._latestListsPromise) {
+            this._latestLists = lists;
+        }
+
+        return this._latestLists.flatMap(({ list, tasks }) =>
+            tasks.map((task) =>
+                this._transformer.transform(task, list, this._categoryName, this._currentListName)
+            )
+        );
+    }
+
+    async clearCurrent() {
+        this._checkConfigured();
+
+        // tasks can't be moved between lists through the API, so we can only remove the category
+        this._logIfCurrentListNotCleared();
+
+        if (!this._categoryName) {
+            return;
+        }
+
+        const tasksMarkedCurrent = this._latestLists.flatMap(({ list, tasks }) =>
+            tasks
+                .filter((task) => task.categories.includes(this._categoryName))
+                .map((task) => ({ list, task }))
+        );
+
+        if (tasksMarkedCurrent.length > 0) {
+            this._logger.debugIntegration(
+                "Removing the category from current tasks in Microsoft To Do"
+            );
+
+            const connection = this._getConnection();
+
+            await Promise.all(
+                tasksMarkedCurrent.map(({ list, task }) =>
+                    this._api.removeCategoryFromTask(task, list, this._categoryName, connection)
+                )
+            );
+        }
+    }
+
+    _logIfCurrentListNotCleared() {
+        if (!this._currentListName || this._hasLoggedCurrentListNotCleared) {
+            return;
+        }
+
+        const hasTasksInCurrentList = (this._latestLists || []).some(
+            ({ list, tasks }) => list.displayName === this._currentListName && tasks.length > 0
+        );
+
+        if (hasTasksInCurrentList) {
+            // only once per configuration, because clearing can be triggered over and over again
+            this._logger.warn(
+                `Unable to clear tasks in Microsoft To Do list '${this._currentListName}', tasks can't be moved between lists`
+            );
+
+            this._hasLoggedCurrentListNotCleared = true;
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    _getConnection() {
+        return { tenantId: this._tenantId, clientId: this._clientId };
+    }
+
+    _checkConfigured() {
+        const hasCurrentTaskMarker = this._categoryName || this._currentListName;
+
+        if (!this._tenantId || !this._clientId || !hasCurrentTaskMarker) {
+            throw new Error("Microsoft To Do not configured");
+        }
+    }
+}
+
+module.exports = MicrosoftTodo;
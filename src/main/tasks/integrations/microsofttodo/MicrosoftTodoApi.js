@@ -0,0 +1,398 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoList } MicrosoftTodoList */
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoTask } MicrosoftTodoTask */
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoListWithTasks } MicrosoftTodoListWithTasks */
+/** @typedef { import("./MicrosoftTodoTokenCache") } MicrosoftTodoTokenCache */
+
+const axios = require("axios").default;
+
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+
+const GRAPH_URL = "https://graph.microsoft.com/v1.0";
+
+// limit the number of lists we retrieve tasks from. one reason for doing this are the Graph API rate limits.
+const MAX_LISTS = 15;
+
+// prevents a huge number of lists or open tasks from resulting in a huge number of calls on every refresh
+const MAX_PAGES = 5;
+
+// get a new access token a bit before the old one expires, so we never use an expired one
+const TOKEN_EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// delegated permission, so the app can only access the tasks of the user who signed in
+// offline_access gives us a refresh token, so the user doesn't need to sign in again every hour
+const SCOPE = "https://graph.microsoft.com/Tasks.ReadWrite offline_access";
+
+const DEVICE_CODE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+
+const NOT_SIGNED_IN_MESSAGE =
+    "Not signed in to Microsoft To Do (configure the integration to sign in)";
+
+/**
+ * @typedef {object} MicrosoftTodoConnection
+ * @property {string} tenantId Directory (tenant) ID or domain of the Microsoft 365 organization
+ * @property {string} clientId Application (client) ID of the app registration
+ */
+
+/**
+ * @typedef {object} MicrosoftTodoSignIn
+ * @property {string} deviceCode Identifies the sign-in when asking for the tokens
+ * @property {string} userCode The code the user needs to enter on the verification page
+ * @property {string} verificationUri
+ * @property {number} expiry Timestamp after which the codes can't be used anymore
+ */
+
+class MicrosoftTodoApi {
+    /**
+     * @param {Logger} logger
+     * @param {MicrosoftTodoTokenCache} tokenCache
+     */
+    constructor(logger, tokenCache) {
+        this._logger = logger;
+        this._tokenCache = tokenCache;
+
+        this._accessToken = undefined;
+        this._accessTokenExpiry = undefined;
+        this._accessTokenConnectionKey = undefined;
+    }
+
+    /** @param {MicrosoftTodoConnection} connection */
+    isSignedIn(connection) {
+        return !!this._tokenCache.loadRefreshToken(connection);
+    }
+
+    /**
+     * Starts the device code flow, after which the user signs in on Microsoft's verification page
+     * @param {MicrosoftTodoConnection} connection
+     * @returns {Promise<MicrosoftTodoSignIn>}
+     */
+    async startSignIn(connection) {
+        const { data, errorCode } = await this._performTokenRequest(
+            "devicecode",
+            { client_id: connection.clientId, scope: SCOPE },
+            connection,
+            "Microsoft To Do start sign-in"
+        );
+
+        if (errorCode) {
+            throw new Error("Invalid Microsoft tenant ID or client ID");
+        }
+
+        return {
+            deviceCode: data.device_code,
+            userCode: data.user_code,
+            verificationUri: data.verification_uri,
+            expiry: Date.now() + data.expires_in * 1000,
+        };
+    }
+
+    /**
+     * @param {MicrosoftTodoSignIn} signIn
+     * @param {MicrosoftTodoConnection} connection
+     * @returns {Promise<boolean>} Whether the user has finished signing in
+     */
+    async finishSignIn(signIn, connection) {
+        const { data, errorCode } = await this._performTokenRequest(
+            "token",
+            {
+                grant_type: DEVICE_CODE_GRANT_TYPE,
+                client_id: connection.clientId,
+                device_code: signIn.deviceCode,
+            },
+            connection,
+            "Microsoft To Do finish sign-in"
+        );
+
+        if (errorCode === "authorization_pending" || errorCode === "slow_down") {
+            return false;
+        } else if (errorCode === "authorization_declined") {
+            throw new Error("Microsoft sign-in was declined");
+        } else if (errorCode === "expired_token") {
+            throw new Error("Microsoft sign-in code expired");
+        } else if (errorCode) {
+            throw new Error(`Microsoft sign-in failed (${errorCode})`);
+        }
+
+        this._storeTokens(data, connection);
+        return true;
+    }
+
+    /**
+     * @param {MicrosoftTodoConnection} connection
+     * @param {string[]} [selectedListNames]
+     * @returns {Promise<MicrosoftTodoListWithTasks[]>}
+     */
+    async getTasks(connection, selectedListNames) {
+        /** @type {MicrosoftTodoList[]} */
+        const listsFromApi = await this._getAllPages(
+            "/me/todo/lists",
+            { $select: "id,displayName" },
+            connection,
+            "Microsoft To Do get lists"
+        );
+
+        const relevantLists = this._getRelevantLists(listsFromApi, selectedListNames);
+
+        return Promise.all(
+            relevantLists.map(async (list) => ({
+                list,
+                tasks: await this._getAllPages(
+                    this._getTasksUrl(list),
+                    { $filter: "status ne 'completed'" },
+                    connection,
+                    `Microsoft To Do get tasks for list ${list.displayName}`
+                ),
+            }))
+        );
+    }
+
+    /**
+     * @param {MicrosoftTodoList[]} listsFromApi
+     * @param {string[]} [selectedListNames]
+     */
+    _getRelevantLists(listsFromApi, selectedListNames) {
+        let lists = listsFromApi;
+
+        if (selectedListNames && selectedListNames.length > 0) {
+            const selectedLists = [];
+
+            for (const listName of selectedListNames) {
+                const matchingList = lists.find((list) => list.displayName === listName);
+
+                if (matchingList) {
+                    selectedLists.push(matchingList);
+                } else {
+                    throw new Error(`No list '${listName}'`);
+                }
+            }
+
+            lists = selectedLists;
+        }
+
+        if (lists.length > MAX_LISTS) {
+            throw new Error(`More than ${MAX_LISTS} lists to check`);
+        }
+
+        return lists;
+    }
+
+    /**
+     * @param {MicrosoftTodoTask} task
+     * @param {MicrosoftTodoList} list
+     * @param {string} categoryName
+     * @param {MicrosoftTodoConnection} connection
+     */
+    async removeCategoryFromTask(task, list, categoryName, connection) {
+        await this._performApiRequest(
+            "PATCH",
+            `${this._getTasksUrl(list)}/${encodeURIComponent(task.id)}`,
+            undefined,
+            { categories: task.categories.filter((category) => category !== categoryName) },
+            connection,
+            "Microsoft To Do remove category from task"
+        );
+    }
+
+    /** @param {MicrosoftTodoList} list */
+    _getTasksUrl(list) {
+        return `/me/todo/lists/${encodeURIComponent(list.id)}/tasks`;
+    }
+
+    /**
+     * Follows the API's next links, up to a maximum number of pages
+     * @param {string} relativeUrl
+     * @param {object} params
+     * @param {MicrosoftTodoConnection} connection
+     * @param {string} callDescription
+     */
+    async _getAllPages(relativeUrl, params, connection, callDescription) {
+        let items = [];
+        let url = `${GRAPH_URL}${relativeUrl}`;
+        let pageParams = params;
+
+        for (let page = 0; page < MAX_PAGES && url; page++) {
+            const responseData = await this._performApiRequest(
+                "GET",
+                url,
+                pageParams,
+                undefined,
+                connection,
+                `${callDescription} (page ${page + 1})`
+            );
+
+            items = [...items, ...responseData.value];
+
+            // the next link already contains all of the query parameters
+            url = responseData["@odata.nextLink"];
+            pageParams = undefined;
+        }
+
+        return items;
+    }
+
+    /**
+     * @param {"GET" | "PATCH"} method
+     * @param {string} url Either a full URL or a URL relative to the Graph API
+     * @param {object} params
+     * @param {object} data
+     * @param {MicrosoftTodoConnection} connection
+     * @param {string} callDescription
+     */
+    async _performApiRequest(method, url, params, data, connection, callDescription) {
+        const accessToken = await this._getAccessToken(connection);
+
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        try {
+            const response = await axios({
+                method,
+                url: url.startsWith("https://") ? url : `${GRAPH_URL}${url}`,
+                params,
+                data,
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return response.data;
+        } catch (error) {
+            this._handleApiRequestError(error, callDescription);
+        }
+    }
+
+    /**
+     * Uses the refresh token obtained when signing in
+     * @param {MicrosoftTodoConnection} connection
+     * @returns {Promise<string>}
+     */
+    async _getAccessToken(connection) {
+        const connectionKey = `${connection.tenantId}|${connection.clientId}`;
+
+        if (
+            this._accessToken &&
+            this._accessTokenConnectionKey === connectionKey &&
+            Date.now() < this._accessTokenExpiry
+        ) {
+            return this._accessToken;
+        }
+
+        const refreshToken = this._tokenCache.loadRefreshToken(connection);
+
+        if (!refreshToken) {
+            throw new Error(NOT_SIGNED_IN_MESSAGE);
+        }
+
+        const { data, errorCode } = await this._performTokenRequest(
+            "token",
+            {
+                grant_type: "refresh_token",
+                client_id: connection.clientId,
+                refresh_token: refreshToken,
+                scope: SCOPE,
+            },
+            connection,
+            "Microsoft To Do get access token"
+        );
+
+        if (errorCode === "invalid_grant") {
+            // for example because the user's password changed or the app's access was revoked
+            this._tokenCache.clear();
+            throw new Error(NOT_SIGNED_IN_MESSAGE);
+        } else if (errorCode) {
+            throw new Error(`Microsoft sign-in failed (${errorCode})`);
+        }
+
+        this._storeTokens(data, connection);
+        return this._accessToken;
+    }
+
+    /**
+     * @param {any} tokenData
+     * @param {MicrosoftTodoConnection} connection
+     */
+    _storeTokens(tokenData, connection) {
+        this._accessToken = tokenData.access_token;
+        this._accessTokenConnectionKey = `${connection.tenantId}|${connection.clientId}`;
+        this._accessTokenExpiry = Date.now() + tokenData.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS;
+
+        // Microsoft can give us a new refresh token every time, the old one might stop working
+        this._tokenCache.saveRefreshToken(connection, tokenData.refresh_token);
+    }
+
+    /**
+     * Auth errors are returned as an error code instead of thrown, because some of them are expected
+     * @param {"devicecode" | "token"} endpoint
+     * @param {Record<string, string>} params
+     * @param {MicrosoftTodoConnection} connection
+     * @param {string} callDescription
+     * @returns {Promise<{ data?: any, errorCode?: string }>}
+     */
+    async _performTokenRequest(endpoint, params, connection, callDescription) {
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        const tenantId = encodeURIComponent(connection.tenantId);
+
+        try {
+            const response = await axios({
+                method: "POST",
+                url: `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/${endpoint}`,
+                data: new URLSearchParams(params).toString(),
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            return { data: response.data };
+        } catch (error) {
+            if (error.response && [400, 401].includes(error.response.status)) {
+                const status = error.response.status;
+                const errorCode = (error.response.data && error.response.data.error) || "unknown";
+
+                this._logger.debugIntegration(
+                    `${callDescription} call auth error, status code ${status}, error ${errorCode}`
+                );
+
+                return { errorCode };
+            }
+
+            this._handleApiRequestError(error, callDescription);
+        }
+    }
+
+    /**
+     * @param {any} error
+     * @param {string} callDescription
+     */
+    _handleApiRequestError(error, callDescription) {
+        if (error.response && [401, 403].includes(error.response.status)) {
+            const status = error.response.status;
+
+            this._logger.debugIntegration(
+                `${callDescription} call auth error, status code ${status}`
+            );
+
+            // a token that was revoked or expired early should not keep being used
+            this._accessToken = undefined;
+            throw new Error(
+                "No access to Microsoft To Do (check the app registration's Tasks.ReadWrite permission)"
+            );
+        } else if (error.response && error.response.status === 404) {
+            this._logger.debugIntegration(`${callDescription} call not found, status code 404`);
+            throw new Error("Microsoft To Do list or task not found");
+        } else {
+            if (error.response) {
+                this._logger.debugIntegration(
+                    `${callDescription} general error, status code ${error.response.status}`
+                );
+            } else {
+                this._logger.debugIntegration(
+                    `${callDescription} call general error, no response received`
+                );
+            }
+
+            throw new IntegrationConnectionError("Problem reaching Microsoft To Do");
+        }
+    }
+}
+
+module.exports = MicrosoftTodoApi;
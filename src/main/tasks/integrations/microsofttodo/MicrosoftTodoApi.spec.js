@@ -0,0 +1,138 @@
+const axios = require("axios").default;
+
+const Logger = require("../../../Logger");
+
+const MicrosoftTodoApi = require("./MicrosoftTodoApi");
+const MicrosoftTodoTokenCache = require("./MicrosoftTodoTokenCache");
+
+jest.mock("axios");
+jest.mock("../../../Logger");
+
+// @ts-ignore
+Logger.mockImplementation(() => {
+    return {
+        debugIntegration: jest.fn(),
+    };
+});
+
+/** @type {jest.Mock} */
+// @ts-ignore
+const mockAxios = axios;
+
+const connection = { tenantId: "example.com", clientId: "client" };
+
+const deviceCodeResponse = {
+    data: {
+        device_code: "device-code",
+        user_code: "ABCD1234",
+        verification_uri: "https://microsoft.com/devicelogin",
+        expires_in: 900,
+    },
+};
+
+/** @param {string} refreshToken */
+function getTokenResponse(refreshToken) {
+    return { data: { access_token: "access", refresh_token: refreshToken, expires_in: 3600 } };
+}
+
+/** @param {string} errorCode */
+function getTokenError(errorCode) {
+    return { response: { status: 400, data: { error: errorCode } } };
+}
+
+function createIntegrationCache() {
+    const values = new Map();
+
+    return {
+        getIntegrationCacheValue: (key) => values.get(key),
+        setIntegrationCacheValue: (key, value) => values.set(key, value),
+        deleteIntegrationCacheValue: (key) => values.delete(key),
+    };
+}
+
+describe("MicrosoftTodoApi", () => {
+    let integrationCache;
+    let api;
+
+    beforeEach(() => {
+        mockAxios.mockReset();
+        integrationCache = createIntegrationCache();
+        api = new MicrosoftTodoApi(new Logger(), new MicrosoftTodoTokenCache(integrationCache));
+    });
+
+    it("signs in using the device code flow with delegated permissions", async () => {
+        mockAxios
+            .mockResolvedValueOnce(deviceCodeResponse)
+            .mockRejectedValueOnce(getTokenError("authorization_pending"))
+            .mockResolvedValueOnce(getTokenResponse("refresh"));
+
+        const signIn = await api.startSignIn(connection);
+
+        expect(signIn.userCode).toEqual("ABCD1234");
+        expect(signIn.verificationUri).toEqual("https://microsoft.com/devicelogin");
+
+        expect(mockAxios.mock.calls[0][0].url).toEqual(
+            "https://login.microsoftonline.com/example.com/oauth2/v2.0/devicecode"
+        );
+
+        expect(mockAxios.mock.calls[0][0].data).toContain(
+            "scope=https%3A%2F%2Fgraph.microsoft.com%2FTasks.ReadWrite+offline_access"
+        );
+
+        expect(await api.finishSignIn(signIn, connection)).toBe(false);
+        expect(api.isSignedIn(connection)).toBe(false);
+
+        expect(await api.finishSignIn(signIn, connection)).toBe(true);
+        expect(api.isSignedIn(connection)).toBe(true);
+        expect(api.isSignedIn({ ...connection, clientId: "other" })).toBe(false);
+    });
+
+    it("reports sign-ins that can't be finished anymore", async () => {
+        mockAxios.mockResolvedValueOnce(deviceCodeResponse);
+        const signIn = await api.startSignIn(connection);
+
+        mockAxios.mockRejectedValueOnce(getTokenError("expired_token"));
+
+        await expect(api.finishSignIn(signIn, connection)).rejects.toThrow(
+            "Microsoft sign-in code expired"
+        );
+    });
+
+    it("gets the tasks of the signed-in user using a refresh token", async () => {
+        new MicrosoftTodoTokenCache(integrationCache).saveRefreshToken(connection, "refresh");
+
+        mockAxios
+            .mockResolvedValueOnce(getTokenResponse("new-refresh"))
+            .mockResolvedValueOnce({ data: { value: [{ id: "1", displayName: "Tasks" }] } })
+            .mockResolvedValueOnce({ data: { value: [] } });
+
+        const lists = await api.getTasks(connection);
+
+        expect(lists).toEqual([{ list: { id: "1", displayName: "Tasks" }, tasks: [] }]);
+        expect(mockAxios.mock.calls[0][0].data).toContain("grant_type=refresh_token");
+        expect(mockAxios.mock.calls[1][0].url).toEqual(
+            "https://graph.microsoft.com/v1.0/me/todo/lists"
+        );
+        expect(mockAxios.mock.calls[1][0].headers).toEqual({ Authorization: "Bearer access" });
+
+        expect(mockAxios.mock.calls[2][0].url).toEqual(
+            "https://graph.microsoft.com/v1.0/me/todo/lists/1/tasks"
+        );
+
+        // Microsoft can replace the refresh token
+        expect(new MicrosoftTodoTokenCache(integrationCache).loadRefreshToken(connection)).toEqual(
+            "new-refresh"
+        );
+    });
+
+    it("asks to sign in if there is no valid refresh token", async () => {
+        await expect(api.getTasks(connection)).rejects.toThrow("Not signed in to Microsoft To Do");
+
+        new MicrosoftTodoTokenCache(integrationCache).saveRefreshToken(connection, "revoked");
+        mockAxios.mockRejectedValueOnce(getTokenError("invalid_grant"));
+
+        await expect(api.getTasks(connection)).rejects.toThrow("Not signed in to Microsoft To Do");
+
+        expect(api.isSignedIn(connection)).toBe(false);
+    });
+});
@@ -0,0 +1,31 @@
+// this represents the part of the Microsoft Graph API's todoTaskList format that we care about
+export interface MicrosoftTodoList {
+    id: string;
+    displayName: string;
+}
+
+// this represents the part of the Microsoft Graph API's todoTask format that we care about
+export interface MicrosoftTodoTask {
+    id: string;
+    title: string;
+
+    /** example values: notStarted, inProgress, completed */
+    status: string;
+
+    /** names of Outlook categories */
+    categories: string[];
+
+    /** not present for tasks without due date */
+    dueDateTime?: {
+        /** example value: 2020-10-01T00:00:00.0000000 */
+        dateTime: string;
+
+        /** example values: UTC, W. Europe Standard Time */
+        timeZone: string;
+    };
+}
+
+export interface MicrosoftTodoListWithTasks {
+    list: MicrosoftTodoList;
+    tasks: MicrosoftTodoTask[];
+}
@@ -0,0 +1,61 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoList } MicrosoftTodoList */
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoTask } MicrosoftTodoTask */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+
+// example: 2020-10-01T10:11:00 (the API adds seven fractional digits, which we don't need)
+const DATETIME_LENGTH = 19;
+
+const MIDNIGHT_SUFFIX = "T00:00:00";
+
+class MicrosoftTodoTaskTransformer {
+    constructor() {
+        this._dateTimeHelper = new DateTimeHelper();
+    }
+
+    /**
+     * @param {MicrosoftTodoTask} task
+     * @param {MicrosoftTodoList} list The list containing the task
+     * @param {string} [currentTaskCategory]
+     * @param {string} [currentTaskListName]
+     * @returns {IntegrationTask}
+     */
+    transform(task, list, currentTaskCategory, currentTaskListName) {
+        let dueDate = undefined;
+        let dueDatetime = undefined;
+
+        if (task.dueDateTime) {
+            const dateTime = task.dueDateTime.dateTime.substring(0, DATETIME_LENGTH);
+            const timeZone = task.dueDateTime.timeZone;
+
+            if (dateTime.endsWith(MIDNIGHT_SUFFIX)) {
+                // the To Do apps only let you pick a due date, which they store as midnight
+                dueDate = this._dateTimeHelper.getDateString(dateTime);
+            } else if (timeZone === "UTC") {
+                dueDatetime = moment.utc(dateTime).local();
+                dueDate = this._dateTimeHelper.getDateString(dueDatetime);
+            } else {
+                // other time zones are treated as local time, which is correct for the vast majority of users
+                dueDatetime = moment(dateTime);
+                dueDate = this._dateTimeHelper.getDateString(dueDatetime);
+            }
+        }
+
+        const hasCurrentCategory =
+            !!currentTaskCategory && task.categories.includes(currentTaskCategory);
+
+        const isInCurrentList = !!currentTaskListName && list.displayName === currentTaskListName;
+
+        return {
+            title: task.title,
+            dueDate,
+            dueDatetime,
+            markedCurrent: hasCurrentCategory || isInCurrentList,
+        };
+    }
+}
+
+module.exports = MicrosoftTodoTaskTransformer;
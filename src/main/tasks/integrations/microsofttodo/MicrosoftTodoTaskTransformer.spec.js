@@ -0,0 +1,160 @@
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoList } MicrosoftTodoList */
+/** @typedef { import("./MicrosoftTodoTask").MicrosoftTodoTask } MicrosoftTodoTask */
+
+const moment = require("moment");
+
+const MicrosoftTodoTaskTransformer = require("./MicrosoftTodoTaskTransformer");
+
+const transformer = new MicrosoftTodoTaskTransformer();
+
+const placeholderId = "placeholderId";
+const placeholderTitle = "placeholderTitle";
+const currentTaskCategory = "currentTaskCategory";
+const otherCategory = "otherCategory";
+const currentTaskListName = "currentTaskListName";
+
+/** @type {MicrosoftTodoList} */
+const placeholderList = { id: "placeholderListId", displayName: "placeholderListName" };
+
+/** @type {MicrosoftTodoList} */
+const currentTaskList = { id: "currentTaskListId", displayName: currentTaskListName };
+
+describe("MicrosoftTodoTaskTransformer", () => {
+    it("handles tasks without due date", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [],
+        };
+
+        const transformed = transformer.transform(task, placeholderList, currentTaskCategory);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with only a due date", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [],
+            dueDateTime: { dateTime: "2020-10-01T00:00:00.0000000", timeZone: "UTC" },
+        };
+
+        const transformed = transformer.transform(task, placeholderList, currentTaskCategory);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-10-01",
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with a due time in UTC", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [],
+            dueDateTime: { dateTime: "2020-10-01T10:11:00.0000000", timeZone: "UTC" },
+        };
+
+        const transformed = transformer.transform(task, placeholderList, currentTaskCategory);
+        const expectedDueDatetime = moment.utc("2020-10-01T10:11:00").local();
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: expectedDueDatetime.format("YYYY-MM-DD"),
+            dueDatetime: expectedDueDatetime,
+            markedCurrent: false,
+        });
+    });
+
+    it("treats due times in other time zones as local time", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [],
+            dueDateTime: {
+                dateTime: "2020-10-01T10:11:00.0000000",
+                timeZone: "W. Europe Standard Time",
+            },
+        };
+
+        const transformed = transformer.transform(task, placeholderList, currentTaskCategory);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: "2020-10-01",
+            dueDatetime: moment("2020-10-01T10:11:00"),
+            markedCurrent: false,
+        });
+    });
+
+    it("marks the task as current if it has the relevant category", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [otherCategory, currentTaskCategory],
+        };
+
+        const transformed = transformer.transform(task, placeholderList, currentTaskCategory);
+
+        expect(transformed.markedCurrent).toBe(true);
+    });
+
+    it("ignores categories other than the relevant category", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [otherCategory],
+        };
+
+        const transformed = transformer.transform(task, placeholderList, currentTaskCategory);
+
+        expect(transformed.markedCurrent).toBe(false);
+    });
+
+    it("marks the task as current if it is in the relevant list", () => {
+        /** @type {MicrosoftTodoTask} */
+        const task = {
+            id: placeholderId,
+            title: placeholderTitle,
+            status: "notStarted",
+            categories: [],
+        };
+
+        const transformedInList = transformer.transform(
+            task,
+            currentTaskList,
+            undefined,
+            currentTaskListName
+        );
+
+        const transformedInOtherList = transformer.transform(
+            task,
+            placeholderList,
+            undefined,
+            currentTaskListName
+        );
+
+        expect(transformedInList.markedCurrent).toBe(true);
+        expect(transformedInOtherList.markedCurrent).toBe(false);
+    });
+});
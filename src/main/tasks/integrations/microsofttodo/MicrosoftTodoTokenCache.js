@@ -0,0 +1,58 @@
+/** @typedef { import("../IntegrationCache").IntegrationCache } IntegrationCache */
+/** @typedef { import("./MicrosoftTodoApi").MicrosoftTodoConnection } MicrosoftTodoConnection */
+
+const CACHE_KEY = "microsofttodo";
+
+/**
+ * @typedef {object} MicrosoftTodoTokenCacheData
+ * @property {string} connectionKey Makes sure we never use a token belonging to a different app registration
+ * @property {string} refreshToken
+ */
+
+class MicrosoftTodoTokenCache {
+    /** @param {IntegrationCache} integrationCache */
+    constructor(integrationCache) {
+        this._integrationCache = integrationCache;
+    }
+
+    /**
+     * @param {MicrosoftTodoConnection} connection
+     * @returns {string | undefined}
+     */
+    loadRefreshToken(connection) {
+        /** @type {MicrosoftTodoTokenCacheData} */
+        const data = this._integrationCache.getIntegrationCacheValue(CACHE_KEY);
+
+        if (!data) {
+            return undefined;
+        }
+
+        if (data.connectionKey !== this._getConnectionKey(connection)) {
+            this.clear();
+            return undefined;
+        }
+
+        return data.refreshToken;
+    }
+
+    /**
+     * @param {MicrosoftTodoConnection} connection
+     * @param {string} refreshToken
+     */
+    saveRefreshToken(connection, refreshToken) {
+        /** @type {MicrosoftTodoTokenCacheData} */
+        const data = { connectionKey: this._getConnectionKey(connection), refreshToken };
+        this._integrationCache.setIntegrationCacheValue(CACHE_KEY, data);
+    }
+
+    clear() {
+        this._integrationCache.deleteIntegrationCacheValue(CACHE_KEY);
+    }
+
+    /** @param {MicrosoftTodoConnection} connection */
+    _getConnectionKey(connection) {
+        return `${connection.tenantId}|${connection.clientId}`;
+    }
+}
+
+module.exports = MicrosoftTodoTokenCache;
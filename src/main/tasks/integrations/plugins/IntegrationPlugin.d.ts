@@ -0,0 +1,22 @@
+import { Integration } from "../Integration";
+
+// what a plugin module should export, see the website for an example
+export interface IntegrationPluginModule extends Partial<Integration<"plugin">> {
+    /** identifies the plugin in the stored configuration, example value: my-tracker */
+    type: string;
+
+    /** shown in the tray menu, example value: My tracker */
+    displayName: string;
+}
+
+export interface LoadedIntegrationPlugin {
+    type: string;
+    displayName: string;
+    filePath: string;
+    module: IntegrationPluginModule;
+}
+
+export interface FailedIntegrationPlugin {
+    fileName: string;
+    errorMessage: string;
+}
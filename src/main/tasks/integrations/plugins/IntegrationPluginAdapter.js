@@ -0,0 +1,198 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").PluginIntegrationConfiguration } PluginIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"plugin"> } PluginIntegration */
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./IntegrationPlugin").LoadedIntegrationPlugin } LoadedIntegrationPlugin */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+
+/**
+ * Protects the rest of the app against plugins that misbehave
+ * Errors are turned into rejected promises or logged, and the tasks returned by the plugin are checked.
+ * @implements {PluginIntegration}
+ */
+class IntegrationPluginAdapter {
+    /**
+     * @param {LoadedIntegrationPlugin} plugin
+     * @param {Logger} logger
+     */
+    constructor(plugin, logger) {
+        this._plugin = plugin;
+        this._pluginModule = plugin.module;
+        this._logger = logger;
+
+        this._configureErrorMessage = undefined;
+
+        this._dateTimeHelper = new DateTimeHelper();
+
+        // optional functionality is only offered if the plugin supports it, so the app can detect it
+        if (this._pluginModule.completeCurrent) {
+            this.completeCurrent = () => this._completeCurrent();
+        }
+
+        if (this._pluginModule.setCurrent) {
+            this.setCurrent = (taskId) => this._setCurrent(taskId);
+        }
+    }
+
+    /** @returns {Promise<DialogField[]>} */
+    async getConfigurationDialogFields() {
+        try {
+            return await this._pluginModule.getConfigurationDialogFields();
+        } catch (error) {
+            this._logger.error(
+                `Plugin ${this._plugin.type} failed to provide fields: ${error.message}`
+            );
+            return [];
+        }
+    }
+
+    /** @param {PluginIntegrationConfiguration} configuration */
+    configure(configuration) {
+        try {
+            this._pluginModule.configure(configuration);
+            this._configureErrorMessage = undefined;
+        } catch (error) {
+            this._logger.error(`Plugin ${this._plugin.type} failed to configure: ${error.message}`);
+            this._configureErrorMessage = error.message;
+        }
+    }
+
+    /** @param {PluginIntegrationConfiguration} configuration */
+    async testConfiguration(configuration) {
+        if (this._pluginModule.testConfiguration) {
+            await this._pluginModule.testConfiguration(configuration);
+        }
+    }
+
+    /** @returns {Promise<IntegrationTask[]>} */
+    async getRelevantTasksForState() {
+        if (this._configureErrorMessage) {
+            throw new Error(this._configureErrorMessage);
+        }
+
+        const tasks = await this._pluginModule.getRelevantTasksForState();
+
+        if (!Array.isArray(tasks)) {
+            throw new Error(`Plugin ${this._plugin.type} didn't return a list of tasks`);
+        }
+
+        return tasks.map((task) => this._checkTask(task));
+    }
+
+    /**
+     * @param {IntegrationTask} task
+     * @returns {IntegrationTask}
+     */
+    _checkTask(task) {
+        if (!task || typeof task.title !== "string") {
+            throw new Error(`Plugin ${this._plugin.type} returned a task without title`);
+        }
+
+        if (task.dueDate !== undefined && !moment(task.dueDate, "YYYY-MM-DD", true).isValid()) {
+            throw new Error(
+                `Plugin ${this._plugin.type} returned invalid due date '${task.dueDate}'`
+            );
+        }
+
+        // plugins can't use the app's copy of moment, so we also accept Date objects and ISO strings
+        const dueDatetime = task.dueDatetime ? moment(task.dueDatetime) : undefined;
+
+        if (dueDatetime && !dueDatetime.isValid()) {
+            throw new Error(`Plugin ${this._plugin.type} returned invalid due datetime`);
+        }
+
+        if (task.url !== undefined && typeof task.url !== "string") {
+            throw new Error(`Plugin ${this._plugin.type} returned invalid URL`);
+        }
+
+        if (task.project !== undefined && typeof task.project !== "string") {
+            throw new Error(`Plugin ${this._plugin.type} returned invalid project`);
+        }
+
+        if (
+            task.priority !== undefined &&
+            (typeof task.priority !== "number" || !Number.isFinite(task.priority))
+        ) {
+            throw new Error(`Plugin ${this._plugin.type} returned invalid priority`);
+        }
+
+        if (
+            task.labels !== undefined &&
+            (!Array.isArray(task.labels) || task.labels.some((label) => typeof label !== "string"))
+        ) {
+            throw new Error(`Plugin ${this._plugin.type} returned invalid labels`);
+        }
+
+        let dueDate = task.dueDate;
+
+        if (!dueDate && dueDatetime) {
+            dueDate = this._dateTimeHelper.getDateString(dueDatetime);
+        }
+
+        return {
+            title: task.title,
+            dueDate,
+            dueDatetime,
+            markedCurrent: !!task.markedCurrent,
+
+            // only needed for choosing the current task, so tasks without (valid) ID are still fine
+            ...(typeof task.id === "string" ? { id: task.id } : {}),
+
+            // the other optional details are only included if the plugin provides them
+            ...(task.url !== undefined ? { url: task.url } : {}),
+            ...(task.project !== undefined ? { project: task.project } : {}),
+            ...(task.priority !== undefined ? { priority: task.priority } : {}),
+            ...(task.labels !== undefined ? { labels: [...task.labels] } : {}),
+        };
+    }
+
+    async clearCurrent() {
+        if (!this._pluginModule.clearCurrent) {
+            this._logger.debugIntegration(`Plugin ${this._plugin.type} can't clear current task`);
+            return;
+        }
+
+        await this._pluginModule.clearCurrent();
+    }
+
+    async _completeCurrent() {
+        await this._pluginModule.completeCurrent();
+    }
+
+    /** @param {string} taskId */
+    async _setCurrent(taskId) {
+        await this._pluginModule.setCurrent(taskId);
+    }
+
+    isCleanupNeeded() {
+        if (!this._pluginModule.isCleanupNeeded) {
+            return false;
+        }
+
+        return !!this._pluginModule.isCleanupNeeded();
+    }
+
+    async performCleanup() {
+        if (this._pluginModule.performCleanup) {
+            await this._pluginModule.performCleanup();
+        }
+    }
+
+    destroy() {
+        if (!this._pluginModule.destroy) {
+            return;
+        }
+
+        try {
+            this._pluginModule.destroy();
+        } catch (error) {
+            this._logger.error(`Plugin ${this._plugin.type} failed to clean up: ${error.message}`);
+        }
+    }
+}
+
+module.exports = IntegrationPluginAdapter;
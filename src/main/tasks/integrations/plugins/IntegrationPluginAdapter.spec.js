@@ -0,0 +1,200 @@
+/** @typedef { import("./IntegrationPlugin").IntegrationPluginModule } IntegrationPluginModule */
+
+const moment = require("moment");
+
+const Logger = require("../../../Logger");
+
+const IntegrationPluginAdapter = require("./IntegrationPluginAdapter");
+
+jest.mock("../../../Logger");
+
+let logs = [];
+
+// @ts-ignore
+Logger.mockImplementation(() => {
+    return {
+        debugIntegration: (message) => logs.push(message),
+        error: (message) => logs.push(message),
+    };
+});
+
+const mockLogger = new Logger();
+
+/** @param {Partial<IntegrationPluginModule>} pluginModule */
+function createAdapter(pluginModule) {
+    const completeModule = {
+        type: "test",
+        displayName: "Test",
+        getConfigurationDialogFields: () => [],
+        configure: () => {},
+        getRelevantTasksForState: async () => [],
+        ...pluginModule,
+    };
+
+    return new IntegrationPluginAdapter(
+        { type: "test", displayName: "Test", filePath: "test.js", module: completeModule },
+        mockLogger
+    );
+}
+
+describe("IntegrationPluginAdapter", () => {
+    beforeEach(() => {
+        logs = [];
+    });
+
+    it("passes on valid tasks", async () => {
+        const adapter = createAdapter({
+            getRelevantTasksForState: async () => [
+                { title: "Task", dueDate: "2020-09-05", markedCurrent: true },
+            ],
+        });
+
+        expect(await adapter.getRelevantTasksForState()).toEqual([
+            { title: "Task", dueDate: "2020-09-05", dueDatetime: undefined, markedCurrent: true },
+        ]);
+    });
+
+    it("passes on task IDs that are strings", async () => {
+        const adapter = createAdapter({
+            // @ts-ignore
+            getRelevantTasksForState: async () => [
+                { id: "1", title: "Task", markedCurrent: false },
+                { id: 2, title: "Task", markedCurrent: false },
+            ],
+        });
+
+        const tasks = await adapter.getRelevantTasksForState();
+
+        expect(tasks.map((task) => task.id)).toEqual(["1", undefined]);
+    });
+
+    it("passes on optional task details", async () => {
+        const adapter = createAdapter({
+            getRelevantTasksForState: async () => [
+                {
+                    title: "Task",
+                    markedCurrent: false,
+                    url: "https://example.com/tasks/1",
+                    project: "Work",
+                    priority: 1,
+                    labels: ["urgent", "home"],
+                },
+            ],
+        });
+
+        expect(await adapter.getRelevantTasksForState()).toEqual([
+            {
+                title: "Task",
+                dueDate: undefined,
+                dueDatetime: undefined,
+                markedCurrent: false,
+                url: "https://example.com/tasks/1",
+                project: "Work",
+                priority: 1,
+                labels: ["urgent", "home"],
+            },
+        ]);
+    });
+
+    it("leaves out optional task details the plugin doesn't provide", async () => {
+        const adapter = createAdapter({
+            getRelevantTasksForState: async () => [{ title: "Task", markedCurrent: false }],
+        });
+
+        const tasks = await adapter.getRelevantTasksForState();
+
+        expect(Object.keys(tasks[0])).toEqual(["title", "dueDate", "dueDatetime", "markedCurrent"]);
+    });
+
+    it.each([
+        [{ url: 1 }, "Plugin test returned invalid URL"],
+        [{ project: ["Work"] }, "Plugin test returned invalid project"],
+        [{ priority: "1" }, "Plugin test returned invalid priority"],
+        [{ priority: NaN }, "Plugin test returned invalid priority"],
+        [{ labels: "urgent" }, "Plugin test returned invalid labels"],
+        [{ labels: ["urgent", 1] }, "Plugin test returned invalid labels"],
+    ])("rejects invalid optional task details %p", async (details, message) => {
+        const adapter = createAdapter({
+            // @ts-ignore
+            getRelevantTasksForState: async () => [
+                { title: "Task", markedCurrent: false, ...details },
+            ],
+        });
+
+        await expect(adapter.getRelevantTasksForState()).rejects.toThrow(message);
+    });
+
+    it("accepts due datetimes as ISO strings and derives the due date", async () => {
+        const adapter = createAdapter({
+            // @ts-ignore
+            getRelevantTasksForState: async () => [
+                { title: "Task", dueDatetime: "2020-09-05T12:30:00", markedCurrent: false },
+            ],
+        });
+
+        const tasks = await adapter.getRelevantTasksForState();
+
+        expect(tasks[0].dueDate).toEqual("2020-09-05");
+        expect(tasks[0].dueDatetime.isSame(moment("2020-09-05T12:30:00"))).toBe(true);
+    });
+
+    it("rejects invalid tasks with a readable error", async () => {
+        const adapter = createAdapter({
+            // @ts-ignore
+            getRelevantTasksForState: async () => [{ name: "Task" }],
+        });
+
+        await expect(adapter.getRelevantTasksForState()).rejects.toThrow(
+            "Plugin test returned a task without title"
+        );
+    });
+
+    it("turns errors thrown synchronously into rejected promises", async () => {
+        const adapter = createAdapter({
+            getRelevantTasksForState: () => {
+                throw new Error("Plugin broke");
+            },
+        });
+
+        await expect(adapter.getRelevantTasksForState()).rejects.toThrow("Plugin broke");
+    });
+
+    it("reports configuration errors when getting tasks instead of throwing", async () => {
+        const adapter = createAdapter({
+            configure: () => {
+                throw new Error("Invalid configuration");
+            },
+        });
+
+        expect(() => adapter.configure({ type: "plugin", pluginType: "test" })).not.toThrow();
+        await expect(adapter.getRelevantTasksForState()).rejects.toThrow("Invalid configuration");
+    });
+
+    it("doesn't fail if the plugin doesn't support optional functionality", async () => {
+        const adapter = createAdapter({});
+
+        await adapter.testConfiguration({ type: "plugin", pluginType: "test" });
+        await adapter.clearCurrent();
+        expect(adapter.isCleanupNeeded()).toBe(false);
+        await adapter.performCleanup();
+        adapter.destroy();
+    });
+
+    it("only offers marking tasks as done if the plugin supports it", async () => {
+        const completeCurrent = jest.fn(async () => {});
+
+        expect(createAdapter({}).completeCurrent).toBeUndefined();
+
+        await createAdapter({ completeCurrent }).completeCurrent();
+        expect(completeCurrent).toHaveBeenCalled();
+    });
+
+    it("only offers choosing the current task if the plugin supports it", async () => {
+        const setCurrent = jest.fn(async (_taskId) => {});
+
+        expect(createAdapter({}).setCurrent).toBeUndefined();
+
+        await createAdapter({ setCurrent }).setCurrent("1");
+        expect(setCurrent).toHaveBeenCalledWith("1");
+    });
+});
@@ -0,0 +1,122 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./IntegrationPlugin").IntegrationPluginModule } IntegrationPluginModule */
+/** @typedef { import("./IntegrationPlugin").LoadedIntegrationPlugin } LoadedIntegrationPlugin */
+/** @typedef { import("./IntegrationPlugin").FailedIntegrationPlugin } FailedIntegrationPlugin */
+
+const fs = require("fs");
+const { createRequire } = require("module");
+const path = require("path");
+
+const REQUIRED_FUNCTIONS = [
+    "getConfigurationDialogFields",
+    "configure",
+    "getRelevantTasksForState",
+];
+
+class IntegrationPluginLoader {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+    }
+
+    /**
+     * Loads every .js file and every folder (with an index.js or package.json) in the plugins folder
+     * Never throws, plugins that can't be loaded are returned separately instead.
+     * @param {string} pluginsFolderPath
+     * @returns {{ plugins: LoadedIntegrationPlugin[], failedPlugins: FailedIntegrationPlugin[] }}
+     */
+    loadPlugins(pluginsFolderPath) {
+        /** @type {LoadedIntegrationPlugin[]} */
+        const plugins = [];
+
+        /** @type {FailedIntegrationPlugin[]} */
+        const failedPlugins = [];
+
+        for (const fileName of this._getPluginFileNames(pluginsFolderPath)) {
+            const filePath = path.join(pluginsFolderPath, fileName);
+
+            try {
+                const plugin = this._loadPlugin(filePath);
+
+                if (plugins.some((existingPlugin) => existingPlugin.type === plugin.type)) {
+                    throw new Error(`Another plugin already has type '${plugin.type}'`);
+                }
+
+                plugins.push(plugin);
+                this._logger.info(`Loaded integration plugin ${plugin.type} from ${fileName}`);
+            } catch (error) {
+                failedPlugins.push({ fileName, errorMessage: error.message });
+                this._logger.error(
+                    `Failed to load integration plugin ${fileName}: ${error.message}`
+                );
+            }
+        }
+
+        return { plugins, failedPlugins };
+    }
+
+    /** @param {string} pluginsFolderPath */
+    _getPluginFileNames(pluginsFolderPath) {
+        let entries;
+
+        try {
+            entries = fs.readdirSync(pluginsFolderPath, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                this._logger.error(`Failed to read integration plugins folder: ${error.message}`);
+            }
+
+            return [];
+        }
+
+        return entries
+            .filter((entry) => !entry.name.startsWith("."))
+            .filter((entry) => entry.isDirectory() || path.extname(entry.name) === ".js")
+            .map((entry) => entry.name)
+            .sort();
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {LoadedIntegrationPlugin}
+     */
+    _loadPlugin(filePath) {
+        // bypasses the bundler, which only knows about the modules that are part of the app itself
+        const pluginRequire = createRequire(filePath);
+
+        /** @type {IntegrationPluginModule} */
+        const pluginModule = pluginRequire(filePath);
+
+        this._validatePluginModule(pluginModule);
+
+        return {
+            type: pluginModule.type,
+            displayName: pluginModule.displayName,
+            filePath,
+            module: pluginModule,
+        };
+    }
+
+    /** @param {IntegrationPluginModule} pluginModule */
+    _validatePluginModule(pluginModule) {
+        if (!pluginModule || typeof pluginModule !== "object") {
+            throw new Error("Plugin should export an object");
+        }
+
+        if (typeof pluginModule.type !== "string" || !/^[\w-]+$/.test(pluginModule.type)) {
+            throw new Error("Plugin type should only contain letters, digits, - and _");
+        }
+
+        if (typeof pluginModule.displayName !== "string" || !pluginModule.displayName) {
+            throw new Error("Plugin should have a displayName");
+        }
+
+        for (const functionName of REQUIRED_FUNCTIONS) {
+            if (typeof pluginModule[functionName] !== "function") {
+                throw new Error(`Plugin should have a ${functionName} function`);
+            }
+        }
+    }
+}
+
+module.exports = IntegrationPluginLoader;
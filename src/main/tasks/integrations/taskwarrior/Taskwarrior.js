@@ -0,0 +1,127 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").TaskwarriorIntegrationConfiguration } TaskwarriorIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"taskwarrior"> } TaskwarriorIntegration */
+/** @typedef { import("./TaskwarriorTask").TaskwarriorTask } TaskwarriorTask */
+
+const TaskwarriorCommand = require("./TaskwarriorCommand");
+const TaskwarriorTaskTransformer = require("./TaskwarriorTaskTransformer");
+
+/** @implements {TaskwarriorIntegration} */
+class Taskwarrior {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._filter = undefined;
+        this._currentTag = undefined;
+        this._commandPath = undefined;
+
+        // clearing the current task before the first successful refresh shouldn't fail
+        /** @type {TaskwarriorTask[]} */
+        this._latestTasks = [];
+
+        this._command = new TaskwarriorCommand(logger);
+        this._transformer = new TaskwarriorTaskTransformer();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "filter",
+                label: "Filter",
+                placeholder: "Example: project:work",
+                required: false,
+                info:
+                    "The app looks at all pending tasks matching this filter. Leave empty to look at all pending tasks.",
+                currentValue: this._filter,
+            },
+            {
+                type: "text",
+                name: "currentTag",
+                label: "Current task tag",
+                placeholder: "Example: current",
+                required: false,
+                pattern: "\\+?[^\\s+]+",
+                info:
+                    "Tasks with this tag will be marked as current. Leave empty to mark started tasks (task <id> start) as current instead.",
+                currentValue: this._currentTag,
+            },
+            {
+                type: "text",
+                name: "commandPath",
+                label: "Taskwarrior command",
+                placeholder: "task",
+                required: false,
+                info:
+                    "Only needed if the app can't find Taskwarrior by itself, for example /opt/homebrew/bin/task",
+                currentValue: this._commandPath,
+            },
+        ];
+    }
+
+    /** @param {TaskwarriorIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._filter = configuration.filter;
+        this._currentTag = configuration.currentTag;
+        this._commandPath = configuration.commandPath;
+    }
+
+    async getRelevantTasksForState() {
+        this._logger.debugIntegration("Retrieving relevant tasks from Taskwarrior");
+
+        const tasksPromise = this._command.exportPendingTasks(this._filter, this._commandPath);
+        this._latestTasksPromise = tasksPromise;
+        const tasks = await tasksPromise;
+
+        if (tasksPromise === this._latestTasksPromise) {
+            this._latestTasks = tasks;
+        }
+
+        return this._latestTasks.map((task) =>
+            this._transformer.transform(task, this._getTagName())
+        );
+    }
+
+    async clearCurrent() {
+        const tagName = this._getTagName();
+
+        const tasksMarkedCurrent = this._latestTasks.filter(
+            (task) => this._transformer.transform(task, tagName).markedCurrent
+        );
+
+        if (tasksMarkedCurrent.length === 0) {
+            return;
+        }
+
+        // Taskwarrior locks its data files while modifying, so we don't run these in parallel
+        if (tagName) {
+            this._logger.debugIntegration("Removing the tag from current tasks in Taskwarrior");
+
+            for (const task of tasksMarkedCurrent) {
+                await this._command.removeTagFromTask(task, tagName, this._commandPath);
+            }
+        } else {
+            this._logger.debugIntegration("Stopping current tasks in Taskwarrior");
+
+            for (const task of tasksMarkedCurrent) {
+                await this._command.stopTask(task, this._commandPath);
+            }
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    /** Allows users to specify the tag the way they would use it in a command, example: +current */
+    _getTagName() {
+        return this._currentTag ? this._currentTag.replace(/^\+/, "") : undefined;
+    }
+}
+
+module.exports = Taskwarrior;
@@ -0,0 +1,130 @@
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./TaskwarriorTask").TaskwarriorTask } TaskwarriorTask */
+
+const childProcess = require("child_process");
+
+const DEFAULT_COMMAND_PATH = "task";
+
+// prevents Taskwarrior from asking questions or printing anything other than the actual output
+const RC_OVERRIDES = ["rc.confirmation=off", "rc.verbose=nothing", "rc.gc=off"];
+
+// big enough for thousands of tasks
+const MAX_OUTPUT_BYTES = 50 * 1024 * 1024;
+
+class TaskwarriorCommand {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+    }
+
+    /**
+     * @param {string} [filter] Example: project:work +next
+     * @param {string} [commandPath]
+     * @returns {Promise<TaskwarriorTask[]>}
+     */
+    async exportPendingTasks(filter, commandPath) {
+        const filterArgs = this._splitFilter(filter || "");
+
+        const output = await this._runCommand(
+            ["rc.json.array=on", "status:pending", ...filterArgs, "export"],
+            commandPath,
+            "Taskwarrior export"
+        );
+
+        try {
+            return JSON.parse(output);
+        } catch (error) {
+            this._logger.debugIntegration(`Unable to parse Taskwarrior export: ${error.message}`);
+            throw new Error("Unexpected output from Taskwarrior");
+        }
+    }
+
+    /**
+     * @param {TaskwarriorTask} task
+     * @param {string} [commandPath]
+     */
+    async stopTask(task, commandPath) {
+        await this._runCommand([task.uuid, "stop"], commandPath, "Taskwarrior stop task");
+    }
+
+    /**
+     * @param {TaskwarriorTask} task
+     * @param {string} tag
+     * @param {string} [commandPath]
+     */
+    async removeTagFromTask(task, tag, commandPath) {
+        await this._runCommand(
+            [task.uuid, "modify", `-${tag}`],
+            commandPath,
+            "Taskwarrior remove tag from task"
+        );
+    }
+
+    /**
+     * Splits on whitespace, but keeps quoted parts together (example: description:"buy milk")
+     * @param {string} filter
+     */
+    _splitFilter(filter) {
+        const parts = filter.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
+        return parts.map((part) => part.replace(/["']/g, ""));
+    }
+
+    /**
+     * @param {string[]} args
+     * @param {string} commandPath
+     * @param {string} commandDescription
+     * @returns {Promise<string>}
+     */
+    _runCommand(args, commandPath, commandDescription) {
+        this._logger.debugIntegration(`${commandDescription} command start`);
+
+        const command = commandPath || DEFAULT_COMMAND_PATH;
+
+        return new Promise((resolve, reject) => {
+            childProcess.execFile(
+                command,
+                [...RC_OVERRIDES, ...args],
+                {
+                    timeout: 60 * 1000, // one minute timeout to prevent commands from hanging eternally for whatever reason
+                    maxBuffer: MAX_OUTPUT_BYTES,
+                    windowsHide: true,
+                },
+                (error, stdout, stderr) => {
+                    if (error) {
+                        reject(this._getCommandError(error, stderr, command, commandDescription));
+                    } else {
+                        this._logger.debugIntegration(`${commandDescription} command successful`);
+                        resolve(stdout);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * @param {Error & { code?: number | string }} error
+     * @param {string} stderr
+     * @param {string} command
+     * @param {string} commandDescription
+     */
+    _getCommandError(error, stderr, command, commandDescription) {
+        if (error.code === "ENOENT") {
+            this._logger.debugIntegration(`${commandDescription} command not found`);
+            return new Error(`No Taskwarrior command '${command}'`);
+        }
+
+        this._logger.debugIntegration(
+            `${commandDescription} command error, exit code ${error.code}: ${stderr}`
+        );
+
+        const firstErrorLine = stderr.split(/\r?\n/).find((line) => line.trim().length > 0);
+
+        if (firstErrorLine) {
+            return new Error(`Taskwarrior error: ${firstErrorLine.trim()}`);
+        } else {
+            return new Error("Problem running Taskwarrior");
+        }
+    }
+}
+
+module.exports = TaskwarriorCommand;
@@ -0,0 +1,16 @@
+// this represents the part of the Taskwarrior export format that we care about
+export interface TaskwarriorTask {
+    uuid: string;
+    description: string;
+
+    /** example value: pending (the other statuses are filtered out by the export command) */
+    status: string;
+
+    /** example value: 20201001T220000Z (always in UTC) */
+    due?: string;
+
+    /** only present while the task is started, example value: 20201001T080000Z */
+    start?: string;
+
+    tags?: string[];
+}
@@ -0,0 +1,47 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./TaskwarriorTask").TaskwarriorTask } TaskwarriorTask */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+
+const MIDNIGHT_TIME = "00:00:00";
+
+class TaskwarriorTaskTransformer {
+    constructor() {
+        this._dateTimeHelper = new DateTimeHelper();
+    }
+
+    /**
+     * @param {TaskwarriorTask} task
+     * @param {string} [currentTag] If not specified, started tasks are marked as current
+     * @returns {IntegrationTask}
+     */
+    transform(task, currentTag) {
+        let dueDate = undefined;
+        let dueDatetime = undefined;
+
+        if (task.due) {
+            const localDatetime = moment.utc(task.due, "YYYYMMDDTHHmmss[Z]").local();
+            dueDate = this._dateTimeHelper.getDateString(localDatetime);
+
+            // Taskwarrior stores due dates without time (like due:tomorrow) as local midnight
+            if (localDatetime.format("HH:mm:ss") !== MIDNIGHT_TIME) {
+                dueDatetime = localDatetime;
+            }
+        }
+
+        const markedCurrent = currentTag
+            ? (task.tags || []).includes(currentTag)
+            : task.start !== undefined;
+
+        return {
+            title: task.description,
+            dueDate,
+            dueDatetime,
+            markedCurrent,
+        };
+    }
+}
+
+module.exports = TaskwarriorTaskTransformer;
@@ -0,0 +1,87 @@
+/** @typedef { import("./TaskwarriorTask").TaskwarriorTask } TaskwarriorTask */
+
+const moment = require("moment");
+
+const TaskwarriorTaskTransformer = require("./TaskwarriorTaskTransformer");
+
+const transformer = new TaskwarriorTaskTransformer();
+
+const placeholderTitle = "placeholderTitle";
+const currentTag = "currentTag";
+const otherTag = "otherTag";
+
+/** @type {TaskwarriorTask} */
+const baseTask = {
+    uuid: "5c8b6b3e-0d5a-4bb4-8a5e-4a7e2f8c1d2e",
+    description: placeholderTitle,
+    status: "pending",
+};
+
+describe("TaskwarriorTaskTransformer", () => {
+    it("handles tasks without due date", () => {
+        const transformed = transformer.transform(baseTask, currentTag);
+
+        expect(transformed).toEqual({
+            title: placeholderTitle,
+            dueDate: undefined,
+            dueDatetime: undefined,
+            markedCurrent: false,
+        });
+    });
+
+    it("handles tasks with due date", () => {
+        const transformed = transformer.transform(
+            { ...baseTask, due: "20200905T103000Z" },
+            currentTag
+        );
+
+        const expectedDatetime = moment("2020-09-05T10:30:00Z");
+        expect(transformed.dueDate).toEqual(expectedDatetime.format("YYYY-MM-DD"));
+        expect(transformed.dueDatetime.isSame(expectedDatetime)).toBe(true);
+    });
+
+    it("treats a due date at local midnight as a due date without time", () => {
+        const localMidnight = moment("2020-09-05T00:00:00");
+
+        const transformed = transformer.transform(
+            { ...baseTask, due: localMidnight.utc().format("YYYYMMDD[T]HHmmss[Z]") },
+            currentTag
+        );
+
+        expect(transformed.dueDate).toEqual("2020-09-05");
+        expect(transformed.dueDatetime).toBeUndefined();
+    });
+
+    it("marks the task as current if it has the relevant tag", () => {
+        const transformed = transformer.transform(
+            { ...baseTask, tags: [otherTag, currentTag] },
+            currentTag
+        );
+
+        expect(transformed.markedCurrent).toBe(true);
+    });
+
+    it("doesn't mark started tasks as current if a tag is specified", () => {
+        const transformed = transformer.transform(
+            { ...baseTask, tags: [otherTag], start: "20200905T080000Z" },
+            currentTag
+        );
+
+        expect(transformed.markedCurrent).toBe(false);
+    });
+
+    it("marks started tasks as current if no tag is specified", () => {
+        const transformed = transformer.transform(
+            { ...baseTask, start: "20200905T080000Z" },
+            undefined
+        );
+
+        expect(transformed.markedCurrent).toBe(true);
+    });
+
+    it("doesn't mark tasks that aren't started as current if no tag is specified", () => {
+        const transformed = transformer.transform({ ...baseTask, tags: [currentTag] }, undefined);
+
+        expect(transformed.markedCurrent).toBe(false);
+    });
+});
@@ -2,24 +2,42 @@
 /** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
 /** @typedef { import("../../../Logger") } Logger */
 /** @typedef { import("../Integration").Integration<"todoist"> } TodoistIntegration */
+/** @typedef { import("../IntegrationCache").IntegrationCache } IntegrationCache */
 
 const moment = require("moment");
 
 const TodoistApi = require("./TodoistApi");
+const TodoistCache = require("./TodoistCache");
 const TodoistState = require("./TodoistState");
 const TodoistTaskMerger = require("./TodoistTaskMerger");
 const TodoistTaskTransformer = require("./TodoistTaskTransformer");
 
+// the filter is a separate REST call, so we don't want to make it on every refresh
+const SECONDS_BETWEEN_FILTER_QUERIES = 60;
+
 /** @implements {TodoistIntegration} */
 class Todoist {
-    /** @param {Logger} logger */
-    constructor(logger) {
+    /**
+     * @param {Logger} logger
+     * @param {IntegrationCache} integrationCache
+     */
+    constructor(logger, integrationCache) {
         this._token = undefined;
         this._labelName = undefined;
         this._includeFutureTasksWithLabel = undefined;
         this._mergeSubtasksWithParent = undefined;
+        this._filter = undefined;
+        this._includedProjectsAndSections = undefined;
+        this._excludedProjectsAndSections = undefined;
+
+        this._latestTaskIds = undefined;
+        this._lastFilterQueryTime = undefined;
+        this._hasStateFromCache = false;
+        this._latestCachedSyncToken = undefined;
+        this._latestCachedTaskIds = undefined;
 
         this._api = new TodoistApi(logger);
+        this._cache = new TodoistCache(integrationCache);
         this._merger = new TodoistTaskMerger();
         this._state = new TodoistState();
         this._transformer = new TodoistTaskTransformer();
@@ -29,6 +47,8 @@ class Todoist {
 
     /** @returns {DialogField[]} */
     getConfigurationDialogFields() {
+        const labelNames = this._state.getLabelNames();
+
         return [
             {
                 type: "text",
@@ -41,14 +61,38 @@ class Todoist {
                     "Do not share this token with anyone. If you don't have a token yet, you can get it from the Todoist web UI under Settings - Integrations - API token.",
                 currentValue: this._token,
             },
+            this._getLabelNameField(labelNames),
             {
                 type: "text",
-                name: "labelName",
-                label: "Label name",
-                placeholder: "Current task label",
-                required: true,
-                info: "This is the Todoist label you will use to mark a task as current.",
-                currentValue: this._labelName,
+                name: "filter",
+                label: "Filter",
+                placeholder: "Example: (today | overdue | @current) & #Work",
+                required: false,
+                info:
+                    "By default, the app looks at tasks scheduled for today, overdue tasks and tasks with the label. If you specify a Todoist filter query here, the app only looks at tasks matching the filter instead, so make sure it includes the tasks you mark as current.",
+                currentValue: this._filter,
+            },
+            {
+                type: "textList",
+                name: "includedProjectsAndSections",
+                label: "Included projects and sections",
+                listPlaceholder: "All projects and sections included",
+                itemPlaceholder: "Project or section name",
+                buttonText: "Add project or section",
+                info:
+                    "If you specify projects or sections here, the app will ignore tasks outside of them, unless they have the label. Subprojects of included projects are included as well. Click a project or section to remove it again.",
+                currentValue: this._includedProjectsAndSections,
+            },
+            {
+                type: "textList",
+                name: "excludedProjectsAndSections",
+                label: "Excluded projects and sections",
+                listPlaceholder: "No projects or sections excluded",
+                itemPlaceholder: "Project or section name",
+                buttonText: "Add project or section",
+                info:
+                    "The app will ignore tasks in these projects and sections (including subprojects), unless they have the label. Click a project or section to remove it again.",
+                currentValue: this._excludedProjectsAndSections,
             },
             {
                 type: "boolean",
@@ -69,26 +113,154 @@ class Todoist {
         ];
     }
 
+    /**
+     * Lets the user pick one of the labels we already know about, if any
+     * @param {string[]} labelNames
+     * @returns {DialogField}
+     */
+    _getLabelNameField(labelNames) {
+        const commonProperties = {
+            name: "labelName",
+            label: "Label name",
+            placeholder: "Current task label",
+            required: true,
+            info: "This is the Todoist label you will use to mark a task as current.",
+            currentValue: this._labelName,
+        };
+
+        if (labelNames.length > 0) {
+            return { type: "select", ...commonProperties, options: labelNames };
+        } else {
+            return { type: "text", ...commonProperties };
+        }
+    }
+
     /** @param {TodoistIntegrationConfiguration} configuration*/
     configure(configuration) {
+        const tokenChanged = configuration.token !== this._token;
+        const filterChanged = configuration.filter !== this._filter;
+
         this._token = configuration.token;
         this._labelName = configuration.labelName;
         this._includeFutureTasksWithLabel = configuration.includeFutureTasksWithLabel;
         this._mergeSubtasksWithParent = configuration.mergeSubtasksWithParent;
+        this._filter = configuration.filter;
+        this._includedProjectsAndSections = configuration.includedProjectsAndSections;
+        this._excludedProjectsAndSections = configuration.excludedProjectsAndSections;
+
+        if (filterChanged) {
+            this._latestTaskIds = undefined;
+            this._lastFilterQueryTime = undefined;
+        }
+
+        if (tokenChanged) {
+            this._api.resetSyncToken();
+            this._state.reset();
+            this._latestTaskIds = undefined;
+            this._lastFilterQueryTime = undefined;
+            this._hasStateFromCache = false;
+            this._latestCachedSyncToken = undefined;
+            this._latestCachedTaskIds = undefined;
+
+            if (this._token) {
+                this._restoreFromCache();
+            }
+        }
+    }
+
+    /**
+     * Uses a separate API instance and state, so the sync state of the current configuration isn't affected
+     * @param {TodoistIntegrationConfiguration} configuration
+     */
+    async testConfiguration(configuration) {
+        this._logger.debugIntegration("Testing Todoist configuration");
+
+        const api = new TodoistApi(this._logger);
+        const state = new TodoistState();
+
+        const changes = await api.getChanges(configuration.token);
+        state.updateFromLabels(changes.changedLabels);
+        state.updateFromProjects(changes.changedProjects);
+        state.updateFromSections(changes.changedSections);
+
+        const currentTaskLabelId = state.getLabelId(configuration.labelName);
+
+        state.filterTasksInScopeOrWithLabel([], currentTaskLabelId, {
+            includedNames: configuration.includedProjectsAndSections || [],
+            excludedNames: configuration.excludedProjectsAndSections || [],
+        });
+
+        if (configuration.filter) {
+            await api.getTaskIdsForFilter(configuration.filter, configuration.token);
+        }
+    }
+
+    _restoreFromCache() {
+        const cacheData = this._cache.load(this._token);
+
+        if (!cacheData || !this._api.restoreSyncToken(cacheData.syncTokenData)) {
+            return;
+        }
+
+        this._state.restoreData(cacheData.stateData);
+        this._hasStateFromCache = true;
+        this._latestCachedSyncToken = cacheData.syncTokenData.syncToken;
+
+        if (this._filter && cacheData.filter === this._filter) {
+            this._latestTaskIds = cacheData.taskIdsForFilter;
+            this._latestCachedTaskIds = cacheData.taskIdsForFilter;
+        }
+
+        this._logger.debugIntegration("Restored Todoist state from cache");
+    }
+
+    getInitialTasks() {
+        if (!this._hasStateFromCache || !this._labelName) {
+            return undefined;
+        }
+
+        if (this._filter && !this._latestTaskIds) {
+            return undefined;
+        }
+
+        try {
+            return this._getRelevantTasksFromState(this._latestTaskIds);
+        } catch (error) {
+            // for example, the label doesn't exist (anymore)
+            return undefined;
+        }
     }
 
     async getRelevantTasksForState() {
         this._logger.debugIntegration("Retrieving task and label updates from Todoist");
         this._checkTokenAndLabelNameSpecified();
 
-        await this._updateStateFromApi();
+        const hasChanges = await this._updateStateFromApi();
+        const taskIdsForFilter = await this._getTaskIdsForFilter(hasChanges);
+
+        this._saveToCacheIfNeeded();
+        return this._getRelevantTasksFromState(taskIdsForFilter);
+    }
 
+    /** @param {number[]} [taskIdsForFilter] Only used if there is a filter */
+    _getRelevantTasksFromState(taskIdsForFilter) {
         const now = moment();
         const currentTaskLabelId = this._state.getLabelId(this._labelName);
 
-        let relevantTasks = this._state.getTasksForTodayOrWithLabel(currentTaskLabelId, now, {
-            includeFutureTasksWithLabel: !!this._includeFutureTasksWithLabel,
-        });
+        let relevantTasks = this._filter
+            ? this._state.getTasksByIds(taskIdsForFilter || [])
+            : this._state.getTasksForTodayOrWithLabel(currentTaskLabelId, now, {
+                  includeFutureTasksWithLabel: !!this._includeFutureTasksWithLabel,
+              });
+
+        relevantTasks = this._state.filterTasksInScopeOrWithLabel(
+            relevantTasks,
+            currentTaskLabelId,
+            {
+                includedNames: this._includedProjectsAndSections || [],
+                excludedNames: this._excludedProjectsAndSections || [],
+            }
+        );
 
         if (this._mergeSubtasksWithParent) {
             relevantTasks = this._merger.mergeSubtasksMarkedCurrentWithParentMarkedCurrent(
@@ -97,18 +269,97 @@ class Todoist {
             );
         }
 
-        return relevantTasks.map((task) => this._transformer.transform(task, currentTaskLabelId));
+        return relevantTasks.map((task) =>
+            this._transformer.transform(
+                task,
+                currentTaskLabelId,
+                this._state.getProjectName(task),
+                this._state.getLabelNamesForTask(task)
+            )
+        );
     }
 
+    /**
+     * Only queries the filter again if something changed or the last query was a while ago
+     * @param {boolean} hasChanges Whether the sync call returned any changes
+     * @returns {Promise<number[] | undefined>}
+     */
+    async _getTaskIdsForFilter(hasChanges) {
+        if (!this._filter) {
+            return undefined;
+        }
+
+        // even without changes, filters like "today" or "overdue" can match other tasks over time
+        const secondsSinceFilterQueried = this._lastFilterQueryTime
+            ? moment().diff(this._lastFilterQueryTime, "seconds")
+            : Infinity;
+
+        if (
+            this._latestTaskIds &&
+            !hasChanges &&
+            secondsSinceFilterQueried < SECONDS_BETWEEN_FILTER_QUERIES
+        ) {
+            return this._latestTaskIds;
+        }
+
+        const taskIdsPromise = this._api.getTaskIdsForFilter(this._filter, this._token);
+        this._latestTaskIdsPromise = taskIdsPromise;
+        const taskIds = await taskIdsPromise;
+
+        if (taskIdsPromise === this._latestTaskIdsPromise) {
+            this._latestTaskIds = taskIds;
+            this._lastFilterQueryTime = moment();
+        }
+
+        return this._latestTaskIds;
+    }
+
+    _saveToCacheIfNeeded() {
+        const syncTokenData = this._api.getSyncTokenData();
+
+        if (!syncTokenData) {
+            return;
+        }
+
+        // new arrays on every call, so compare the contents
+        const filterTaskIdsChanged =
+            String(this._latestTaskIds) !== String(this._latestCachedTaskIds);
+
+        if (syncTokenData.syncToken === this._latestCachedSyncToken && !filterTaskIdsChanged) {
+            return;
+        }
+
+        this._cache.save(this._token, {
+            syncTokenData,
+            stateData: this._state.getData(),
+            filter: this._filter,
+            taskIdsForFilter: this._latestTaskIds,
+        });
+
+        this._latestCachedSyncToken = syncTokenData.syncToken;
+        this._latestCachedTaskIds = this._latestTaskIds;
+    }
+
+    /** @returns {Promise<boolean>} Whether there were any changes */
     async _updateStateFromApi() {
-        const taskAndLabelChanges = await this._api.getTaskAndLabelChanges(this._token);
+        const changes = await this._api.getChanges(this._token);
 
-        if (taskAndLabelChanges.wasFullSync) {
+        if (changes.wasFullSync) {
             this._state.reset();
         }
 
-        this._state.updateFromTasks(taskAndLabelChanges.changedTasks);
-        this._state.updateFromLabels(taskAndLabelChanges.changedLabels);
+        this._state.updateFromTasks(changes.changedTasks);
+        this._state.updateFromLabels(changes.changedLabels);
+        this._state.updateFromProjects(changes.changedProjects);
+        this._state.updateFromSections(changes.changedSections);
+
+        return (
+            changes.wasFullSync ||
+            changes.changedTasks.length > 0 ||
+            changes.changedLabels.length > 0 ||
+            changes.changedProjects.length > 0 ||
+            changes.changedSections.length > 0
+        );
     }
 
     async clearCurrent() {
@@ -123,6 +374,44 @@ class Todoist {
         }
     }
 
+    async completeCurrent() {
+        this._checkTokenAndLabelNameSpecified();
+
+        // based on the tasks the app shows, so subtasks merged with their parent complete the parent
+        const currentTasks = this._getRelevantTasksFromState(this._latestTaskIds).filter(
+            (task) => task.markedCurrent
+        );
+
+        if (currentTasks.length !== 1) {
+            throw new Error("No single current task in Todoist");
+        }
+
+        const [task] = this._state.getTasksByIds([Number(currentTasks[0].id)]);
+
+        this._logger.debugIntegration("Completing the current task in Todoist");
+        await this._api.completeTask(task, this._state.getLabelId(this._labelName), this._token);
+    }
+
+    /** @param {string} taskId */
+    async setCurrent(taskId) {
+        this._checkTokenAndLabelNameSpecified();
+
+        const [task] = this._state.getTasksByIds([Number(taskId)]);
+
+        if (!task) {
+            throw new Error("Task not found in Todoist");
+        }
+
+        const currentTaskLabelId = this._state.getLabelId(this._labelName);
+
+        const otherTasksWithLabel = this._state
+            .getTasksWithLabel(currentTaskLabelId)
+            .filter((taskWithLabel) => taskWithLabel.id !== task.id);
+
+        this._logger.debugIntegration("Moving the label to the chosen task in Todoist");
+        await this._api.moveLabelToTask(task, otherTasksWithLabel, currentTaskLabelId, this._token);
+    }
+
     isCleanupNeeded() {
         if (this._includeFutureTasksWithLabel || !this._labelName) {
             return false;
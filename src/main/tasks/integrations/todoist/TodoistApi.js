@@ -1,5 +1,7 @@
 /** @typedef { import("../../../Logger") } Logger */
 /** @typedef { import("./TodoistLabel").TodoistLabel } TodoistLabel */
+/** @typedef { import("./TodoistProject").TodoistProject } TodoistProject */
+/** @typedef { import("./TodoistSection").TodoistSection } TodoistSection */
 /** @typedef { import("./TodoistTask").TodoistTask } TodoistTask */
 
 const axios = require("axios").default;
@@ -7,13 +9,32 @@ const moment = require("moment");
 const querystring = require("querystring");
 const uuid = require("uuid");
 
+const { ApiBackoff } = require("../ApiBackoff");
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+
 // found no documentation on this so far, 8 hours seems to be pretty safe
 const SYNC_TOKEN_EXPIRY_HOURS = 8;
 
+/**
+ * @typedef {object} TodoistChanges
+ * @property {TodoistTask[]} changedTasks
+ * @property {TodoistLabel[]} changedLabels
+ * @property {TodoistProject[]} changedProjects
+ * @property {TodoistSection[]} changedSections
+ * @property {boolean} wasFullSync
+ */
+
+/**
+ * @typedef {object} TodoistSyncTokenData
+ * @property {string} syncToken
+ * @property {string} timestamp ISO 8601 timestamp of the last time the sync token changed
+ */
+
 class TodoistApi {
     /** @param {Logger} logger */
     constructor(logger) {
         this._logger = logger;
+        this._backoff = new ApiBackoff("Todoist", logger);
 
         /** @type {string} */
         this._syncTokenForNextCall = undefined;
@@ -26,18 +47,18 @@ class TodoistApi {
 
     /**
      * @param {string} token
-     * @returns {Promise<{ changedTasks: TodoistTask[], changedLabels: TodoistLabel[], wasFullSync: boolean }>}
+     * @returns {Promise<TodoistChanges>}
      */
-    async getTaskAndLabelChanges(token) {
+    async getChanges(token) {
         this._clearSyncTokenIfExpired();
         const syncTokenForCall = this._syncTokenForNextCall;
 
         const callDescription = syncTokenForCall
-            ? "Todoist incremental task and labels sync"
-            : "Todoist full tasks and labels sync";
+            ? "Todoist incremental tasks, labels, projects and sections sync"
+            : "Todoist full tasks, labels, projects and sections sync";
 
         const data = {
-            resource_types: `["items", "labels"]`,
+            resource_types: `["items", "labels", "projects", "sections"]`,
             sync_token: syncTokenForCall || "*",
             token,
         };
@@ -48,11 +69,22 @@ class TodoistApi {
 
         if (this._latestSyncCallPromise === responseDataPromise) {
             this._updateSyncToken(responseData.sync_token);
-            const changedTasks = responseData.items;
-            const changedLabels = responseData.labels;
-            return { changedTasks, changedLabels, wasFullSync: !syncTokenForCall };
+
+            return {
+                changedTasks: responseData.items,
+                changedLabels: responseData.labels,
+                changedProjects: responseData.projects,
+                changedSections: responseData.sections,
+                wasFullSync: !syncTokenForCall,
+            };
         } else {
-            return { changedTasks: [], changedLabels: [], wasFullSync: false };
+            return {
+                changedTasks: [],
+                changedLabels: [],
+                changedProjects: [],
+                changedSections: [],
+                wasFullSync: false,
+            };
         }
     }
 
@@ -61,17 +93,55 @@ class TodoistApi {
             return;
         }
 
+        if (this._isSyncTokenExpired(this._lastSyncTokenUpdateTimestamp)) {
+            this.resetSyncToken();
+        }
+    }
+
+    /** @param {moment.Moment} syncTokenUpdateTimestamp */
+    _isSyncTokenExpired(syncTokenUpdateTimestamp) {
         const now = moment();
 
-        const startOfExpiry = moment(this._lastSyncTokenUpdateTimestamp).add(
+        const startOfExpiry = moment(syncTokenUpdateTimestamp).add(
             SYNC_TOKEN_EXPIRY_HOURS,
             "hours"
         );
 
-        if (now.isAfter(startOfExpiry)) {
-            this._syncTokenForNextCall = undefined;
-            this._lastSyncTokenUpdateTimestamp = undefined;
+        return now.isAfter(startOfExpiry);
+    }
+
+    resetSyncToken() {
+        this._syncTokenForNextCall = undefined;
+        this._lastSyncTokenUpdateTimestamp = undefined;
+    }
+
+    /** @returns {TodoistSyncTokenData | undefined} */
+    getSyncTokenData() {
+        if (!this._syncTokenForNextCall) {
+            return undefined;
         }
+
+        return {
+            syncToken: this._syncTokenForNextCall,
+            timestamp: this._lastSyncTokenUpdateTimestamp.toISOString(),
+        };
+    }
+
+    /**
+     * Allows continuing from a sync token obtained before the app was restarted
+     * @param {TodoistSyncTokenData} syncTokenData
+     * @returns {boolean} False if the sync token has expired in the meantime
+     */
+    restoreSyncToken(syncTokenData) {
+        const timestamp = moment(syncTokenData.timestamp);
+
+        if (this._isSyncTokenExpired(timestamp)) {
+            return false;
+        }
+
+        this._syncTokenForNextCall = syncTokenData.syncToken;
+        this._lastSyncTokenUpdateTimestamp = timestamp;
+        return true;
     }
 
     /** @param {string} newSyncToken */
@@ -88,26 +158,129 @@ class TodoistApi {
      * @param {string} token
      */
     async removeLabelFromTasks(tasks, labelId, token) {
-        const commands = tasks.map((task) => ({
+        const commands = tasks.map((task) => this._getRemoveLabelCommand(task, labelId));
+
+        const data = {
+            commands: JSON.stringify(commands),
+            token,
+        };
+
+        const numberTasks = tasks.length;
+        const callDescription = `Todoist remove label from ${numberTasks} tasks`;
+        await this._performApiRequest(data, callDescription);
+    }
+
+    /**
+     * Adds the label to the task and removes it from the other tasks in a single call
+     * @param {TodoistTask} task
+     * @param {TodoistTask[]} otherTasksWithLabel
+     * @param {number} labelId
+     * @param {string} token
+     */
+    async moveLabelToTask(task, otherTasksWithLabel, labelId, token) {
+        const commands = otherTasksWithLabel.map((otherTask) =>
+            this._getRemoveLabelCommand(otherTask, labelId)
+        );
+
+        if (!task.labels.includes(labelId)) {
+            commands.push({
+                type: "item_update",
+                uuid: uuid.v1(),
+                args: { id: task.id, labels: [...task.labels, labelId] },
+            });
+        }
+
+        if (commands.length === 0) {
+            return;
+        }
+
+        const data = {
+            commands: JSON.stringify(commands),
+            token,
+        };
+
+        await this._performApiRequest(data, "Todoist move label to task");
+    }
+
+    /**
+     * @param {TodoistTask} task
+     * @param {number} labelId
+     */
+    _getRemoveLabelCommand(task, labelId) {
+        return {
             type: "item_update",
             uuid: uuid.v1(),
             args: {
                 id: task.id,
                 labels: task.labels.filter((taskLabelId) => taskLabelId !== labelId),
             },
-        }));
+        };
+    }
+
+    /**
+     * Also removes the label, so a recurring task isn't current again on its next date
+     * @param {TodoistTask} task
+     * @param {number} labelId
+     * @param {string} token
+     */
+    async completeTask(task, labelId, token) {
+        const commands = [
+            this._getRemoveLabelCommand(task, labelId),
+            {
+                type: "item_close",
+                uuid: uuid.v1(),
+                args: { id: task.id },
+            },
+        ];
 
         const data = {
             commands: JSON.stringify(commands),
             token,
         };
 
-        const numberTasks = tasks.length;
-        const callDescription = `Todoist remove label from ${numberTasks} tasks`;
-        await this._performApiRequest(data, callDescription);
+        await this._performApiRequest(data, "Todoist complete task");
+    }
+
+    /**
+     * Uses the REST API, because the Sync API doesn't support filters
+     * @param {string} filter Todoist filter query, example: (today | overdue) & #Work
+     * @param {string} token
+     * @returns {Promise<number[]>}
+     */
+    async getTaskIdsForFilter(filter, token) {
+        const callDescription = "Todoist get tasks for filter";
+        this._backoff.checkNotBackingOff(callDescription);
+        this._logger.debugIntegration(`${callDescription} call start`);
+
+        try {
+            const response = await axios({
+                method: "get",
+                url: `https://api.todoist.com/rest/v1/tasks`,
+                params: { filter },
+                headers: { Authorization: `Bearer ${token}` },
+                timeout: 60 * 1000, // one minute timeout to prevent calls from hanging eternally for whatever reason
+            });
+
+            this._logger.debugIntegration(`${callDescription} call successful`);
+            this._backoff.reset();
+
+            /** @type {{ id: number }[]} */
+            const tasks = response.data;
+            return tasks.map((task) => task.id);
+        } catch (error) {
+            if (error.response && error.response.status === 400) {
+                this._logger.debugIntegration(
+                    `${callDescription} call bad request, status code 400`
+                );
+                throw new Error(`Invalid Todoist filter '${filter}'`);
+            }
+
+            this._handleApiRequestError(error, callDescription);
+        }
     }
 
     async _performApiRequest(data, callDescription) {
+        this._backoff.checkNotBackingOff(callDescription);
         this._logger.debugIntegration(`${callDescription} call start`);
 
         try {
@@ -119,6 +292,7 @@ class TodoistApi {
             });
 
             this._logger.debugIntegration(`${callDescription} call successful`);
+            this._backoff.reset();
             return response.data;
         } catch (error) {
             this._handleApiRequestError(error, callDescription);
@@ -126,9 +300,18 @@ class TodoistApi {
     }
 
     _handleApiRequestError(error, callDescription) {
-        if (error.response && error.response.status === 403) {
-            this._logger.debugIntegration(`${callDescription} call auth error, status code 403`);
+        if (error.response && [401, 403].includes(error.response.status)) {
+            const status = error.response.status;
+
+            this._logger.debugIntegration(
+                `${callDescription} call auth error, status code ${status}`
+            );
             throw new Error("Invalid Todoist token");
+        } else if (error.response && error.response.status === 429) {
+            const rateLimitError = new IntegrationConnectionError(
+                "Todoist rate limit reached, trying again later"
+            );
+            throw this._backoff.startBackoff(rateLimitError, error.response, callDescription);
         } else {
             if (error.response) {
                 this._logger.debugIntegration(
@@ -140,7 +323,13 @@ class TodoistApi {
                 );
             }
 
-            throw new Error("Problem reaching Todoist");
+            const connectionError = new IntegrationConnectionError("Problem reaching Todoist");
+
+            if (this._backoff.shouldBackOff(error.response)) {
+                this._backoff.startBackoff(connectionError, error.response, callDescription);
+            }
+
+            throw connectionError;
         }
     }
 }
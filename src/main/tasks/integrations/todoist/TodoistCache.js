@@ -0,0 +1,65 @@
+/** @typedef { import("../IntegrationCache").IntegrationCache } IntegrationCache */
+/** @typedef { import("./TodoistApi").TodoistSyncTokenData } TodoistSyncTokenData */
+/** @typedef { import("./TodoistState").TodoistStateData } TodoistStateData */
+
+const crypto = require("crypto");
+
+const CACHE_KEY = "todoist";
+
+/**
+ * @typedef {object} TodoistCacheData
+ * @property {string} tokenHash Makes sure we never use data belonging to a different token
+ * @property {TodoistSyncTokenData} syncTokenData
+ * @property {TodoistStateData} stateData
+ * @property {string} [filter]
+ * @property {number[]} [taskIdsForFilter]
+ */
+
+class TodoistCache {
+    /** @param {IntegrationCache} integrationCache */
+    constructor(integrationCache) {
+        this._integrationCache = integrationCache;
+    }
+
+    /**
+     * @param {string} token
+     * @returns {Omit<TodoistCacheData, "tokenHash"> | undefined}
+     */
+    load(token) {
+        /** @type {TodoistCacheData} */
+        const data = this._integrationCache.getIntegrationCacheValue(CACHE_KEY);
+
+        if (!data) {
+            return undefined;
+        }
+
+        if (data.tokenHash !== this._hashToken(token)) {
+            this.clear();
+            return undefined;
+        }
+
+        return data;
+    }
+
+    /**
+     * @param {string} token
+     * @param {Omit<TodoistCacheData, "tokenHash">} data
+     */
+    save(token, data) {
+        this._integrationCache.setIntegrationCacheValue(CACHE_KEY, {
+            ...data,
+            tokenHash: this._hashToken(token),
+        });
+    }
+
+    clear() {
+        this._integrationCache.deleteIntegrationCacheValue(CACHE_KEY);
+    }
+
+    /** @param {string} token */
+    _hashToken(token) {
+        return crypto.createHash("sha256").update(token).digest("hex");
+    }
+}
+
+module.exports = TodoistCache;
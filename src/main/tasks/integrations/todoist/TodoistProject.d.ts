@@ -0,0 +1,7 @@
+// this represents the part of the Sync API's project format that we care about
+export interface TodoistProject {
+    id: number;
+    is_deleted: 1 | 0;
+    name: string;
+    parent_id: number | null;
+}
@@ -0,0 +1,6 @@
+// this represents the part of the Sync API's section format that we care about
+export interface TodoistSection {
+    id: number;
+    is_deleted: 1 | 0;
+    name: string;
+}
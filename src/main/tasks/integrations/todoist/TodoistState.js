@@ -1,8 +1,24 @@
 /** @typedef { import("./TodoistLabel").TodoistLabel } TodoistLabel */
+/** @typedef { import("./TodoistProject").TodoistProject } TodoistProject */
+/** @typedef { import("./TodoistSection").TodoistSection } TodoistSection */
 /** @typedef { import("./TodoistTask").TodoistTask } TodoistTask */
 
 const moment = require("moment");
 
+/**
+ * @typedef {object} TodoistScope
+ * @property {string[]} includedNames Names of projects or sections, empty means everything is included
+ * @property {string[]} excludedNames Names of projects or sections
+ */
+
+/**
+ * @typedef {object} TodoistStateData
+ * @property {TodoistTask[]} tasks
+ * @property {TodoistLabel[]} labels
+ * @property {TodoistProject[]} projects
+ * @property {TodoistSection[]} sections
+ */
+
 class TodoistState {
     constructor() {
         this.reset();
@@ -14,6 +30,31 @@ class TodoistState {
 
         /** @type {Map<number, TodoistLabel>} */
         this._labelsById = new Map();
+
+        /** @type {Map<number, TodoistProject>} */
+        this._projectsById = new Map();
+
+        /** @type {Map<number, TodoistSection>} */
+        this._sectionsById = new Map();
+    }
+
+    /** @returns {TodoistStateData} */
+    getData() {
+        return {
+            tasks: Array.from(this._tasksById.values()),
+            labels: Array.from(this._labelsById.values()),
+            projects: Array.from(this._projectsById.values()),
+            sections: Array.from(this._sectionsById.values()),
+        };
+    }
+
+    /** @param {TodoistStateData} data */
+    restoreData(data) {
+        this.reset();
+        this.updateFromTasks(data.tasks);
+        this.updateFromLabels(data.labels);
+        this.updateFromProjects(data.projects);
+        this.updateFromSections(data.sections);
     }
 
     /** @param {TodoistTask[]} tasks */
@@ -38,6 +79,28 @@ class TodoistState {
         }
     }
 
+    /** @param {TodoistProject[]} projects */
+    updateFromProjects(projects) {
+        for (const project of projects) {
+            if (project.is_deleted) {
+                this._projectsById.delete(project.id);
+            } else {
+                this._projectsById.set(project.id, project);
+            }
+        }
+    }
+
+    /** @param {TodoistSection[]} sections */
+    updateFromSections(sections) {
+        for (const section of sections) {
+            if (section.is_deleted) {
+                this._sectionsById.delete(section.id);
+            } else {
+                this._sectionsById.set(section.id, section);
+            }
+        }
+    }
+
     /**
      * @param {number} labelId
      * @param {moment.Moment} now
@@ -64,6 +127,76 @@ class TodoistState {
         }
     }
 
+    /** @param {number[]} taskIds */
+    getTasksByIds(taskIds) {
+        return taskIds
+            .map((taskId) => this._tasksById.get(taskId))
+            .filter((task) => task !== undefined);
+    }
+
+    /**
+     * Tasks with the label are always kept, even if they are outside of the scope
+     * @param {TodoistTask[]} tasks
+     * @param {number} labelId
+     * @param {TodoistScope} scope
+     */
+    filterTasksInScopeOrWithLabel(tasks, labelId, scope) {
+        this._checkProjectOrSectionNamesExist([...scope.includedNames, ...scope.excludedNames]);
+
+        return tasks.filter((task) => {
+            if (task.labels.includes(labelId)) {
+                return true;
+            }
+
+            const names = this._getProjectAndSectionNames(task);
+
+            const isIncluded =
+                scope.includedNames.length === 0 ||
+                names.some((name) => scope.includedNames.includes(name));
+
+            const isExcluded = names.some((name) => scope.excludedNames.includes(name));
+            return isIncluded && !isExcluded;
+        });
+    }
+
+    /** @param {string[]} names */
+    _checkProjectOrSectionNamesExist(names) {
+        const allProjects = Array.from(this._projectsById.values());
+        const allSections = Array.from(this._sectionsById.values());
+
+        for (const name of names) {
+            const exists =
+                allProjects.some((project) => project.name === name) ||
+                allSections.some((section) => section.name === name);
+
+            if (!exists) {
+                throw new Error(`No project or section '${name}'`);
+            }
+        }
+    }
+
+    /**
+     * Includes the names of parent projects, so a project's scope also covers its subprojects
+     * @param {TodoistTask} task
+     */
+    _getProjectAndSectionNames(task) {
+        const names = [];
+        const section = task.section_id && this._sectionsById.get(task.section_id);
+
+        if (section) {
+            names.push(section.name);
+        }
+
+        let project = this._projectsById.get(task.project_id);
+
+        while (project) {
+            names.push(project.name);
+            project = project.parent_id && this._projectsById.get(project.parent_id);
+        }
+
+        return names;
+    }
+
     _getAllTasks() {
         return Array.from(this._tasksById.values());
     }
@@ -102,6 +235,33 @@ class TodoistState {
         });
     }
 
+    /**
+     * @param {TodoistTask} task
+     * @returns {string | undefined}
+     */
+    getProjectName(task) {
+        const project = this._projectsById.get(task.project_id);
+        return project ? project.name : undefined;
+    }
+
+    /**
+     * @param {TodoistTask} task
+     * @returns {string[]}
+     */
+    getLabelNamesForTask(task) {
+        return task.labels
+            .map((labelId) => this._labelsById.get(labelId))
+            .filter((label) => !!label)
+            .map((label) => label.name);
+    }
+
+    /** @returns {string[]} */
+    getLabelNames() {
+        return Array.from(this._labelsById.values())
+            .map((label) => label.name)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
     /** @param {string} labelName */
     getLabelId(labelName) {
         const allLabels = Array.from(this._labelsById.values());
@@ -4,12 +4,15 @@ const moment = require("moment");
 
 const TodoistState = require("./TodoistState");
 
-/** @type {Pick<TodoistTask, "checked" | "due" | "is_deleted" | "parent_id">} */
+/** @type {Pick<TodoistTask, "checked" | "due" | "is_deleted" | "parent_id" | "priority" | "project_id" | "section_id">} */
 const baseTaskData = {
     due: null,
     checked: 0,
     is_deleted: 0,
     parent_id: null,
+    priority: 1,
+    project_id: 1,
+    section_id: null,
 };
 
 const name = "name";
@@ -196,6 +199,135 @@ describe("TodoistState", () => {
         });
     });
 
+    describe("tasks by ID", () => {
+        it("returns the known tasks with the given IDs, ignoring unknown IDs", () => {
+            const state = new TodoistState();
+
+            const firstTask = { ...baseTaskData, id: 1, content: task1, labels: [] };
+            const secondTask = { ...baseTaskData, id: 2, content: task2, labels: [] };
+            state.updateFromTasks([firstTask, secondTask]);
+
+            expect(state.getTasksByIds([2, 3])).toEqual([secondTask]);
+        });
+
+        it("does not return tasks that were completed in the meantime", () => {
+            const state = new TodoistState();
+
+            const initialTask = { ...baseTaskData, id: 1, content: name, labels: [] };
+            state.updateFromTasks([initialTask]);
+            state.updateFromTasks([{ ...initialTask, checked: 1 }]);
+
+            expect(state.getTasksByIds([1])).toHaveLength(0);
+        });
+    });
+
+    describe("project and section scope", () => {
+        const workProjectId = 1;
+        const subprojectId = 2;
+        const personalProjectId = 3;
+        const groceriesSectionId = 4;
+
+        /** @param {TodoistState} state */
+        const addProjectsAndSections = (state) => {
+            state.updateFromProjects([
+                { id: workProjectId, name: "Work", parent_id: null, is_deleted: 0 },
+                { id: subprojectId, name: "Subproject", parent_id: workProjectId, is_deleted: 0 },
+                { id: personalProjectId, name: "Personal", parent_id: null, is_deleted: 0 },
+            ]);
+
+            state.updateFromSections([
+                { id: groceriesSectionId, name: "Groceries", is_deleted: 0 },
+            ]);
+        };
+
+        const workTask = { ...baseTaskData, id: 1, content: name, labels: [] };
+        const subprojectTask = { ...workTask, id: 2, project_id: subprojectId };
+        const personalTask = { ...workTask, id: 3, project_id: personalProjectId };
+
+        const groceriesTask = {
+            ...personalTask,
+            id: 4,
+            section_id: groceriesSectionId,
+        };
+
+        const personalTaskWithLabel = { ...personalTask, id: 5, labels: [11] };
+        const tasks = [
+            workTask,
+            subprojectTask,
+            personalTask,
+            groceriesTask,
+            personalTaskWithLabel,
+        ];
+
+        it("keeps all tasks if the scope is empty", () => {
+            const state = new TodoistState();
+            addProjectsAndSections(state);
+
+            const filtered = state.filterTasksInScopeOrWithLabel(tasks, 11, {
+                includedNames: [],
+                excludedNames: [],
+            });
+
+            expect(filtered).toEqual(tasks);
+        });
+
+        it("keeps tasks in included projects (including subprojects) or with the label", () => {
+            const state = new TodoistState();
+            addProjectsAndSections(state);
+
+            const filtered = state.filterTasksInScopeOrWithLabel(tasks, 11, {
+                includedNames: ["Work"],
+                excludedNames: [],
+            });
+
+            expect(filtered).toEqual([workTask, subprojectTask, personalTaskWithLabel]);
+        });
+
+        it("ignores tasks in excluded sections unless they have the label", () => {
+            const state = new TodoistState();
+            addProjectsAndSections(state);
+
+            const filtered = state.filterTasksInScopeOrWithLabel(tasks, 11, {
+                includedNames: ["Personal"],
+                excludedNames: ["Groceries"],
+            });
+
+            expect(filtered).toEqual([personalTask, personalTaskWithLabel]);
+        });
+
+        it("provides the name of the project containing a task", () => {
+            const state = new TodoistState();
+            addProjectsAndSections(state);
+
+            expect(state.getProjectName(subprojectTask)).toBe("Subproject");
+            expect(state.getProjectName({ ...workTask, project_id: 99 })).toBeUndefined();
+        });
+
+        it("throws an error if a project or section is not found", () => {
+            const state = new TodoistState();
+            addProjectsAndSections(state);
+
+            const scope = { includedNames: [], excludedNames: ["Unknown"] };
+            expect(() => state.filterTasksInScopeOrWithLabel(tasks, 11, scope)).toThrow();
+        });
+    });
+
+    describe("data for caching", () => {
+        it("can restore the data it returned into a new state", () => {
+            const state = new TodoistState();
+
+            const task = { ...baseTaskData, id: 1, content: name, labels: [1] };
+            state.updateFromTasks([task]);
+            state.updateFromLabels([{ id: 1, name: label1, is_deleted: 0 }]);
+
+            const restoredState = new TodoistState();
+            restoredState.restoreData(state.getData());
+
+            expect(restoredState.getTasksWithLabel(1)).toEqual([task]);
+            expect(restoredState.getLabelId(label1)).toBe(1);
+        });
+    });
+
     describe("labels tracking", () => {
         it("can retrieve a label ID by its name", () => {
             const state = new TodoistState();
@@ -233,5 +365,32 @@ describe("TodoistState", () => {
 
             expect(() => state.getLabelId(label1)).toThrow();
         });
+
+        it("provides the names of a task's labels, ignoring unknown labels", () => {
+            const state = new TodoistState();
+
+            state.updateFromLabels([
+                { id: 1, name: label1, is_deleted: 0 },
+                { id: 2, name: label2, is_deleted: 0 },
+            ]);
+
+            const task = { ...baseTaskData, id: 1, content: name, labels: [2, 3] };
+
+            expect(state.getLabelNamesForTask(task)).toEqual([label2]);
+        });
+
+        it("can list the names of all labels, sorted", () => {
+            const state = new TodoistState();
+
+            state.updateFromLabels([
+                { id: 1, name: "b", is_deleted: 0 },
+                { id: 2, name: "a", is_deleted: 0 },
+                { id: 3, name: "c", is_deleted: 0 },
+            ]);
+
+            state.updateFromLabels([{ id: 3, name: "c", is_deleted: 1 }]);
+
+            expect(state.getLabelNames()).toEqual(["a", "b"]);
+        });
     });
 });
@@ -12,4 +12,10 @@ export interface TodoistTask {
     is_deleted: 1 | 0;
     labels: number[];
     parent_id: number | null;
+
+    /** 4 is the highest priority (shown as p1 in the Todoist apps), 1 is the lowest (p4) */
+    priority: 1 | 2 | 3 | 4;
+
+    project_id: number;
+    section_id: number | null;
 }
@@ -4,12 +4,15 @@ const TodoistTaskMerger = require("./TodoistTaskMerger");
 
 const merger = new TodoistTaskMerger();
 
-/** @type {Pick<TodoistTask, "checked" | "due" | "is_deleted" | "parent_id">} */
+/** @type {Pick<TodoistTask, "checked" | "due" | "is_deleted" | "parent_id" | "priority" | "project_id" | "section_id">} */
 const baseTaskData = {
     due: null,
     checked: 0,
     is_deleted: 0,
     parent_id: null,
+    priority: 1,
+    project_id: 1,
+    section_id: null,
 };
 
 const placeholderTitle1 = "placeholderTitle1";
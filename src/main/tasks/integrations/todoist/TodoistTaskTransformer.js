@@ -13,9 +13,11 @@ class TodoistTaskTransformer {
     /**
      * @param {TodoistTask} taskFromApi
      * @param {number} currentTaskLabelId
+     * @param {string} [projectName]
+     * @param {string[]} [labelNames]
      * @returns {IntegrationTask}
      */
-    transform(taskFromApi, currentTaskLabelId) {
+    transform(taskFromApi, currentTaskLabelId, projectName, labelNames) {
         let dueDate = undefined;
         let dueDatetime = undefined;
 
@@ -33,6 +35,11 @@ class TodoistTaskTransformer {
             dueDate,
             dueDatetime,
             markedCurrent: taskFromApi.labels.includes(currentTaskLabelId),
+            id: String(taskFromApi.id),
+            url: `https://todoist.com/showTask?id=${taskFromApi.id}`,
+            project: projectName,
+            priority: taskFromApi.priority ? 5 - taskFromApi.priority : undefined,
+            labels: labelNames,
         };
     }
 }
@@ -6,13 +6,23 @@ const TodoistTaskTransformer = require("./TodoistTaskTransformer");
 
 const transformer = new TodoistTaskTransformer();
 
-/** @type {Pick<TodoistTask, "checked" | "due" | "id" | "is_deleted" | "parent_id">} */
+/** @type {Pick<TodoistTask, "checked" | "due" | "id" | "is_deleted" | "parent_id" | "priority" | "project_id" | "section_id">} */
 const baseTaskData = {
     id: 1,
     due: null,
     checked: 0,
     is_deleted: 0,
     parent_id: null,
+    priority: 1,
+    project_id: 1,
+    section_id: null,
+};
+
+/** details that don't depend on the specific test */
+const baseTransformedData = {
+    id: "1",
+    url: "https://todoist.com/showTask?id=1",
+    priority: 4,
 };
 
 const placeholderTitle = "placeholderTitle";
@@ -30,6 +40,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            ...baseTransformedData,
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -50,6 +61,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            ...baseTransformedData,
             title: placeholderTitle,
             dueDate: "2020-09-04",
             dueDatetime: undefined,
@@ -70,6 +82,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            ...baseTransformedData,
             title: placeholderTitle,
             dueDate: "2020-09-05",
             dueDatetime: moment("2020-09-05T12:30:00"),
@@ -90,6 +103,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            ...baseTransformedData,
             title: placeholderTitle,
             dueDate: "2020-09-05",
             dueDatetime: moment("2020-09-05T10:30:00Z"),
@@ -107,6 +121,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            ...baseTransformedData,
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -114,6 +129,24 @@ describe("TodoistTaskTransformer", () => {
         });
     });
 
+    it("includes the task's project, priority and labels", () => {
+        const taskFromApi = {
+            ...baseTaskData,
+            content: placeholderTitle,
+            labels: [currentTaskLabelId, otherLabelId],
+            priority: /** @type {4} */ (4),
+        };
+
+        const transformed = transformer.transform(taskFromApi, currentTaskLabelId, "Work", [
+            "current",
+            "other",
+        ]);
+
+        expect(transformed.project).toBe("Work");
+        expect(transformed.priority).toBe(1);
+        expect(transformed.labels).toEqual(["current", "other"]);
+    });
+
     it("ignores labels other than the relevant label", () => {
         const taskFromApi = {
             ...baseTaskData,
@@ -124,6 +157,7 @@ describe("TodoistTaskTransformer", () => {
         const transformed = transformer.transform(taskFromApi, currentTaskLabelId);
 
         expect(transformed).toEqual({
+            ...baseTransformedData,
             title: placeholderTitle,
             dueDate: undefined,
             dueDatetime: undefined,
@@ -0,0 +1,94 @@
+/** @typedef { import("../../../configuration/IntegrationConfiguration").TodoTxtIntegrationConfiguration } TodoTxtIntegrationConfiguration */
+/** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
+/** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("../Integration").Integration<"todotxt"> } TodoTxtIntegration */
+
+const TodoTxtFile = require("./TodoTxtFile");
+const TodoTxtParser = require("./TodoTxtParser");
+
+/** @implements {TodoTxtIntegration} */
+class TodoTxt {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._filePath = undefined;
+        this._currentTag = undefined;
+
+        this._file = new TodoTxtFile(logger);
+        this._parser = new TodoTxtParser();
+
+        this._logger = logger;
+    }
+
+    /** @returns {DialogField[]} */
+    getConfigurationDialogFields() {
+        return [
+            {
+                type: "text",
+                name: "filePath",
+                label: "File path",
+                placeholder: "Full path to your todo.txt file",
+                required: true,
+                currentValue: this._filePath,
+            },
+            {
+                type: "text",
+                name: "currentTag",
+                label: "Current task tag",
+                placeholder: "Example: @current",
+                required: true,
+                pattern: "\\S+",
+                info:
+                    "Tasks containing this context, project or tag will be marked as current. You can use any word without spaces, for example @current or +current.",
+                currentValue: this._currentTag,
+            },
+        ];
+    }
+
+    /** @param {TodoTxtIntegrationConfiguration} configuration*/
+    configure(configuration) {
+        this._filePath = configuration.filePath;
+        this._currentTag = configuration.currentTag;
+
+        if (this._filePath) {
+            this._file.setPath(this._filePath);
+        }
+    }
+
+    async getRelevantTasksForState() {
+        this._checkFilePathAndTagSpecified();
+
+        const fileContents = await this._file.read();
+        return this._parser.parseTasks(fileContents, this._currentTag);
+    }
+
+    async clearCurrent() {
+        this._checkFilePathAndTagSpecified();
+
+        // make sure we don't overwrite any changes that the watcher didn't notify us about yet
+        const fileContents = await this._file.read(true);
+
+        if (this._parser.hasTag(fileContents, this._currentTag)) {
+            this._logger.debugIntegration("Removing the tag from current tasks in todo.txt");
+            const updatedContents = this._parser.removeTag(fileContents, this._currentTag);
+            await this._file.write(updatedContents);
+        }
+    }
+
+    isCleanupNeeded() {
+        return false;
+    }
+
+    async performCleanup() {}
+
+    destroy() {
+        this._file.destroy();
+    }
+
+    _checkFilePathAndTagSpecified() {
+        if (!this._filePath || !this._currentTag) {
+            throw new Error("todo.txt not configured");
+        }
+    }
+}
+
+module.exports = TodoTxt;
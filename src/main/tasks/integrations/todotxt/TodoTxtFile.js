@@ -0,0 +1,94 @@
+/** @typedef { import("../../../Logger") } Logger */
+
+const fs = require("fs");
+const path = require("path");
+
+const FolderWatcher = require("../FolderWatcher");
+
+class TodoTxtFile {
+    /** @param {Logger} logger */
+    constructor(logger) {
+        this._logger = logger;
+
+        this._filePath = undefined;
+        this._latestContents = undefined;
+
+        this._folderWatcher = new FolderWatcher(logger);
+    }
+
+    /** @param {string} filePath */
+    setPath(filePath) {
+        if (filePath === this._filePath) {
+            return;
+        }
+
+        this._filePath = filePath;
+        this._latestContents = undefined;
+
+        // watch the folder instead of the file itself
+        // many editors save by replacing the file, which would silently break a watcher on the file
+        const fileName = path.basename(filePath);
+
+        this._folderWatcher.setFolder(path.dirname(filePath), {
+            recursive: false,
+            isRelevantFile: (changedFileName) => changedFileName === fileName,
+        });
+    }
+
+    /**
+     * Only actually reads the file if it might have changed since the last read, unless forced
+     * @param {boolean} [forceRead]
+     * @returns {Promise<string>}
+     */
+    async read(forceRead) {
+        const mightHaveChanged = this._folderWatcher.checkAndResetChanged();
+
+        if (!mightHaveChanged && !forceRead && this._latestContents !== undefined) {
+            return this._latestContents;
+        }
+
+        this._logger.debugIntegration("Reading todo.txt file");
+
+        try {
+            this._latestContents = await fs.promises.readFile(this._filePath, "utf-8");
+            this._logger.debugIntegration("Successfully read todo.txt file");
+            return this._latestContents;
+        } catch (error) {
+            this._latestContents = undefined;
+            this._handleFileError(error, "read");
+        }
+    }
+
+    /** @param {string} contents */
+    async write(contents) {
+        this._logger.debugIntegration("Writing todo.txt file");
+
+        try {
+            await fs.promises.writeFile(this._filePath, contents, "utf-8");
+            this._folderWatcher.markChanged();
+            this._logger.debugIntegration("Successfully wrote todo.txt file");
+        } catch (error) {
+            this._handleFileError(error, "write");
+        }
+    }
+
+    /**
+     * @param {NodeJS.ErrnoException} error
+     * @param {"read" | "write"} operation
+     */
+    _handleFileError(error, operation) {
+        this._logger.debugIntegration(`Unable to ${operation} todo.txt file: ${error.message}`);
+
+        if (error.code === "ENOENT") {
+            throw new Error(`No file '${this._filePath}'`);
+        } else {
+            throw new Error(`Problem trying to ${operation} todo.txt file`);
+        }
+    }
+
+    destroy() {
+        this._folderWatcher.stop();
+    }
+}
+
+module.exports = TodoTxtFile;
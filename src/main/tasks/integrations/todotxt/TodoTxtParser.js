@@ -0,0 +1,123 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+
+// see https://github.com/todotxt/todo.txt for the format
+const COMPLETED_PREFIX_REGEX = /^x\s/;
+const PRIORITY_PREFIX_REGEX = /^\([A-Z]\)\s+/;
+const DATE_PREFIX_REGEX = /^\d{4}-\d{2}-\d{2}\s+/;
+const DUE_DATE_REGEX = /^due:(\d{4}-\d{2}-\d{2})$/;
+
+class TodoTxtParser {
+    /**
+     * @param {string} fileContents
+     * @param {string} currentTag
+     * @returns {IntegrationTask[]}
+     */
+    parseTasks(fileContents, currentTag) {
+        const lines = fileContents.split(/\r?\n/);
+        const tasks = [];
+
+        for (const line of lines) {
+            const task = this._parseLine(line, currentTag);
+
+            if (task) {
+                tasks.push(task);
+            }
+        }
+
+        return tasks;
+    }
+
+    /**
+     * @param {string} line
+     * @param {string} currentTag
+     * @returns {IntegrationTask | undefined}
+     */
+    _parseLine(line, currentTag) {
+        const trimmedLine = line.trim();
+
+        if (!trimmedLine || COMPLETED_PREFIX_REGEX.test(trimmedLine)) {
+            return undefined;
+        }
+
+        const withoutPrefixes = trimmedLine
+            .replace(PRIORITY_PREFIX_REGEX, "")
+            .replace(DATE_PREFIX_REGEX, "");
+
+        const titleWords = [];
+        let dueDate = undefined;
+        let markedCurrent = false;
+
+        for (const word of withoutPrefixes.split(/\s+/)) {
+            const dueDateMatch = DUE_DATE_REGEX.exec(word);
+
+            if (dueDateMatch) {
+                dueDate = dueDateMatch[1];
+            } else if (word === currentTag) {
+                markedCurrent = true;
+            } else {
+                titleWords.push(word);
+            }
+        }
+
+        return {
+            title: titleWords.join(" "),
+            dueDate,
+            dueDatetime: undefined,
+            markedCurrent,
+        };
+    }
+
+    /**
+     * @param {string} fileContents
+     * @param {string} currentTag
+     */
+    hasTag(fileContents, currentTag) {
+        const tasks = this.parseTasks(fileContents, currentTag);
+        return tasks.some((task) => task.markedCurrent);
+    }
+
+    /**
+     * @param {string} fileContents
+     * @param {string} currentTag
+     */
+    removeTag(fileContents, currentTag) {
+        // preserve the file's line endings
+        const lineSeparator = fileContents.includes("\r\n") ? "\r\n" : "\n";
+
+        return fileContents
+            .split(lineSeparator)
+            .map((line) => this._removeTagFromLine(line, currentTag))
+            .join(lineSeparator);
+    }
+
+    /**
+     * @param {string} line
+     * @param {string} currentTag
+     */
+    _removeTagFromLine(line, currentTag) {
+        if (COMPLETED_PREFIX_REGEX.test(line.trim())) {
+            return line;
+        }
+
+        // same tokenization as when parsing, but keeping the whitespace that separates the words
+        const parts = line.split(/(\s+)/);
+        const keptParts = [];
+
+        // words are at even indexes, the whitespace in between them at odd indexes
+        for (let i = 0; i < parts.length; i += 2) {
+            if (parts[i] === currentTag) {
+                continue;
+            }
+
+            if (keptParts.length > 0) {
+                keptParts.push(parts[i - 1]);
+            }
+
+            keptParts.push(parts[i]);
+        }
+
+        return keptParts.join("");
+    }
+}
+
+module.exports = TodoTxtParser;
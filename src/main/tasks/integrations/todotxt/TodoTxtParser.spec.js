@@ -0,0 +1,121 @@
+const TodoTxtParser = require("./TodoTxtParser");
+
+const parser = new TodoTxtParser();
+
+const currentTag = "@current";
+
+describe("TodoTxtParser", () => {
+    describe("parseTasks", () => {
+        it("handles tasks without due date", () => {
+            const tasks = parser.parseTasks("Call mom +Family @phone", currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Call mom +Family @phone",
+                    dueDate: undefined,
+                    dueDatetime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+
+        it("handles tasks with due date", () => {
+            const tasks = parser.parseTasks("Pay rent due:2020-10-01 +Home", currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Pay rent +Home",
+                    dueDate: "2020-10-01",
+                    dueDatetime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+
+        it("marks the task as current if it has the relevant tag", () => {
+            const tasks = parser.parseTasks("Write report @current +Work", currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Write report +Work",
+                    dueDate: undefined,
+                    dueDatetime: undefined,
+                    markedCurrent: true,
+                },
+            ]);
+        });
+
+        it("ignores tags that only partially match the relevant tag", () => {
+            const tasks = parser.parseTasks("Write report @currently", currentTag);
+            expect(tasks[0].markedCurrent).toBe(false);
+        });
+
+        it("strips priority and creation date from the title", () => {
+            const tasks = parser.parseTasks("(A) 2020-09-20 Write report", currentTag);
+            expect(tasks[0].title).toBe("Write report");
+        });
+
+        it("ignores completed tasks and empty lines", () => {
+            const fileContents = [
+                "x 2020-09-21 2020-09-20 Done already @current",
+                "",
+                "   ",
+                "Still to do",
+            ].join("\n");
+
+            const tasks = parser.parseTasks(fileContents, currentTag);
+
+            expect(tasks).toEqual([
+                {
+                    title: "Still to do",
+                    dueDate: undefined,
+                    dueDatetime: undefined,
+                    markedCurrent: false,
+                },
+            ]);
+        });
+
+        it("handles Windows line endings", () => {
+            const tasks = parser.parseTasks("First @current\r\nSecond\r\n", currentTag);
+
+            expect(tasks.map((task) => task.title)).toEqual(["First", "Second"]);
+            expect(tasks.map((task) => task.markedCurrent)).toEqual([true, false]);
+        });
+    });
+
+    describe("removeTag", () => {
+        it("removes the tag from all open tasks", () => {
+            const fileContents = [
+                "(A) Write report @current +Work",
+                "Call mom @current",
+                "Pay rent due:2020-10-01",
+            ].join("\n");
+
+            const result = parser.removeTag(fileContents, currentTag);
+
+            expect(result).toBe(
+                ["(A) Write report +Work", "Call mom", "Pay rent due:2020-10-01"].join("\n")
+            );
+        });
+
+        it("leaves completed tasks untouched", () => {
+            const fileContents = "x 2020-09-21 Done already @current\nOpen @current";
+            const result = parser.removeTag(fileContents, currentTag);
+            expect(result).toBe("x 2020-09-21 Done already @current\nOpen");
+        });
+
+        it("preserves Windows line endings", () => {
+            const result = parser.removeTag("First @current\r\nSecond\r\n", currentTag);
+            expect(result).toBe("First\r\nSecond\r\n");
+        });
+
+        it("removes tags separated by tabs or multiple spaces", () => {
+            const fileContents =
+                "Write report\t@current\nCall mom  @current  +Family\n@current Pay rent";
+            const result = parser.removeTag(fileContents, currentTag);
+
+            expect(result).toBe("Write report\nCall mom  +Family\nPay rent");
+            expect(parser.hasTag(result, currentTag)).toBe(false);
+        });
+    });
+});
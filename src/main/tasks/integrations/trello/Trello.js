@@ -2,9 +2,13 @@
 /** @typedef { import("../../../windows/DialogInput").DialogField } DialogField */
 /** @typedef { import("../../../Logger") } Logger */
 /** @typedef { import("../Integration").Integration<"trello"> } TrelloIntegration */
+/** @typedef { import("./TrelloCard").TrelloCard } TrelloCard */
 
 const TrelloApi = require("./TrelloApi");
 const TrelloCardTransformer = require("./TrelloCardTransformer");
+const TrelloChecklistItemTransformer = require("./TrelloChecklistItemTransformer");
+
+const BOARD_NAMES_TIMEOUT_MS = 5 * 1000;
 
 /** @implements {TrelloIntegration} */
 class Trello {
@@ -14,15 +18,20 @@ class Trello {
         this._token = undefined;
         this._labelName = undefined;
         this._boards = undefined;
+        this._lists = undefined;
+        this._includeChecklistItems = undefined;
 
         this._api = new TrelloApi(logger);
         this._transformer = new TrelloCardTransformer();
+        this._checklistItemTransformer = new TrelloChecklistItemTransformer();
 
         this._logger = logger;
     }
 
-    /** @returns {DialogField[]} */
-    getConfigurationDialogFields() {
+    /** @returns {Promise<DialogField[]>} */
+    async getConfigurationDialogFields() {
+        const boardNames = await this._getBoardNamesForDialog();
+
         return [
             {
                 type: "text",
@@ -54,18 +63,84 @@ class Trello {
                     "A label with this name will mark cards as current task. You can create a label with this name on each board you want to use.",
                 currentValue: this._labelName,
             },
+            this._getBoardsField(boardNames),
+            {
+                type: "textList",
+                name: "lists",
+                label: "List names",
+                listPlaceholder: "No lists specified",
+                itemPlaceholder: "List name or Board name / List name",
+                buttonText: "Add list",
+                info:
+                    "If you specify lists here, the app will only look at cards in those lists. A list name without board name applies to every board, while a list name like 'Work / Doing' only applies to the board called 'Work'. Boards without any specified lists are not affected. Click a list to remove it again.",
+                currentValue: this._lists,
+            },
             {
+                type: "boolean",
+                name: "includeChecklistItems",
+                label: "Treat checklist items as tasks",
+                info:
+                    "If enabled, the app will look at the incomplete checklist items of a card instead of the card itself. An item is marked as current if its name contains the label name in square brackets (example: [Current]). If the card has the label and none of its items contain the label name in square brackets, the card's first incomplete item is marked as current. Items without their own due date get the card's due date.",
+                currentValue: !!this._includeChecklistItems,
+            },
+        ];
+    }
+
+    /** @returns {Promise<string[] | undefined>} */
+    async _getBoardNamesForDialog() {
+        if (!this._key || !this._token) {
+            return undefined;
+        }
+
+        // opening the dialog shouldn't take ages if Trello can't be reached
+        const timeoutPromise = new Promise((_resolve, reject) => {
+            setTimeout(() => reject(new Error("Timed out")), BOARD_NAMES_TIMEOUT_MS);
+        });
+
+        try {
+            return await Promise.race([
+                this._api.getBoardNames(this._key, this._token),
+                timeoutPromise,
+            ]);
+        } catch (error) {
+            this._logger.debugIntegration(
+                `Could not get Trello boards for dialog: ${error.message}`
+            );
+            return undefined;
+        }
+    }
+
+    /**
+     * Lets the user pick boards if we could get them from Trello, otherwise the user can type the names
+     * @param {string[]} [boardNames]
+     * @returns {DialogField}
+     */
+    _getBoardsField(boardNames) {
+        const commonProperties = {
+            name: "boards",
+            label: "Board names",
+            listPlaceholder: "No boards specified",
+            currentValue: this._boards,
+        };
+
+        if (boardNames) {
+            return {
+                type: "multiSelect",
+                ...commonProperties,
+                options: boardNames,
+                info:
+                    "If you select boards here, the app will only look at those boards. If you don't select any boards, the app looks at all of them.",
+            };
+        } else {
+            return {
                 type: "textList",
-                name: "boards",
-                label: "Board names",
-                listPlaceholder: "No boards specified",
+                ...commonProperties,
                 itemPlaceholder: "Board name",
                 buttonText: "Add board",
                 info:
                     "If you specify a list of boards here, the app will only look at those boards. Click a board to remove it again.",
-                currentValue: this._boards,
-            },
-        ];
+            };
+        }
     }
 
     /** @param {TrelloIntegrationConfiguration} configuration*/
@@ -74,13 +149,40 @@ class Trello {
         this._token = configuration.token;
         this._labelName = configuration.labelName;
         this._boards = configuration.boards;
+        this._lists = configuration.lists;
+        this._includeChecklistItems = configuration.includeChecklistItems;
+    }
+
+    /**
+     * Uses a separate API instance, so the cards cached for the current configuration aren't affected
+     * @param {TrelloIntegrationConfiguration} configuration
+     */
+    async testConfiguration(configuration) {
+        this._logger.debugIntegration("Testing Trello configuration");
+
+        const api = new TrelloApi(this._logger);
+
+        await api.getCards(
+            configuration.key,
+            configuration.token,
+            configuration.boards,
+            configuration.lists,
+            !!configuration.includeChecklistItems
+        );
     }
 
     async getRelevantTasksForState() {
         this._logger.debugIntegration("Retrieving relevant cards from Trello");
         this._checkKeyTokenAndLabelNameSpecified();
 
-        const cardsPromise = this._api.getCards(this._key, this._token, this._boards);
+        const cardsPromise = this._api.getCards(
+            this._key,
+            this._token,
+            this._boards,
+            this._lists,
+            !!this._includeChecklistItems
+        );
+
         this._latestCardsPromise = cardsPromise;
         const cards = await cardsPromise;
 
@@ -88,7 +190,24 @@ class Trello {
             this._latestCards = cards;
         }
 
-        return this._latestCards.map((card) => this._transformer.transform(card, this._labelName));
+        // cards with a completed due date are done, so they shouldn't count as overdue
+        return this._latestCards
+            .filter((card) => !card.dueComplete)
+            .flatMap((card) => this._transformCard(card));
+    }
+
+    /** @param {TrelloCard} card */
+    _transformCard(card) {
+        const boardName = this._api.getBoardName(card.idBoard);
+
+        const itemTasks = this._includeChecklistItems
+            ? this._checklistItemTransformer.transform(card, this._labelName, boardName)
+            : [];
+
+        // cards without incomplete checklist items are still tasks themselves
+        return itemTasks.length > 0
+            ? itemTasks
+            : [this._transformer.transform(card, this._labelName, boardName)];
     }
 
     async clearCurrent() {
@@ -107,6 +226,142 @@ class Trello {
                 )
             );
         }
+
+        if (this._includeChecklistItems) {
+            await this._removeMarkerFromChecklistItems();
+        }
+    }
+
+    async _removeMarkerFromChecklistItems() {
+        const marker = this._checklistItemTransformer.getCurrentTaskMarker(this._labelName);
+
+        const itemsMarkedCurrent = this._latestCards.flatMap((card) =>
+            this._checklistItemTransformer
+                .getIncompleteItems(card)
+                .filter((item) => item.name.includes(marker))
+                .map((item) => ({ card, item }))
+        );
+
+        if (itemsMarkedCurrent.length > 0) {
+            this._logger.debugIntegration(
+                "Removing the marker from current checklist items in Trello"
+            );
+
+            await Promise.all(
+                itemsMarkedCurrent.map(({ card, item }) =>
+                    this._api.renameCheckItem(
+                        card,
+                        item,
+                        this._checklistItemTransformer.removeMarker(item.name, marker),
+                        this._key,
+                        this._token
+                    )
+                )
+            );
+        }
+    }
+
+    async completeCurrent() {
+        this._checkKeyTokenAndLabelNameSpecified();
+
+        const currentTasks = this._latestCards
+            .filter((card) => !card.dueComplete)
+            .flatMap((card) =>
+                this._transformCard(card)
+                    .filter((task) => task.markedCurrent)
+                    .map((task) => ({ card, task }))
+            );
+
+        if (currentTasks.length !== 1) {
+            throw new Error("No single current task in Trello");
+        }
+
+        const [{ card, task }] = currentTasks;
+
+        const item = this._checklistItemTransformer
+            .getIncompleteItems(card)
+            .find(
+                (incompleteItem) =>
+                    this._checklistItemTransformer.getTaskId(card, incompleteItem) === task.id
+            );
+
+        if (item) {
+            this._logger.debugIntegration("Completing the current checklist item in Trello");
+            await this._api.completeCheckItem(card, item, this._key, this._token);
+        } else if (card.due) {
+            // the same thing as ticking the due date checkbox in Trello
+            this._logger.debugIntegration("Marking the due date of the current card complete");
+            await this._api.markCardDueComplete(card, this._key, this._token);
+        } else {
+            this._logger.debugIntegration("Archiving the current card in Trello");
+            await this._api.archiveCard(card, this._key, this._token);
+        }
+    }
+
+    /** @param {string} taskId */
+    async setCurrent(taskId) {
+        this._checkKeyTokenAndLabelNameSpecified();
+
+        const marker = this._checklistItemTransformer.getCurrentTaskMarker(this._labelName);
+        /** @param {TrelloCard} card */
+        const hasLabel = (card) => card.labels.some((label) => label.name === this._labelName);
+
+        const chosenCard = this._latestCards.find((card) => card.id === taskId);
+
+        const chosenItem = this._latestCards
+            .flatMap((card) =>
+                this._checklistItemTransformer
+                    .getIncompleteItems(card)
+                    .map((item) => ({ card, item }))
+            )
+            .find(
+                ({ card, item }) => this._checklistItemTransformer.getTaskId(card, item) === taskId
+            );
+
+        if (!chosenCard && !chosenItem) {
+            throw new Error("Task not found in Trello");
+        }
+
+        // a card with the label can keep it if one of its items is chosen, because the marker takes precedence
+        const cardToKeepLabel = chosenCard || chosenItem.card;
+        const otherCardsWithLabel = this._latestCards.filter(
+            (card) => card !== cardToKeepLabel && hasLabel(card)
+        );
+
+        const otherItemsWithMarker = this._latestCards.flatMap((card) =>
+            this._checklistItemTransformer
+                .getIncompleteItems(card)
+                .filter((item) => item.name.includes(marker))
+                .filter((item) => !chosenItem || item !== chosenItem.item)
+                .map((item) => ({ card, item }))
+        );
+
+        this._logger.debugIntegration(
+            "Moving the current task marking to the chosen task in Trello"
+        );
+
+        await Promise.all([
+            ...otherCardsWithLabel.map((card) =>
+                this._api.removeLabelFromCard(card, this._labelName, this._key, this._token)
+            ),
+            ...otherItemsWithMarker.map(({ card, item }) =>
+                this._api.renameCheckItem(
+                    card,
+                    item,
+                    this._checklistItemTransformer.removeMarker(item.name, marker),
+                    this._key,
+                    this._token
+                )
+            ),
+        ]);
+
+        if (chosenItem && !chosenItem.item.name.includes(marker)) {
+            const { card, item } = chosenItem;
+            const newName = `${item.name} ${marker}`;
+            await this._api.renameCheckItem(card, item, newName, this._key, this._token);
+        } else if (chosenCard && !hasLabel(chosenCard)) {
+            await this._api.addLabelToCard(chosenCard, this._labelName, this._key, this._token);
+        }
     }
 
     isCleanupNeeded() {
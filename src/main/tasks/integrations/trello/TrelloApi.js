@@ -1,51 +1,255 @@
 /** @typedef { import("../../../Logger") } Logger */
+/** @typedef { import("./TrelloCard").TrelloBoard } TrelloBoard */
 /** @typedef { import("./TrelloCard").TrelloCard } TrelloCard */
+/** @typedef { import("./TrelloCard").TrelloList } TrelloList */
+/** @typedef { import("./TrelloCard").TrelloCheckItem } TrelloCheckItem */
 
 const axios = require("axios").default;
 
-// limit the number of boards we retrieve cards from. one reason for doing this are the Trello API rate limits.
-const MAX_BOARDS = 15;
+const { ApiBackoff } = require("../ApiBackoff");
+const IntegrationConnectionError = require("../IntegrationConnectionError");
+
+// separates the board name from the list name in list selections like "Work / Doing"
+const BOARD_LIST_SEPARATOR = " / ";
+
+/**
+ * @typedef {object} BoardResult
+ * @property {TrelloCard[]} cards
+ * @property {string[]} foundListNames Names of the selected lists that exist on the board
+ */
 
 class TrelloApi {
     /** @param {Logger} logger */
     constructor(logger) {
         this._logger = logger;
+        this._backoff = new ApiBackoff("Trello", logger);
+
+        /**
+         * Results per board ID, so we only retrieve cards again for boards that had activity
+         * @type {Map<string, { dateLastActivity: string, requestKey: string, result: BoardResult }>}
+         */
+        this._boardResultsCache = new Map();
+
+        /** @type {Map<string, string>} */
+        this._boardNamesById = new Map();
     }
 
     /**
      * @param {string} key
      * @param {string} token
      * @param {string[]} [selectedBoardNames]
+     * @param {string[]} [selectedListNames] List names, optionally prefixed by a board name (example: Work / Doing)
+     * @param {boolean} [includeChecklists]
      * @returns {Promise<TrelloCard[]>}
      */
-    async getCards(key, token, selectedBoardNames) {
+    async getCards(key, token, selectedBoardNames, selectedListNames, includeChecklists) {
         const authParams = { key, token };
 
+        /** @type {TrelloBoard[]} */
         const boardsData = await this._performApiRequest(
             "GET",
             "/members/me/boards",
-            { ...authParams, fields: "name,closed" },
+            { ...authParams, fields: "name,closed,dateLastActivity" },
             "Trello get boards"
         );
 
+        this._boardNamesById = new Map(boardsData.map((board) => [board.id, board.name]));
+
         const relevantBoards = this._getRelevantBoards(boardsData, selectedBoardNames);
+        const listSelections = this._parseListSelections(selectedListNames, relevantBoards);
+
+        const cardsParams = {
+            ...authParams,
+            fields: "name,labels,due,dueComplete,idBoard,idList,url",
+            ...(includeChecklists ? { checklists: "all" } : {}),
+        };
 
-        const cardsArrays = await Promise.all(
+        this._removeIrrelevantBoardsFromCache(relevantBoards);
+
+        const boardResults = await Promise.all(
             relevantBoards.map((board) =>
-                this._performApiRequest(
-                    "GET",
-                    `/boards/${board.id}/cards`,
-                    { ...authParams, fields: "name,labels,due" },
-                    `Trello get cards for board ${board.name}`
-                )
+                this._getCardsForBoard(board, listSelections, cardsParams, authParams)
             )
         );
 
-        return cardsArrays.flat();
+        for (const selection of listSelections) {
+            this._checkListSelectionFound(selection, relevantBoards, boardResults);
+        }
+
+        return boardResults.flatMap((result) => result.cards);
+    }
+
+    /**
+     * Based on the boards retrieved by the latest call to getCards
+     * @param {string} boardId
+     * @returns {string | undefined}
+     */
+    getBoardName(boardId) {
+        return this._boardNamesById.get(boardId);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} token
+     * @returns {Promise<string[]>} Names of the open boards, sorted
+     */
+    async getBoardNames(key, token) {
+        /** @type {TrelloBoard[]} */
+        const boardsData = await this._performApiRequest(
+            "GET",
+            "/members/me/boards",
+            { key, token, fields: "name,closed" },
+            "Trello get board names"
+        );
+
+        return boardsData
+            .filter((board) => !board.closed)
+            .map((board) => board.name)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * @param {string[] | undefined} selectedListNames
+     * @param {TrelloBoard[]} relevantBoards
+     * @returns {{ boardName?: string, listName: string }[]}
+     */
+    _parseListSelections(selectedListNames, relevantBoards) {
+        return (selectedListNames || []).map((selectedListName) => {
+            const separatorIndex = selectedListName.indexOf(BOARD_LIST_SEPARATOR);
+
+            if (separatorIndex < 0) {
+                return { listName: selectedListName };
+            }
+
+            const boardName = selectedListName.substring(0, separatorIndex);
+            const listName = selectedListName.substring(
+                separatorIndex + BOARD_LIST_SEPARATOR.length
+            );
+
+            if (!relevantBoards.some((board) => board.name === boardName)) {
+                throw new Error(`No board '${boardName}'`);
+            }
+
+            return { boardName, listName };
+        });
+    }
+
+    /** @param {TrelloBoard[]} relevantBoards */
+    _removeIrrelevantBoardsFromCache(relevantBoards) {
+        for (const boardId of Array.from(this._boardResultsCache.keys())) {
+            if (!relevantBoards.some((board) => board.id === boardId)) {
+                this._boardResultsCache.delete(boardId);
+            }
+        }
+    }
+
+    /**
+     * Reuses the previous result if nothing happened on the board since then
+     * @param {TrelloBoard} board
+     * @param {{ boardName?: string, listName: string }[]} listSelections
+     * @param {object} cardsParams
+     * @param {{ key: string, token: string }} authParams
+     * @returns {Promise<BoardResult>}
+     */
+    async _getCardsForBoard(board, listSelections, cardsParams, authParams) {
+        const relevantListNames = listSelections
+            .filter((selection) => !selection.boardName || selection.boardName === board.name)
+            .map((selection) => selection.listName);
+
+        // the result also depends on what we ask for, not only on what happened on the board
+        const requestKey = JSON.stringify({ cardsParams, relevantListNames });
+        const cachedResult = this._boardResultsCache.get(board.id);
+
+        if (
+            cachedResult &&
+            board.dateLastActivity &&
+            cachedResult.dateLastActivity === board.dateLastActivity &&
+            cachedResult.requestKey === requestKey
+        ) {
+            this._logger.debugIntegration(`Trello board ${board.name} unchanged, reusing cards`);
+            return cachedResult.result;
+        }
+
+        const result = await this._getCardsForBoardFromApi(
+            board,
+            relevantListNames,
+            cardsParams,
+            authParams
+        );
+
+        this._boardResultsCache.set(board.id, {
+            dateLastActivity: board.dateLastActivity,
+            requestKey,
+            result,
+        });
+
+        return result;
     }
 
     /**
-     * @param {{ id: string, name: string, closed: boolean }[]} boardsFromApi
+     * Only retrieves the board's lists if some of the list selections apply to the board
+     * @param {TrelloBoard} board
+     * @param {string[]} relevantListNames
+     * @param {object} cardsParams
+     * @param {{ key: string, token: string }} authParams
+     * @returns {Promise<BoardResult>}
+     */
+    async _getCardsForBoardFromApi(board, relevantListNames, cardsParams, authParams) {
+        /** @type {Promise<TrelloCard[]>} */
+        const cardsPromise = this._performApiRequest(
+            "GET",
+            `/boards/${board.id}/cards`,
+            cardsParams,
+            `Trello get cards for board ${board.name}`
+        );
+
+        if (relevantListNames.length === 0) {
+            return { cards: await cardsPromise, foundListNames: [] };
+        }
+
+        /** @type {Promise<TrelloList[]>} */
+        const listsPromise = this._performApiRequest(
+            "GET",
+            `/boards/${board.id}/lists`,
+            { ...authParams, fields: "name,closed" },
+            `Trello get lists for board ${board.name}`
+        );
+
+        const [cards, lists] = await Promise.all([cardsPromise, listsPromise]);
+
+        const relevantLists = lists.filter(
+            (list) => !list.closed && relevantListNames.includes(list.name)
+        );
+
+        const relevantListIds = relevantLists.map((list) => list.id);
+
+        return {
+            cards: cards.filter((card) => relevantListIds.includes(card.idList)),
+            foundListNames: relevantLists.map((list) => list.name),
+        };
+    }
+
+    /**
+     * @param {{ boardName?: string, listName: string }} selection
+     * @param {TrelloBoard[]} relevantBoards
+     * @param {BoardResult[]} boardResults Same order as the boards
+     */
+    _checkListSelectionFound(selection, relevantBoards, boardResults) {
+        const isFound = relevantBoards.some(
+            (board, index) =>
+                (!selection.boardName || selection.boardName === board.name) &&
+                boardResults[index].foundListNames.includes(selection.listName)
+        );
+
+        if (!isFound && selection.boardName) {
+            throw new Error(`No list '${selection.listName}' on board '${selection.boardName}'`);
+        } else if (!isFound) {
+            throw new Error(`No list '${selection.listName}'`);
+        }
+    }
+
+    /**
+     * @param {TrelloBoard[]} boardsFromApi
      * @param {string[]} [selectedBoardNames]
      */
     _getRelevantBoards(boardsFromApi, selectedBoardNames) {
@@ -67,10 +271,6 @@ class TrelloApi {
             boards = selectedBoards;
         }
 
-        if (boards.length > MAX_BOARDS) {
-            throw new Error(`More than ${MAX_BOARDS} boards to check`);
-        }
-
         return boards;
     }
 
@@ -91,7 +291,98 @@ class TrelloApi {
         );
     }
 
+    /**
+     * Uses the label with the given name on the card's board
+     * @param {TrelloCard} card
+     * @param {string} labelName
+     * @param {string} key
+     * @param {string} token
+     */
+    async addLabelToCard(card, labelName, key, token) {
+        /** @type {{ id: string, name: string }[]} */
+        const boardLabels = await this._performApiRequest(
+            "GET",
+            `/boards/${card.idBoard}/labels`,
+            { key, token, fields: "name" },
+            "Trello get board labels"
+        );
+
+        const matchingLabel = boardLabels.find((label) => label.name === labelName);
+
+        if (!matchingLabel) {
+            const boardName = this.getBoardName(card.idBoard) || card.idBoard;
+            throw new Error(`No label '${labelName}' on board '${boardName}'`);
+        }
+
+        await this._performApiRequest(
+            "POST",
+            `/cards/${card.id}/idLabels`,
+            { key, token, value: matchingLabel.id },
+            "Trello add label to card"
+        );
+    }
+
+    /**
+     * @param {TrelloCard} card
+     * @param {TrelloCheckItem} checkItem
+     * @param {string} newName
+     * @param {string} key
+     * @param {string} token
+     */
+    async renameCheckItem(card, checkItem, newName, key, token) {
+        await this._performApiRequest(
+            "PUT",
+            `/cards/${card.id}/checkItem/${checkItem.id}`,
+            { key, token, name: newName },
+            "Trello rename checklist item"
+        );
+    }
+
+    /**
+     * @param {TrelloCard} card
+     * @param {TrelloCheckItem} checkItem
+     * @param {string} key
+     * @param {string} token
+     */
+    async completeCheckItem(card, checkItem, key, token) {
+        await this._performApiRequest(
+            "PUT",
+            `/cards/${card.id}/checkItem/${checkItem.id}`,
+            { key, token, state: "complete" },
+            "Trello complete checklist item"
+        );
+    }
+
+    /**
+     * @param {TrelloCard} card
+     * @param {string} key
+     * @param {string} token
+     */
+    async markCardDueComplete(card, key, token) {
+        await this._performApiRequest(
+            "PUT",
+            `/cards/${card.id}`,
+            { key, token, dueComplete: true },
+            "Trello mark card due date complete"
+        );
+    }
+
+    /**
+     * @param {TrelloCard} card
+     * @param {string} key
+     * @param {string} token
+     */
+    async archiveCard(card, key, token) {
+        await this._performApiRequest(
+            "PUT",
+            `/cards/${card.id}`,
+            { key, token, closed: true },
+            "Trello archive card"
+        );
+    }
+
     async _performApiRequest(method, relativeUrl, params, callDescription) {
+        this._backoff.checkNotBackingOff(callDescription);
         this._logger.debugIntegration(`${callDescription} call start`);
 
         try {
@@ -103,6 +394,7 @@ class TrelloApi {
             });
 
             this._logger.debugIntegration(`${callDescription} call successful`);
+            this._backoff.reset();
             return response.data;
         } catch (error) {
             this._handleApiRequestError(error, callDescription);
@@ -113,6 +405,11 @@ class TrelloApi {
         if (error.response && error.response.status === 401) {
             this._logger.debugIntegration(`${callDescription} call auth error, status code 401`);
             throw new Error("Invalid Trello API key or token");
+        } else if (error.response && error.response.status === 429) {
+            const rateLimitError = new IntegrationConnectionError(
+                "Trello rate limit reached, trying again later"
+            );
+            throw this._backoff.startBackoff(rateLimitError, error.response, callDescription);
         } else {
             if (error.response) {
                 this._logger.debugIntegration(
@@ -124,7 +421,13 @@ class TrelloApi {
                 );
             }
 
-            throw new Error("Problem reaching Trello");
+            const connectionError = new IntegrationConnectionError("Problem reaching Trello");
+
+            if (this._backoff.shouldBackOff(error.response)) {
+                this._backoff.startBackoff(connectionError, error.response, callDescription);
+            }
+
+            throw connectionError;
         }
     }
 }
@@ -6,8 +6,55 @@ export interface TrelloCard {
     /** example value: 2020-09-27T10:11:00.000Z */
     due: string | null;
 
+    /** true if the due date was marked complete */
+    dueComplete: boolean;
+
+    idBoard: string;
+    idList: string;
+
+    /** opens the card in the Trello web app */
+    url: string;
+
     labels: {
         id: string;
         name: string;
     }[];
+
+    /** only retrieved if checklist items should be treated as tasks */
+    checklists?: TrelloChecklist[];
+}
+
+// this represents the part of the Trello API's checklist format that we care about
+export interface TrelloChecklist {
+    id: string;
+    pos: number;
+    checkItems: TrelloCheckItem[];
+}
+
+// this represents the part of the Trello API's checklist item format that we care about
+export interface TrelloCheckItem {
+    id: string;
+    name: string;
+    pos: number;
+    state: "complete" | "incomplete";
+
+    /** example value: 2020-09-27T10:11:00.000Z */
+    due?: string | null;
+}
+
+// this represents the part of the Trello API's board format that we care about
+export interface TrelloBoard {
+    id: string;
+    name: string;
+    closed: boolean;
+
+    /** example value: 2020-09-27T10:11:00.000Z, changes whenever something happens on the board */
+    dateLastActivity: string | null;
+}
+
+// this represents the part of the Trello API's list format that we care about
+export interface TrelloList {
+    id: string;
+    name: string;
+    closed: boolean;
 }
@@ -13,9 +13,10 @@ class TrelloCardTransformer {
     /**
      * @param {TrelloCard} cardFromApi
      * @param {string} currentTaskLabelName
+     * @param {string} [boardName]
      * @returns {IntegrationTask}
      */
-    transform(cardFromApi, currentTaskLabelName) {
+    transform(cardFromApi, currentTaskLabelName, boardName) {
         let dueDate = undefined;
         let dueDatetime = undefined;
 
@@ -29,6 +30,10 @@ class TrelloCardTransformer {
             dueDate,
             dueDatetime,
             markedCurrent: cardFromApi.labels.some((label) => label.name === currentTaskLabelName),
+            id: cardFromApi.id,
+            url: cardFromApi.url,
+            project: boardName,
+            labels: cardFromApi.labels.map((label) => label.name),
         };
     }
 }
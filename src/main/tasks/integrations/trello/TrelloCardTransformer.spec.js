@@ -8,6 +8,9 @@ const transformer = new TrelloCardTransformer();
 
 const placeholderId = "placeholderId";
 const placeholderTitle = "placeholderTitle";
+const placeholderBoardId = "placeholderBoardId";
+const placeholderListId = "placeholderListId";
+const placeholderUrl = "https://trello.com/c/placeholder";
 const currentTaskLabelId = "currentTaskLabelId";
 const currentTaskLabelName = "currentTaskLabelName";
 const otherLabelId = "otherLabelId";
@@ -20,6 +23,10 @@ describe("TrelloCardTransformer", () => {
             id: placeholderId,
             name: placeholderTitle,
             due: null,
+            dueComplete: false,
+            idBoard: placeholderBoardId,
+            idList: placeholderListId,
+            url: placeholderUrl,
             labels: [],
         };
 
@@ -30,6 +37,9 @@ describe("TrelloCardTransformer", () => {
             dueDate: undefined,
             dueDatetime: undefined,
             markedCurrent: false,
+            id: placeholderId,
+            url: placeholderUrl,
+            labels: [],
         });
     });
 
@@ -39,6 +49,10 @@ describe("TrelloCardTransformer", () => {
             id: placeholderId,
             name: placeholderTitle,
             due: "2020-09-27T10:11:00.000Z",
+            dueComplete: false,
+            idBoard: placeholderBoardId,
+            idList: placeholderListId,
+            url: placeholderUrl,
             labels: [],
         };
 
@@ -49,6 +63,9 @@ describe("TrelloCardTransformer", () => {
             dueDate: "2020-09-27",
             dueDatetime: moment("2020-09-27T10:11:00.000Z"),
             markedCurrent: false,
+            id: placeholderId,
+            url: placeholderUrl,
+            labels: [],
         });
     });
 
@@ -58,6 +75,10 @@ describe("TrelloCardTransformer", () => {
             id: placeholderId,
             name: placeholderTitle,
             due: null,
+            dueComplete: false,
+            idBoard: placeholderBoardId,
+            idList: placeholderListId,
+            url: placeholderUrl,
             labels: [{ id: currentTaskLabelId, name: currentTaskLabelName }],
         };
 
@@ -68,15 +89,40 @@ describe("TrelloCardTransformer", () => {
             dueDate: undefined,
             dueDatetime: undefined,
             markedCurrent: true,
+            id: placeholderId,
+            url: placeholderUrl,
+            labels: [currentTaskLabelName],
         });
     });
 
+    it("uses the board name as project", () => {
+        /** @type {TrelloCard} */
+        const cardFromApi = {
+            id: placeholderId,
+            name: placeholderTitle,
+            due: null,
+            dueComplete: false,
+            idBoard: placeholderBoardId,
+            idList: placeholderListId,
+            url: placeholderUrl,
+            labels: [],
+        };
+
+        const transformed = transformer.transform(cardFromApi, currentTaskLabelName, "Work");
+
+        expect(transformed.project).toBe("Work");
+    });
+
     it("ignores labels other than the relevant label", () => {
         /** @type {TrelloCard} */
         const cardFromApi = {
             id: placeholderId,
             name: placeholderTitle,
             due: null,
+            dueComplete: false,
+            idBoard: placeholderBoardId,
+            idList: placeholderListId,
+            url: placeholderUrl,
             labels: [{ id: otherLabelId, name: otherLabelName }],
         };
 
@@ -87,6 +133,9 @@ describe("TrelloCardTransformer", () => {
             dueDate: undefined,
             dueDatetime: undefined,
             markedCurrent: false,
+            id: placeholderId,
+            url: placeholderUrl,
+            labels: [otherLabelName],
         });
     });
 });
@@ -0,0 +1,98 @@
+/** @typedef { import("../IntegrationTask").IntegrationTask } IntegrationTask */
+/** @typedef { import("./TrelloCard").TrelloCard } TrelloCard */
+/** @typedef { import("./TrelloCard").TrelloCheckItem } TrelloCheckItem */
+
+const moment = require("moment");
+
+const DateTimeHelper = require("../../../util/DateTimeHelper");
+
+class TrelloChecklistItemTransformer {
+    constructor() {
+        this._dateTimeHelper = new DateTimeHelper();
+    }
+
+    /**
+     * Returns an empty array if the card doesn't have any incomplete checklist items
+     * @param {TrelloCard} cardFromApi
+     * @param {string} currentTaskLabelName
+     * @param {string} [boardName]
+     * @returns {IntegrationTask[]}
+     */
+    transform(cardFromApi, currentTaskLabelName, boardName) {
+        const items = this.getIncompleteItems(cardFromApi);
+
+        const marker = this.getCurrentTaskMarker(currentTaskLabelName);
+        const itemsWithMarker = items.filter((item) => item.name.includes(marker));
+
+        const cardHasLabel = cardFromApi.labels.some(
+            (label) => label.name === currentTaskLabelName
+        );
+
+        // if the card itself has the label, its next item is current unless an item is marked explicitly
+        const currentItems =
+            itemsWithMarker.length === 0 && cardHasLabel ? items.slice(0, 1) : itemsWithMarker;
+
+        return items.map((item) => {
+            // items without their own due date inherit the card's due date
+            const due = item.due || cardFromApi.due;
+
+            let dueDate = undefined;
+            let dueDatetime = undefined;
+
+            if (due) {
+                dueDate = this._dateTimeHelper.getDateString(due);
+                dueDatetime = moment(due);
+            }
+
+            return {
+                title: this.removeMarker(item.name, marker),
+                dueDate,
+                dueDatetime,
+                markedCurrent: currentItems.includes(item),
+                id: this.getTaskId(cardFromApi, item),
+                url: cardFromApi.url,
+                project: boardName,
+                labels: cardFromApi.labels.map((label) => label.name),
+            };
+        });
+    }
+
+    /**
+     * Items in the same order as they are shown on the card
+     * @param {TrelloCard} cardFromApi
+     * @returns {TrelloCheckItem[]}
+     */
+    getIncompleteItems(cardFromApi) {
+        const checklists = [...(cardFromApi.checklists || [])].sort((a, b) => a.pos - b.pos);
+
+        return checklists.flatMap((checklist) =>
+            checklist.checkItems
+                .filter((item) => item.state === "incomplete")
+                .sort((a, b) => a.pos - b.pos)
+        );
+    }
+
+    /**
+     * Item IDs are only unique within a card
+     * @param {TrelloCard} cardFromApi
+     * @param {TrelloCheckItem} item
+     */
+    getTaskId(cardFromApi, item) {
+        return `${cardFromApi.id}/${item.id}`;
+    }
+
+    /** @param {string} currentTaskLabelName */
+    getCurrentTaskMarker(currentTaskLabelName) {
+        return `[${currentTaskLabelName}]`;
+    }
+
+    /**
+     * @param {string} itemName
+     * @param {string} marker
+     */
+    removeMarker(itemName, marker) {
+        return itemName.split(marker).join(" ").replace(/\s+/g, " ").trim();
+    }
+}
+
+module.exports = TrelloChecklistItemTransformer;
@@ -0,0 +1,193 @@
+/** @typedef { import("./TrelloCard").TrelloCard } TrelloCard */
+/** @typedef { import("./TrelloCard").TrelloCheckItem } TrelloCheckItem */
+
+const moment = require("moment");
+
+const TrelloChecklistItemTransformer = require("./TrelloChecklistItemTransformer");
+
+const transformer = new TrelloChecklistItemTransformer();
+
+const currentTaskLabelName = "Current";
+
+/** @type {Pick<TrelloCard, "id" | "name" | "due" | "dueComplete" | "idBoard" | "idList" | "labels" | "url">} */
+const baseCardData = {
+    id: "cardId",
+    name: "cardName",
+    due: null,
+    dueComplete: false,
+    idBoard: "boardId",
+    idList: "listId",
+    url: "https://trello.com/c/card",
+    labels: [],
+};
+
+/**
+ * @param {string} name
+ * @param {number} pos
+ * @param {Partial<TrelloCheckItem>} [overrides]
+ * @returns {TrelloCheckItem}
+ */
+function createItem(name, pos, overrides) {
+    return { id: name, name, pos, state: "incomplete", due: null, ...overrides };
+}
+
+describe("TrelloChecklistItemTransformer", () => {
+    it("returns no tasks for cards without checklists", () => {
+        const transformed = transformer.transform({ ...baseCardData }, currentTaskLabelName);
+        expect(transformed).toEqual([]);
+    });
+
+    it("returns incomplete items of all checklists in the order shown on the card", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            checklists: [
+                { id: "second", pos: 2, checkItems: [createItem("item3", 1)] },
+                {
+                    id: "first",
+                    pos: 1,
+                    checkItems: [
+                        createItem("item2", 2),
+                        createItem("item1", 1),
+                        createItem("done", 3, { state: "complete" }),
+                    ],
+                },
+            ],
+        };
+
+        const transformed = transformer.transform(card, currentTaskLabelName);
+
+        expect(transformed.map((task) => task.title)).toEqual(["item1", "item2", "item3"]);
+    });
+
+    it("marks items containing the marker as current and removes the marker from the title", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            checklists: [
+                {
+                    id: "checklist",
+                    pos: 1,
+                    checkItems: [createItem("item1", 1), createItem("item2 [Current] now", 2)],
+                },
+            ],
+        };
+
+        const transformed = transformer.transform(card, currentTaskLabelName);
+
+        expect(transformed).toEqual([
+            {
+                title: "item1",
+                dueDate: undefined,
+                dueDatetime: undefined,
+                markedCurrent: false,
+                id: "cardId/item1",
+                url: baseCardData.url,
+                labels: [],
+            },
+            {
+                title: "item2 now",
+                dueDate: undefined,
+                dueDatetime: undefined,
+                markedCurrent: true,
+                id: "cardId/item2 [Current] now",
+                url: baseCardData.url,
+                labels: [],
+            },
+        ]);
+    });
+
+    it("uses the card's board and labels for its items", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            labels: [{ id: "labelId", name: "Urgent" }],
+            checklists: [{ id: "checklist", pos: 1, checkItems: [createItem("item1", 1)] }],
+        };
+
+        const [item] = transformer.transform(card, currentTaskLabelName, "Work");
+
+        expect(item.project).toBe("Work");
+        expect(item.labels).toEqual(["Urgent"]);
+    });
+
+    it("marks the first incomplete item as current if the card has the label", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            labels: [{ id: "labelId", name: currentTaskLabelName }],
+            checklists: [
+                {
+                    id: "checklist",
+                    pos: 1,
+                    checkItems: [
+                        createItem("done", 1, { state: "complete" }),
+                        createItem("item1", 2),
+                        createItem("item2", 3),
+                    ],
+                },
+            ],
+        };
+
+        const transformed = transformer.transform(card, currentTaskLabelName);
+
+        expect(transformed.map((task) => task.markedCurrent)).toEqual([true, false]);
+    });
+
+    it("prefers items containing the marker over the card label", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            labels: [{ id: "labelId", name: currentTaskLabelName }],
+            checklists: [
+                {
+                    id: "checklist",
+                    pos: 1,
+                    checkItems: [createItem("item1", 1), createItem("item2 [Current]", 2)],
+                },
+            ],
+        };
+
+        const transformed = transformer.transform(card, currentTaskLabelName);
+
+        expect(transformed.map((task) => task.markedCurrent)).toEqual([false, true]);
+    });
+
+    it("lets items without their own due date inherit the card's due date", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            due: "2020-09-27T10:11:00.000Z",
+            checklists: [
+                {
+                    id: "checklist",
+                    pos: 1,
+                    checkItems: [
+                        createItem("inheriting", 1),
+                        createItem("own", 2, { due: "2020-09-25T08:00:00.000Z" }),
+                    ],
+                },
+            ],
+        };
+
+        const transformed = transformer.transform(card, currentTaskLabelName);
+
+        expect(transformed[0].dueDate).toBe("2020-09-27");
+        expect(transformed[0].dueDatetime).toEqual(moment("2020-09-27T10:11:00.000Z"));
+        expect(transformed[1].dueDate).toBe("2020-09-25");
+        expect(transformed[1].dueDatetime).toEqual(moment("2020-09-25T08:00:00.000Z"));
+    });
+
+    it("leaves the due date empty if neither the item nor the card has one", () => {
+        /** @type {TrelloCard} */
+        const card = {
+            ...baseCardData,
+            checklists: [{ id: "checklist", pos: 1, checkItems: [createItem("item", 1)] }],
+        };
+
+        const transformed = transformer.transform(card, currentTaskLabelName);
+
+        expect(transformed[0].dueDate).toBeUndefined();
+        expect(transformed[0].dueDatetime).toBeUndefined();
+    });
+});
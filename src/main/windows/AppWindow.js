@@ -2,7 +2,7 @@
 
 /** @typedef { import("../configuration/Status").Status } Status */
 /** @typedef { import("../Logger") } Logger */
-/** @typedef { import("./DefaultWindowBoundsListener").DefaultWindowBoundsListener } DefaultWindowBoundsListener */
+/** @typedef { import("./AppWindowListener").AppWindowListener } AppWindowListener */
 /** @typedef { import("./DialogInput").DialogInput } DialogInput */
 
 const os = require("os");
@@ -20,15 +20,10 @@ class AppWindow {
     /**
      * @param {boolean} movingResizingEnabled
      * @param {Rectangle | undefined} existingDefaultWindowBounds
-     * @param {DefaultWindowBoundsListener} defaultWindowBoundsListener
+     * @param {AppWindowListener} listener
      * @param {Logger} logger
      */
-    constructor(
-        movingResizingEnabled,
-        existingDefaultWindowBounds,
-        defaultWindowBoundsListener,
-        logger
-    ) {
+    constructor(movingResizingEnabled, existingDefaultWindowBounds, listener, logger) {
         this._boundsCalculator = new AppWindowBoundsCalculator();
         this._initializeWindowBounds();
 
@@ -36,7 +31,7 @@ class AppWindow {
             this._defaultWindowBounds = existingDefaultWindowBounds;
         }
 
-        this._defaultWindowBoundsListener = defaultWindowBoundsListener;
+        this._listener = listener;
         this._logger = logger;
 
         this._movingResizingEnabled = !!movingResizingEnabled;
@@ -99,6 +94,8 @@ class AppWindow {
         this._showOrHideBasedOnMode();
         this._initializeMovingResizing();
 
+        ipcMain.on("appWindowDoubleClicked", () => this._listener.onAppWindowDoubleClicked());
+
         this._ensureOnTopIntervalId = setInterval(
             () => this._ensureOnTopIfNeeded(),
             ENSURE_ON_TOP_INTERVAL
@@ -192,7 +189,7 @@ class AppWindow {
 
         if (defaultNeedsUpdate) {
             this._defaultWindowBounds = windowBounds;
-            this._defaultWindowBoundsListener.onDefaultWindowBoundsChanged(windowBounds);
+            this._listener.onDefaultWindowBoundsChanged(windowBounds);
         }
     }
 
@@ -214,9 +211,14 @@ class AppWindow {
     /**
      * @param {Status} status
      * @param {string} message
+     * @param {string} [secondaryMessage] Shown in smaller text below the message
      */
-    updateStatusAndMessage(status, message) {
-        this._browserWindow.webContents.send("statusAndMessage", { status, message });
+    updateStatusAndMessage(status, message, secondaryMessage) {
+        this._browserWindow.webContents.send("statusAndMessage", {
+            status,
+            message,
+            secondaryMessage,
+        });
     }
 
     /** @param {boolean} shouldNag */
@@ -315,7 +317,7 @@ class AppWindow {
         this._logger.info("Resetting app window position and size");
         this._initializeWindowBounds();
         // save initialized default bounds, even if we're currently in nagging mode
-        this._defaultWindowBoundsListener.onDefaultWindowBoundsChanged(this._defaultWindowBounds);
+        this._listener.onDefaultWindowBoundsChanged(this._defaultWindowBounds);
         this._applyNaggingModeEnabled();
     }
 
@@ -1,5 +1,6 @@
 import { Rectangle } from "electron";
 
-export interface DefaultWindowBoundsListener {
+export interface AppWindowListener {
     onDefaultWindowBoundsChanged: (bounds: Rectangle) => void;
+    onAppWindowDoubleClicked: () => void;
 }
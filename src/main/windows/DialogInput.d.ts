@@ -1,11 +1,21 @@
 export interface DialogInput {
     message?: string;
+
+    /** shown prominently, for example when the values entered previously were not accepted */
+    errorMessage?: string;
+
     fields?: DialogField[];
     submitButtonName: string;
     hideCancelButton?: boolean;
 }
 
-export type DialogField = TextDialogField | TextListDialogField | BooleanDialogField;
+export type DialogField =
+    | TextDialogField
+    | TextListDialogField
+    | BooleanDialogField
+    | SelectDialogField
+    | MultiSelectDialogField
+    | ListDialogField;
 
 export interface TextDialogField extends DialogFieldCommonProperties {
     type: "text";
@@ -29,6 +39,48 @@ export interface BooleanDialogField extends DialogFieldCommonProperties {
     currentValue: boolean;
 }
 
+export interface SelectDialogField extends DialogFieldCommonProperties {
+    type: "select";
+
+    /** shown as first option if the field is not required, or as long as no option is selected */
+    placeholder: string;
+
+    required: boolean;
+    options: string[];
+    currentValue?: string;
+}
+
+export interface MultiSelectDialogField extends DialogFieldCommonProperties {
+    type: "multiSelect";
+
+    /** shown if there are no options to choose from */
+    listPlaceholder: string;
+
+    options: string[];
+    currentValue: string[];
+}
+
+/** a list of options that are all visible, of which one can be chosen */
+export interface ListDialogField extends DialogFieldCommonProperties {
+    type: "list";
+
+    /** shown if there are no options to choose from */
+    listPlaceholder: string;
+
+    required: boolean;
+    options: ListDialogFieldOption[];
+
+    /** value of the option that is initially chosen */
+    currentValue?: string;
+}
+
+export interface ListDialogFieldOption {
+    /** the result of the dialog contains the value, so different options can have the same label */
+    value: string;
+
+    label: string;
+}
+
 interface DialogFieldCommonProperties {
     name: string;
     label: string;
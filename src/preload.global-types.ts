@@ -6,6 +6,7 @@ interface Window {
 }
 
 type RendererToMainChannel =
+    | "appWindowDoubleClicked"
     | "appWindowMoved"
     | "appWindowMoving"
     | "dialogContentsHidden"
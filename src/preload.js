@@ -7,6 +7,7 @@ contextBridge.exposeInMainWorld("api", {
     send: (channel, data) => {
         // whitelisted channels
         let validChannels = [
+            "appWindowDoubleClicked",
             "appWindowMoved",
             "appWindowMoving",
             "dialogContentsHidden",
@@ -13,6 +13,7 @@ dom.i2svg();
 const bodyElement = document.getElementsByTagName("body")[0];
 const messageHeadingElement = document.getElementById("message-heading");
 const messageElement = document.getElementById("message");
+const secondaryMessageElement = document.getElementById("secondary-message");
 
 let lastStatusAndMessage = { status: "ok", message: "" };
 let useDarkStyle = false;
@@ -47,12 +48,19 @@ function fitMessage() {
 
     messageElement.textContent = message;
 
-    while (messageHeadingElement.clientHeight > window.innerHeight) {
+    // the secondary message is a single line that gets cut off by CSS if needed
+    secondaryMessageElement.textContent = lastStatusAndMessage.secondaryMessage || "";
+    const availableHeight = window.innerHeight - secondaryMessageElement.offsetHeight;
+
+    while (messageHeadingElement.clientHeight > availableHeight && currentLength > 0) {
         currentLength = currentLength - 1;
         messageElement.textContent = messageSymbols.slice(0, currentLength).join("");
     }
 }
 
+// double-clicking instead of clicking, so moving the window doesn't open the current task
+window.addEventListener("dblclick", () => window.api.send("appWindowDoubleClicked", undefined));
+
 // custom dragging mechanism as workaround for the limitations of Electron's built-in dragging functionality
 // see also https://github.com/electron/electron/issues/1354#issuecomment-404348957
 
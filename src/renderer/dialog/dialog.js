@@ -6,6 +6,9 @@ import "./dialog.css";
 /** @typedef { import("../../main/windows/DialogInput").TextDialogField } TextDialogField */
 /** @typedef { import("../../main/windows/DialogInput").TextListDialogField } TextListDialogField */
 /** @typedef { import("../../main/windows/DialogInput").BooleanDialogField } BooleanDialogField */
+/** @typedef { import("../../main/windows/DialogInput").SelectDialogField } SelectDialogField */
+/** @typedef { import("../../main/windows/DialogInput").MultiSelectDialogField } MultiSelectDialogField */
+/** @typedef { import("../../main/windows/DialogInput").ListDialogField } ListDialogField */
 
 const form = document.getElementsByTagName("form")[0];
 const submitButton = document.getElementsByTagName("button")[0];
@@ -16,6 +19,8 @@ const textListEntriesPerField = new Map();
 
 const textListInputIdSuffix = "_textListInput";
 const textListValuesIdSuffix = "_textListValues";
+const multiSelectOptionIdSuffix = "_multiSelectOption";
+const listOptionIdSuffix = "_listOption";
 
 /** @type {DialogInput} */
 let receivedDialogInput;
@@ -63,6 +68,10 @@ function handleDialogInput(input) {
         addMessage(input.message);
     }
 
+    if (input.errorMessage) {
+        addErrorMessage(input.errorMessage);
+    }
+
     if (input.fields && input.fields.length > 0) {
         for (const field of input.fields) {
             if (field.type === "text") {
@@ -71,6 +80,12 @@ function handleDialogInput(input) {
                 addTextListFieldToForm(field);
             } else if (field.type === "boolean") {
                 addBooleanFieldToForm(field);
+            } else if (field.type === "select") {
+                addSelectFieldToForm(field);
+            } else if (field.type === "multiSelect") {
+                addMultiSelectFieldToForm(field);
+            } else if (field.type === "list") {
+                addListFieldToForm(field);
             }
         }
     }
@@ -121,6 +136,15 @@ function addMessage(message) {
     form.insertBefore(paragraph, submitButton);
 }
 
+/** @param {string} errorMessage */
+function addErrorMessage(errorMessage) {
+    const alert = document.createElement("div");
+    alert.classList.add("alert", "alert-danger");
+    alert.setAttribute("role", "alert");
+    alert.textContent = errorMessage;
+    form.insertBefore(alert, submitButton);
+}
+
 /** @param {TextDialogField} field */
 function addTextFieldToForm(field) {
     const formGroup = document.createElement("div");
@@ -291,6 +315,161 @@ function addBooleanFieldToForm(field) {
     form.insertBefore(formGroup, submitButton);
 }
 
+/** @param {SelectDialogField} field */
+function addSelectFieldToForm(field) {
+    const formGroup = document.createElement("div");
+    formGroup.classList.add("form-group");
+
+    formGroup.appendChild(getLabelForField(field));
+
+    const select = document.createElement("select");
+    select.id = field.name;
+    select.name = field.name;
+    select.required = field.required;
+    select.classList.add("custom-select");
+
+    const placeholderOption = document.createElement("option");
+    placeholderOption.value = "";
+    placeholderOption.textContent = field.required
+        ? `${field.placeholder} (required)`
+        : field.placeholder;
+    select.appendChild(placeholderOption);
+
+    // make sure the current value can still be selected, even if it's not one of the options anymore
+    const options = [...field.options];
+
+    if (field.currentValue && !options.includes(field.currentValue)) {
+        options.push(field.currentValue);
+    }
+
+    for (const optionValue of options) {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = optionValue;
+        select.appendChild(option);
+    }
+
+    select.value = field.currentValue || "";
+    formGroup.appendChild(select);
+
+    if (field.info) {
+        formGroup.appendChild(getInfoForMessage(field.info));
+    }
+
+    form.insertBefore(formGroup, submitButton);
+}
+
+/** @param {MultiSelectDialogField} field */
+function addMultiSelectFieldToForm(field) {
+    const formGroup = document.createElement("div");
+    formGroup.classList.add("form-group");
+
+    const label = document.createElement("label");
+    label.textContent = field.label;
+    formGroup.appendChild(label);
+
+    const optionsDiv = document.createElement("div");
+    optionsDiv.id = field.name;
+    formGroup.appendChild(optionsDiv);
+
+    const currentValue = field.currentValue || [];
+
+    // make sure the current values can still be deselected, even if they are not options anymore
+    const options = [
+        ...field.options,
+        ...currentValue.filter((value) => !field.options.includes(value)),
+    ];
+
+    if (options.length === 0) {
+        const paragraph = document.createElement("p");
+        paragraph.classList.add("text-muted", "mb-0");
+        const small = document.createElement("small");
+        small.innerText = field.listPlaceholder;
+        paragraph.appendChild(small);
+        optionsDiv.appendChild(paragraph);
+    }
+
+    options.forEach((optionValue, index) => {
+        const customCheckbox = document.createElement("div");
+        customCheckbox.classList.add("custom-control", "custom-checkbox");
+
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.id = `${field.name}${multiSelectOptionIdSuffix}${index}`;
+        input.value = optionValue;
+        input.checked = currentValue.includes(optionValue);
+        input.classList.add("custom-control-input");
+        customCheckbox.appendChild(input);
+
+        const optionLabel = document.createElement("label");
+        optionLabel.setAttribute("for", input.id);
+        optionLabel.textContent = optionValue;
+        optionLabel.classList.add("custom-control-label");
+        customCheckbox.appendChild(optionLabel);
+
+        optionsDiv.appendChild(customCheckbox);
+    });
+
+    if (field.info) {
+        formGroup.appendChild(getInfoForMessage(field.info));
+    }
+
+    form.insertBefore(formGroup, submitButton);
+}
+
+/** @param {ListDialogField} field */
+function addListFieldToForm(field) {
+    const formGroup = document.createElement("div");
+    formGroup.classList.add("form-group");
+
+    const label = document.createElement("label");
+    label.textContent = field.label;
+    formGroup.appendChild(label);
+
+    const optionsDiv = document.createElement("div");
+    optionsDiv.id = field.name;
+    formGroup.appendChild(optionsDiv);
+
+    if (field.options.length === 0) {
+        const paragraph = document.createElement("p");
+        paragraph.classList.add("text-muted", "mb-0");
+        const small = document.createElement("small");
+        small.innerText = field.listPlaceholder;
+        paragraph.appendChild(small);
+        optionsDiv.appendChild(paragraph);
+    }
+
+    field.options.forEach((option, index) => {
+        const customRadio = document.createElement("div");
+        customRadio.classList.add("custom-control", "custom-radio");
+
+        // radio buttons with the same name form a group, required applies to the group
+        const input = document.createElement("input");
+        input.type = "radio";
+        input.name = field.name;
+        input.id = `${field.name}${listOptionIdSuffix}${index}`;
+        input.value = option.value;
+        input.required = field.required;
+        input.checked = option.value === field.currentValue;
+        input.classList.add("custom-control-input");
+        customRadio.appendChild(input);
+
+        const optionLabel = document.createElement("label");
+        optionLabel.setAttribute("for", input.id);
+        optionLabel.textContent = option.label;
+        optionLabel.classList.add("custom-control-label");
+        customRadio.appendChild(optionLabel);
+
+        optionsDiv.appendChild(customRadio);
+    });
+
+    if (field.info) {
+        formGroup.appendChild(getInfoForMessage(field.info));
+    }
+
+    form.insertBefore(formGroup, submitButton);
+}
+
 /** @param {DialogField} field */
 function getLabelForField(field) {
     const label = document.createElement("label");
@@ -347,6 +526,21 @@ function handleFormSubmit() {
 function getValueForField(field) {
     if (field.type === "textList") {
         return textListEntriesPerField.get(field.name);
+    } else if (field.type === "multiSelect") {
+        const optionsDiv = document.getElementById(field.name);
+        const checkedInputs = optionsDiv.querySelectorAll("input:checked");
+        return Array.from(checkedInputs).map(
+            (input) => /** @type {HTMLInputElement} */ (input).value
+        );
+    } else if (field.type === "select") {
+        const select = /** @type {HTMLSelectElement} */ (document.getElementById(field.name));
+        return select.value || undefined;
+    } else if (field.type === "list") {
+        const optionsDiv = document.getElementById(field.name);
+        const checkedInput = /** @type {HTMLInputElement} */ (optionsDiv.querySelector(
+            "input:checked"
+        ));
+        return checkedInput ? checkedInput.value : undefined;
     }
 
     const element = /** @type {HTMLInputElement} */ (document.getElementById(field.name));